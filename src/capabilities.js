@@ -0,0 +1,72 @@
+/*
+  capabilities.js
+
+  Query capabilities this provider pushes down to Databricks, advertised in
+  the FeatureServer layer JSON. Koop's FeatureServer builds layer JSON from
+  fixed defaults and only a few metadata overrides, so these are merged into
+  the response by the layerInfo route (see controller.js).
+*/
+
+const config = require('../config/default.json')
+
+// Record limit for resultType=tile queries (environment variable takes
+// precedence over config/default.json)
+const tileMaxRecordCount = parseInt(process.env.TILE_MAX_ROWS) || parseInt(config.tileMaxRows) || 8000
+
+// Merged into each layer's JSON; nested objects are merged key by key
+const LAYER_CAPABILITIES = {
+  // f=pbf query responses (see pbf.js)
+  supportedQueryFormats: 'JSON, geoJSON, PBF',
+  // Coordinate quantization (quantizationParameters)
+  supportsCoordinatesQuantization: true,
+  tileMaxRecordCount,
+  advancedQueryCapabilities: {
+    // Tile queries (resultType=tile)
+    supportsQueryWithResultType: true,
+    // Buffered spatial filters (distance, units)
+    supportsQueryWithDistance: true,
+    // returnDistinctValues with returnCountOnly
+    supportsCountDistinct: true,
+    // Aggregate statistics (outStatistics with having, paged when grouped)
+    supportsHavingClause: true,
+    supportsPaginationOnAggregatedQueries: true,
+    // percentile_cont / percentile_disc statistics
+    supportsPercentileStatistics: true,
+    // Geometry aggregates in outStatistics
+    supportedSpatialAggregationStatistics: ['EnvelopeAggregate', 'CentroidAggregate', 'ConvexHullAggregate'],
+    // Geometry generalization (maxAllowableOffset, geometryPrecision)
+    supportsMaxAllowableOffset: true,
+    supportsGeometryPrecision: true
+  }
+}
+
+/**
+ * Merge LAYER_CAPABILITIES into a layer info payload. Accepts a single
+ * layer's JSON or a layers response ({ layers, tables }); anything else
+ * (e.g. an error response) is returned unchanged.
+ * @param {object} payload - Layer info response body
+ * @returns {object} The payload, with capabilities applied
+ */
+function applyLayerCapabilities (payload) {
+  if (!payload || typeof payload !== 'object') return payload
+
+  if (Array.isArray(payload.layers)) {
+    payload.layers.forEach(applyLayerCapabilities)
+    return payload
+  }
+
+  if (!payload.advancedQueryCapabilities) return payload
+
+  for (const [key, value] of Object.entries(LAYER_CAPABILITIES)) {
+    payload[key] = value && typeof value === 'object' && !Array.isArray(value)
+      ? { ...payload[key], ...value }
+      : value
+  }
+  return payload
+}
+
+module.exports = {
+  LAYER_CAPABILITIES,
+  tileMaxRecordCount,
+  applyLayerCapabilities
+}
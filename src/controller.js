@@ -7,8 +7,94 @@
   Documentation: http://koopjs.github.io/docs/usage/provider
 */
 
+const { applyLayerCapabilities } = require('./capabilities')
+const { restoreFieldTypes } = require('./field-types')
+const { encodeQueryResponse } = require('./pbf')
+const { encodeVectorTile, parseTileCoordinates } = require('./mvt')
+const { getVectorTileServerInfo, getVectorTileStyle } = require('./vector-tile-server')
+
 function Controller (model) {
   this.model = model
 }
 
+// Layer info (/FeatureServer/:layer). Provider routes are registered ahead of
+// the FeatureServer output routes, so this wraps res.json to add our query
+// capabilities and field types to f=json responses and hands the request on
+// to FeatureServer to build the layer JSON.
+Controller.prototype.layerInfo = function (req, res, next) {
+  const json = res.json.bind(res)
+  res.json = body => json(applyLayerCapabilities(restoreFieldTypes(body, this.getFields(req))))
+  next()
+}
+
+// Query (/FeatureServer/:layer/query). Field types Koop can't render are
+// restored in the response (see field-types.js). f=pbf requests are handed
+// on to FeatureServer as f=json, and the Esri JSON response is encoded as
+// PBF here (see pbf.js for why FeatureServer's encoder isn't used). Error
+// responses stay JSON, and returnExtentOnly, which has no PBF form, is left
+// to FeatureServer to reject.
+Controller.prototype.query = function (req, res, next) {
+  const params = req.body && req.body.f ? req.body : req.query
+  const json = res.json.bind(res)
+  if (params.f !== 'pbf' || String(params.returnExtentOnly) === 'true') {
+    res.json = body => json(restoreFieldTypes(body, this.getFields(req)))
+    return next()
+  }
+
+  params.f = 'json'
+  res.json = body => {
+    if (!body || body.error || res.statusCode >= 400) return json(body)
+
+    restoreFieldTypes(body, this.getFields(req))
+
+    let buffer
+    try {
+      buffer = encodeQueryResponse(body)
+    } catch (error) {
+      return sendError(res, error)
+    }
+    res.set('Content-Type', 'application/x-protobuf')
+    res.set('Content-Disposition', 'inline;filename=results.pbf')
+    return res.end(buffer)
+  }
+  next()
+}
+
+// Vector tile (/VectorTileServer/tile/:z/:y/:x.pbf). The model clips and
+// simplifies the tile's features in Databricks; they are encoded as MVT here
+// (see mvt.js). Errors are sent with their HTTP status, as tile clients
+// don't read error bodies.
+Controller.prototype.tile = async function (req, res) {
+  try {
+    const tile = parseTileCoordinates(req.params)
+    const layer = await this.model.getTile(req)
+    res.set('Content-Type', 'application/x-protobuf')
+    res.end(encodeVectorTile(tile, [layer]))
+  } catch (error) {
+    sendError(res, error)
+  }
+}
+
+// VectorTileServer service JSON (/VectorTileServer)
+Controller.prototype.vectorTileServer = function (req, res) {
+  res.json(getVectorTileServerInfo(req.params.id))
+}
+
+// Default style (/VectorTileServer/resources/styles[/root.json])
+Controller.prototype.tileStyle = function (req, res) {
+  const path = req.originalUrl.split('?')[0].replace(/\/resources\/styles(\/root\.json)?\/?$/, '')
+  res.json(getVectorTileStyle(req.params.id, `${req.protocol}://${req.get('host')}${path}`))
+}
+
+// Field definitions of the request's table, as fetched by the model for
+// the response being sent
+Controller.prototype.getFields = function (req) {
+  return this.model && req.params ? this.model.getCachedFields(req.params.id) : null
+}
+
+function sendError (res, error) {
+  const code = error.code >= 400 && error.code < 600 ? error.code : 500
+  res.status(code).json({ error: { code, message: error.message } })
+}
+
 module.exports = Controller
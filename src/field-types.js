@@ -0,0 +1,192 @@
+/*
+  field-types.js
+
+  Esri field types around Koop. The provider describes fields with Esri
+  field types (esriFieldTypeDate, ...), but Koop's FeatureServer only reads
+  its own type names ('Date', 'Integer', ...) from metadata.fields and
+  renders anything else as esriFieldTypeString, including the newer
+  BigInteger, DateOnly, TimeOnly and TimestampOffset types. Fields are
+  handed to Koop with its names, and the types it can't express are
+  restored in the responses (see controller.js). Values are normalized to
+  the Esri JSON form of their field type, so they agree with the field
+  metadata whatever form the SQL driver returns them in.
+*/
+
+// Koop field type name of each Esri field type Koop can render; any other
+// type is rendered as esriFieldTypeString
+const KOOP_FIELD_TYPES = {
+  esriFieldTypeSmallInteger: 'SmallInteger',
+  esriFieldTypeInteger: 'Integer',
+  esriFieldTypeSingle: 'Single',
+  esriFieldTypeDouble: 'Double',
+  esriFieldTypeString: 'String',
+  esriFieldTypeDate: 'Date',
+  esriFieldTypeBlob: 'Blob',
+  esriFieldTypeGUID: 'GUID',
+  esriFieldTypeGlobalID: 'GlobalID',
+  esriFieldTypeXML: 'XML'
+}
+
+// Date and time field types, which a layer's "fieldTypes" config may assign
+// to columns (see getTableMetadata in model.js)
+const TEMPORAL_FIELD_TYPES = [
+  'esriFieldTypeDate',
+  'esriFieldTypeDateOnly',
+  'esriFieldTypeTimeOnly',
+  'esriFieldTypeTimestampOffset'
+]
+
+/**
+ * Field definitions with Koop's type names, for metadata.fields.
+ * @param {object[]} fields - Field definitions with Esri field types
+ * @returns {object[]} Copies of the definitions; types Koop can't render
+ *   become 'String' (restored by restoreFieldTypes)
+ */
+function toKoopFields (fields) {
+  return fields.map(field => ({ ...field, type: KOOP_FIELD_TYPES[field.type] || 'String' }))
+}
+
+/**
+ * Restore the Esri field types Koop rendered as esriFieldTypeString in a
+ * layer JSON, layers or query response. Rendered fields are matched to
+ * their definitions by name and sqlType, so the same name in another layer
+ * (e.g. the H3 aggregate layer) is left alone.
+ * @param {object} payload - Response body
+ * @param {object[]} fields - The table's field definitions (Esri types)
+ * @returns {object} The payload, with field types restored
+ */
+function restoreFieldTypes (payload, fields) {
+  if (!payload || typeof payload !== 'object' || !fields || fields.length === 0) return payload
+
+  if (Array.isArray(payload.layers)) {
+    payload.layers.forEach(layer => restoreFieldTypes(layer, fields))
+  }
+  if (!Array.isArray(payload.fields)) return payload
+
+  const definitions = new Map(fields
+    .filter(field => !KOOP_FIELD_TYPES[field.type])
+    .map(field => [field.name, field]))
+  for (const field of payload.fields) {
+    const definition = definitions.get(field.name)
+    if (!definition || field.type !== 'esriFieldTypeString' || field.sqlType !== definition.sqlType) continue
+    field.type = definition.type
+    delete field.length
+  }
+  return payload
+}
+
+const INTEGER_FIELD_TYPES = ['esriFieldTypeSmallInteger', 'esriFieldTypeInteger', 'esriFieldTypeBigInteger', 'esriFieldTypeOID']
+
+/**
+ * Normalize a value to the Esri JSON form of its field type. Booleans
+ * become 1 and 0 in integer fields, BIGINT and DECIMAL values (BigInts or
+ * strings, when the driver preserves their precision) become numbers, and
+ * structured values become JSON text in string fields. Integers beyond
+ * +/-2^53, which JSON numbers can't carry exactly, are returned as strings.
+ * Date and time fields are normalized by normalizeTemporalValue.
+ * @param {*} value - Column value
+ * @param {string} type - Esri field type
+ * @returns {*} Normalized value; null for values that can't be read
+ */
+function normalizeFieldValue (value, type) {
+  if (value === null || value === undefined) return value
+  if (TEMPORAL_FIELD_TYPES.includes(type)) return normalizeTemporalValue(value, type)
+
+  if (INTEGER_FIELD_TYPES.includes(type)) {
+    return toInteger(value)
+  }
+  if (type === 'esriFieldTypeSingle' || type === 'esriFieldTypeDouble') {
+    const number = Number(value)
+    return Number.isFinite(number) ? number : null
+  }
+  if (type === 'esriFieldTypeString' && typeof value !== 'string') {
+    if (Buffer.isBuffer(value)) return value.toString('base64')
+    if (typeof value === 'object') return JSON.stringify(value, (key, v) => typeof v === 'bigint' ? v.toString() : v)
+    return String(value)
+  }
+  return value
+}
+
+// Integer value of a number, boolean, BigInt or numeric string: a number
+// when JSON carries it exactly (within +/-2^53), the exact digits otherwise
+function toInteger (value) {
+  if (typeof value === 'boolean') return value ? 1 : 0
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.trunc(value) : null
+  if (typeof value === 'bigint' || (value && typeof value.toNumber === 'function')) {
+    // BigInts, and node-int64 values of older drivers
+    return toInteger(value.toString())
+  }
+  if (typeof value !== 'string') return null
+
+  const text = value.trim().toLowerCase()
+  if (text === 'true' || text === 'false') return text === 'true' ? 1 : 0
+  const integer = /^([+-]?)0*(\d+)(\.0*)?$/.exec(text)
+  if (!integer) {
+    const number = Number(text)
+    return Number.isFinite(number) ? Math.trunc(number) : null
+  }
+  const number = Number(integer[1] + integer[2])
+  return Number.isSafeInteger(number) ? number : (integer[1] === '-' ? '-' : '') + integer[2]
+}
+
+/**
+ * Normalize a date or time value to the Esri JSON form of its field type:
+ * epoch milliseconds for esriFieldTypeDate, 'YYYY-MM-DD' for DateOnly,
+ * 'HH:mm:ss' for TimeOnly and an ISO 8601 string with an offset for
+ * TimestampOffset. Values may be Dates, epoch milliseconds or strings, as
+ * the SQL driver returns them; timestamps without a time zone are UTC.
+ * @param {*} value - Column value
+ * @param {string} type - Esri field type
+ * @returns {*} Normalized value; null for values that can't be read, and
+ *   the value unchanged for other field types
+ */
+function normalizeTemporalValue (value, type) {
+  if (value === null || value === undefined || !TEMPORAL_FIELD_TYPES.includes(type)) return value
+
+  if (type === 'esriFieldTypeTimeOnly' && typeof value === 'string') {
+    const match = /\d{2}:\d{2}:\d{2}/.exec(value)
+    return match ? match[0] : null
+  }
+  if (type === 'esriFieldTypeDateOnly' && typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value
+  }
+
+  const time = toEpochMillis(value)
+  if (time === null) return null
+  const iso = new Date(time).toISOString()
+  switch (type) {
+    case 'esriFieldTypeDateOnly':
+      return iso.slice(0, 10)
+    case 'esriFieldTypeTimeOnly':
+      return iso.slice(11, 19)
+    case 'esriFieldTypeTimestampOffset':
+      return typeof value === 'string' && /[+-]\d{2}:?\d{2}$/.test(value)
+        ? value.replace(' ', 'T')
+        : iso.replace('Z', '+00:00')
+    default:
+      return time
+  }
+}
+
+// Epoch milliseconds of a Date, number or date string (UTC unless the
+// string has a time zone), or null
+function toEpochMillis (value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.getTime()
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  if (typeof value === 'bigint') return Number(value)
+  if (typeof value !== 'string') return null
+
+  let text = value.trim().replace(' ', 'T')
+  if (/^\d{4}-\d{2}-\d{2}T[\d:.]+$/.test(text)) text += 'Z'
+  const time = Date.parse(text)
+  return Number.isNaN(time) ? null : time
+}
+
+module.exports = {
+  KOOP_FIELD_TYPES,
+  TEMPORAL_FIELD_TYPES,
+  toKoopFields,
+  restoreFieldTypes,
+  normalizeFieldValue,
+  normalizeTemporalValue
+}
@@ -0,0 +1,261 @@
+/*
+  geometry.js
+
+  Conversion of ArcGIS (Esri JSON) geometry filters to WKT so they can be
+  pushed down to Databricks ST functions. Handles envelopes, points,
+  multipoints, polylines (single and multipart) and polygons (including
+  holes and multipart polygons).
+*/
+
+/**
+ * Detect the Esri geometry type of an Esri JSON geometry object.
+ * @param {object} geometry - Esri JSON geometry
+ * @returns {string|null} esriGeometry* type, or null if unrecognised
+ */
+function detectEsriGeometryType (geometry) {
+  if (!geometry || typeof geometry !== 'object') return null
+  if (Array.isArray(geometry.rings)) return 'esriGeometryPolygon'
+  if (Array.isArray(geometry.paths)) return 'esriGeometryPolyline'
+  if (Array.isArray(geometry.points)) return 'esriGeometryMultipoint'
+  if (['xmin', 'ymin', 'xmax', 'ymax'].every(k => isFiniteNumber(geometry[k]))) return 'esriGeometryEnvelope'
+  if (isFiniteNumber(geometry.x) && isFiniteNumber(geometry.y)) return 'esriGeometryPoint'
+  return null
+}
+
+/**
+ * Convert an Esri JSON geometry to WKT.
+ * Coordinates are passed through `transform` (e.g. for inSR reprojection),
+ * and any Z/M values are dropped.
+ * @param {object} geometry - Esri JSON geometry
+ * @param {function} [transform] - ([x, y]) => [x, y] coordinate transform
+ * @returns {string|null} WKT string, or null for unsupported/empty geometries
+ */
+function esriGeometryToWkt (geometry, transform) {
+  const project = transform || (xy => xy)
+  const toPoint = c => {
+    if (!Array.isArray(c) || c.length < 2) return null
+    const xy = [Number(c[0]), Number(c[1])]
+    if (!isFiniteNumber(xy[0]) || !isFiniteNumber(xy[1])) return null
+    return project(xy)
+  }
+
+  switch (detectEsriGeometryType(geometry)) {
+    case 'esriGeometryPoint': {
+      const [x, y] = project([Number(geometry.x), Number(geometry.y)])
+      return `POINT(${x} ${y})`
+    }
+
+    case 'esriGeometryEnvelope': {
+      // Project all four corners so the envelope stays closed under
+      // non-affine transforms
+      const corners = [
+        [geometry.xmin, geometry.ymin],
+        [geometry.xmax, geometry.ymin],
+        [geometry.xmax, geometry.ymax],
+        [geometry.xmin, geometry.ymax]
+      ].map(toPoint)
+      return `POLYGON(${formatRing(closeRing(corners))})`
+    }
+
+    case 'esriGeometryMultipoint': {
+      const points = geometry.points.map(toPoint)
+      if (points.length === 0 || points.some(p => !p)) return null
+      return `MULTIPOINT(${points.map(p => `(${p[0]} ${p[1]})`).join(', ')})`
+    }
+
+    case 'esriGeometryPolyline': {
+      const paths = geometry.paths.map(path => Array.isArray(path) ? path.map(toPoint) : [])
+      if (paths.length === 0 || paths.some(path => path.length < 2 || path.some(p => !p))) return null
+      if (paths.length === 1) return `LINESTRING${formatRing(paths[0])}`
+      return `MULTILINESTRING(${paths.map(formatRing).join(', ')})`
+    }
+
+    case 'esriGeometryPolygon': {
+      const rings = geometry.rings.map(ring => Array.isArray(ring) ? ring.map(toPoint) : [])
+      if (rings.some(ring => ring.some(p => !p))) return null
+      const polygons = groupRings(rings.map(closeRing).filter(ring => ring.length >= 4))
+      if (polygons.length === 0) return null
+      if (polygons.length === 1) return `POLYGON(${polygons[0].map(formatRing).join(', ')})`
+      return `MULTIPOLYGON(${polygons.map(p => `(${p.map(formatRing).join(', ')})`).join(', ')})`
+    }
+
+    default:
+      return null
+  }
+}
+
+/**
+ * Convert a GeoJSON geometry to Esri JSON.
+ * Polygon rings are oriented the Esri way (outer rings clockwise, holes
+ * counter-clockwise); Z values are dropped. Geometry collections keep their
+ * highest-dimension parts.
+ * @param {object} geometry - GeoJSON geometry
+ * @returns {object|null} Esri JSON geometry, or null for empty geometries
+ */
+function geojsonToEsriGeometry (geometry) {
+  if (!geometry) return null
+  const xy = c => [c[0], c[1]]
+
+  switch (geometry.type) {
+    case 'Point':
+      return geometry.coordinates.length >= 2 ? { x: geometry.coordinates[0], y: geometry.coordinates[1] } : null
+
+    case 'MultiPoint':
+      return geometry.coordinates.length > 0 ? { points: geometry.coordinates.map(xy) } : null
+
+    case 'LineString':
+    case 'MultiLineString': {
+      const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates
+      const paths = lines.filter(line => line.length >= 2).map(line => line.map(xy))
+      return paths.length > 0 ? { paths } : null
+    }
+
+    case 'Polygon':
+    case 'MultiPolygon': {
+      const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates
+      const rings = []
+      for (const polygon of polygons) {
+        polygon.forEach((ring, i) => {
+          if (ring.length < 4) return
+          const coords = ring.map(xy)
+          // Esri outer rings are clockwise (negative area), holes counter-clockwise
+          const clockwise = signedArea(coords) < 0
+          rings.push(clockwise === (i === 0) ? coords : coords.reverse())
+        })
+      }
+      return rings.length > 0 ? { rings } : null
+    }
+
+    case 'GeometryCollection': {
+      const parts = (geometry.geometries || []).map(geojsonToEsriGeometry).filter(Boolean)
+      for (const key of ['rings', 'paths', 'points']) {
+        const merged = parts.filter(part => part[key]).reduce((all, part) => all.concat(part[key]), [])
+        if (merged.length > 0) return { [key]: merged }
+      }
+      return parts.find(part => part.x !== undefined) || null
+    }
+
+    default:
+      return null
+  }
+}
+
+/**
+ * Group Esri polygon rings into WKT polygons.
+ * Esri outer rings are clockwise and holes counter-clockwise; each hole is
+ * attached to the outer ring that contains it. Holes with no containing
+ * outer ring (or polygons with only counter-clockwise rings, as some
+ * clients send) are treated as outer rings.
+ * @param {Array<Array<number[]>>} rings - closed rings
+ * @returns {Array<Array<Array<number[]>>>} polygons as [outer, ...holes]
+ */
+function groupRings (rings) {
+  const outers = rings.filter(ring => signedArea(ring) < 0)
+  const holes = rings.filter(ring => signedArea(ring) >= 0)
+
+  if (outers.length === 0) return holes.map(ring => [ring])
+
+  const polygons = outers.map(ring => [ring])
+  for (const hole of holes) {
+    const owner = polygons.find(polygon => pointInRing(hole[0], polygon[0]))
+    if (owner) {
+      owner.push(hole)
+    } else {
+      polygons.push([hole])
+    }
+  }
+  return polygons
+}
+
+/**
+ * Round every coordinate of a GeoJSON geometry to a number of decimals
+ * (the geometryPrecision query parameter). Returns a new geometry; Z values
+ * are rounded too.
+ * @param {object} geometry - GeoJSON geometry
+ * @param {number} decimals - Number of decimal places to keep
+ * @returns {object} Rounded GeoJSON geometry
+ */
+function roundCoordinates (geometry, decimals) {
+  if (!geometry) return geometry
+  const factor = Math.pow(10, decimals)
+  const round = value => Array.isArray(value)
+    ? value.map(round)
+    : Math.round(value * factor) / factor
+
+  if (geometry.type === 'GeometryCollection') {
+    return { ...geometry, geometries: (geometry.geometries || []).map(g => roundCoordinates(g, decimals)) }
+  }
+  if (!Array.isArray(geometry.coordinates)) return geometry
+  return { ...geometry, coordinates: round(geometry.coordinates) }
+}
+
+/**
+ * Compute the bounding box of a WKT geometry by scanning its coordinate pairs.
+ * @param {string} wkt - WKT geometry (2D)
+ * @returns {number[]|null} [xmin, ymin, xmax, ymax], or null if no coordinates
+ */
+function wktBounds (wkt) {
+  const pairs = String(wkt).match(/-?[\d.]+(?:e[-+]?\d+)? -?[\d.]+(?:e[-+]?\d+)?/gi)
+  if (!pairs) return null
+
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity]
+  for (const pair of pairs) {
+    const [x, y] = pair.split(' ').map(Number)
+    bounds[0] = Math.min(bounds[0], x)
+    bounds[1] = Math.min(bounds[1], y)
+    bounds[2] = Math.max(bounds[2], x)
+    bounds[3] = Math.max(bounds[3], y)
+  }
+  return bounds
+}
+
+// Shoelace area: negative for clockwise rings (Esri outer rings)
+function signedArea (ring) {
+  let sum = 0
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1]
+  }
+  return sum / 2
+}
+
+// Ray-casting point-in-polygon test
+function pointInRing (point, ring) {
+  const [x, y] = point
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+// Ensure the first and last vertex are identical (required by WKT polygons)
+function closeRing (ring) {
+  if (ring.length === 0) return ring
+  const first = ring[0]
+  const last = ring[ring.length - 1]
+  if (first[0] === last[0] && first[1] === last[1]) return ring
+  return ring.concat([first])
+}
+
+function formatRing (ring) {
+  return `(${ring.map(([x, y]) => `${x} ${y}`).join(', ')})`
+}
+
+function isFiniteNumber (value) {
+  return value !== null && value !== '' && typeof value !== 'boolean' && isFinite(Number(value))
+}
+
+module.exports = {
+  detectEsriGeometryType,
+  esriGeometryToWkt,
+  geojsonToEsriGeometry,
+  groupRings,
+  roundCoordinates,
+  wktBounds,
+  signedArea,
+  pointInRing
+}
@@ -11,6 +11,13 @@ const config = require('../config/default.json')
 const logger = require('./logger')
 const connectionManager = require('./connection')
 const { validateWhereClause, validateColumnName, validateColumnList } = require('./validation')
+const { esriGeometryToWkt, geojsonToEsriGeometry, roundCoordinates, wktBounds } = require('./geometry')
+const { parseSpatialReference, normalizeWkid, isSupportedSrid, isGeographicSrid, isMeterSrid, getLocalTransform } = require('./projection')
+const { createQuantizer, quantizeGeometry } = require('./quantization')
+const { tileMaxRecordCount } = require('./capabilities')
+const { TEMPORAL_FIELD_TYPES, toKoopFields, normalizeFieldValue } = require('./field-types')
+const { TILE_EXTENT, TILE_BUFFER, parseTileCoordinates, getTileEnvelope } = require('./mvt')
+const { flattenColumn, resolveFieldPaths } = require('./nested-fields')
 
 // Environment variables take precedence over config/default.json
 const objectId = process.env.OBJECT_ID_COLUMN || config.objectId || 'objectid'
@@ -20,9 +27,19 @@ const spatialReference = parseInt(process.env.SPATIAL_REFERENCE) || config.spati
 const maxRows = parseInt(process.env.MAX_ROWS) || parseInt(config.maxRows) || 10000
 const queryTimeoutSeconds = parseInt(process.env.QUERY_TIMEOUT_SECONDS) || 30
 const cacheTTLMs = parseInt(process.env.CACHE_TTL_MS) || 300000
+// Memory budget for a single query's rows (100 MB by default)
+const maxResponseBytes = parseInt(process.env.MAX_RESPONSE_BYTES) || parseInt(config.maxResponseBytes) || 104857600
+const FETCH_CHUNK_ROWS = 1000
 const CACHE_MAX_ENTRIES = 100
 const rateLimitMax = parseInt(process.env.RATE_LIMIT_MAX) || 100
 const rateLimitWindowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000
+// Keyset pagination for resultOffset pages in objectid order (on unless
+// disabled with KEYSET_PAGINATION=false or "keysetPagination": false)
+const keysetPagination = process.env.KEYSET_PAGINATION
+  ? process.env.KEYSET_PAGINATION !== 'false'
+  : config.keysetPagination !== false
+// Per-layer settings, keyed by table name (catalog.schema.table)
+const layerConfigs = config.layers || {}
 
 logger.info(`Configuration: objectId=${objectId}, geometryColumn=${geometryColumn}, geometryFormat=${geometryFormat}, spatialReference=${spatialReference}, maxRows=${maxRows}`)
 
@@ -36,12 +53,41 @@ function recordQuery (entry) {
   if (recentQueries.length > RECENT_QUERIES_MAX) recentQueries.shift()
 }
 
-// Execute a statement, fetch all rows, and record it in the query log
-async function executeAndRecord (session, sql, kind, taskId) {
+// Execute a statement, fetch its rows in chunks, and record it in the query
+// log. Each chunk is passed through mapRow (e.g. row => feature) as it
+// arrives, so raw rows don't all stay in memory at once. Results larger than
+// maxResponseBytes (estimated from the rows or features kept for the
+// response) are aborted with a 400 instead of exhausting the process's
+// memory.
+async function executeAndRecord (session, sql, kind, taskId, mapRow) {
   const started = Date.now()
   const op = await session.executeStatement(sql, { queryTimeout: queryTimeoutSeconds })
-  const rows = await op.fetchAll()
-  await op.close()
+  const rows = []
+  let bytes = 0
+  try {
+    do {
+      const chunk = await op.fetchChunk({ maxRows: FETCH_CHUNK_ROWS })
+      for (const row of chunk) {
+        const kept = mapRow ? mapRow(row) : row
+        bytes += estimateBytes(kept)
+        if (bytes > maxResponseBytes) {
+          const err = new Error(`Query result exceeds the ${maxResponseBytes} byte response limit after ${rows.length} rows. ` +
+            'Request fewer records (resultRecordCount) or fields (outFields), or generalize geometries (maxAllowableOffset)')
+          err.code = 400
+          throw err
+        }
+        rows.push(kept)
+      }
+    } while (await op.hasMoreRows())
+  } finally {
+    // A failed close is logged, not thrown, so it can't replace the error
+    // that ended the fetch
+    try {
+      await op.close()
+    } catch (closeError) {
+      logger.error(`${taskId}> Error closing ${kind} query:`, closeError)
+    }
+  }
   recordQuery({
     at: new Date(started).toISOString(),
     taskId,
@@ -53,9 +99,31 @@ async function executeAndRecord (session, sql, kind, taskId) {
   return rows
 }
 
+// Approximate in-memory size of a row or the feature it was mapped to:
+// string lengths (UTF-16), a fixed cost for other values, and the values of
+// nested objects and arrays (properties, geometry coordinates)
+function estimateBytes (value) {
+  if (typeof value === 'string') return value.length * 2
+  if (value === null || typeof value !== 'object' || value instanceof Date) return 8
+  let bytes = 0
+  for (const item of Array.isArray(value) ? value : Object.values(value)) {
+    bytes += estimateBytes(item)
+  }
+  return bytes
+}
+
 // Simple sliding-window rate limiter (per IP)
 const rateLimitStore = {}
 
+// Client address for rate limiting. Behind a load balancer req.ip is the LB
+// address (Express 'trust proxy' is not set by Koop), so prefer the first
+// X-Forwarded-For hop.
+function getClientIp (req) {
+  const forwardedFor = req.headers && req.headers['x-forwarded-for']
+  return (typeof forwardedFor === 'string' && forwardedFor.split(',')[0].trim()) ||
+    req.ip || req.socket?.remoteAddress || 'unknown'
+}
+
 function checkRateLimit (ip) {
   const now = Date.now()
   if (!rateLimitStore[ip]) {
@@ -79,9 +147,51 @@ setInterval(() => {
   }
 }, 300000).unref()
 
+// Keyset pagination cursors. A page at resultOffset N in the default
+// objectid order is fetched as "objectid > (last id of the page ending at N)"
+// instead of OFFSET N, which makes Databricks sort and skip every earlier
+// row. Each page's last id is remembered per table and filter, keyed by the
+// offset of the page that follows it: { 'key@offset': { id, timestamp } },
+// oldest entries evicted first. Inserts and deletes move rows between
+// offsets, so a table's cursors are dropped whenever its metadata is
+// re-fetched (see getTableMetadata) and never outlive the cached metadata.
+const CURSOR_CACHE_MAX_ENTRIES = 1000
+const cursorCache = new Map()
+
+function getCursor (key, offset) {
+  const entry = cursorCache.get(`${key}@${offset}`)
+  if (!entry || Date.now() - entry.timestamp >= cacheTTLMs) return undefined
+  return entry.id
+}
+
+function recordCursor (key, offset, id) {
+  // Only integer ids that are exact as numbers can seek (and be safely
+  // inlined into SQL); ids beyond 2^53, which arrive as strings (see
+  // normalizeFieldValue), always use OFFSET
+  if (!Number.isSafeInteger(id)) return
+
+  const cacheKey = `${key}@${offset}`
+  cursorCache.delete(cacheKey)
+  cursorCache.set(cacheKey, { id, timestamp: Date.now() })
+  if (cursorCache.size > CURSOR_CACHE_MAX_ENTRIES) {
+    cursorCache.delete(cursorCache.keys().next().value)
+  }
+}
+
+// Forget the cursors of every page sequence of a table
+function dropTableCursors (table) {
+  for (const cacheKey of [...cursorCache.keys()]) {
+    if (cacheKey.startsWith(`${table}|`)) cursorCache.delete(cacheKey)
+  }
+}
+
 function Model (koop) {
-  // Cache for field metadata: { [table]: { data, timestamp } }
+  // Cache for field metadata: { [table]: { data, geometryType, timestamp } }
   this.fieldsCache = {}
+  // Cache for full-table layer extents: { [table]: { data, timestamp } }
+  this.extentCache = {}
+  // Cache for time-aware layers' timeInfo: { [table]: { data, timestamp } }
+  this.timeInfoCache = {}
 }
 
 // Public function to return data from a Databricks SQL Endpoint
@@ -89,26 +199,35 @@ function Model (koop) {
 //
 // Supports standard Koop query parameters:
 // - where: SQL WHERE clause
-// - geometry: bbox for spatial filtering
+// - objectIds: comma-separated object IDs (IN filter)
+// - geometry: envelope, point, multipoint, polyline or polygon spatial filter
+// - spatialRel: spatial relationship for the geometry filter
+// - distance/units: buffer the geometry filter ("within 5 km")
 // - outFields: comma-separated list of fields to return
 // - returnGeometry: boolean to include/exclude geometry
+// - outSR: output spatial reference (reprojected in SQL with ST_Transform)
+// - maxAllowableOffset: generalize geometries in SQL with ST_Simplify
+// - geometryPrecision: number of decimals to round output coordinates to
+// - quantizationParameters: quantize output geometries (Esri JSON only)
+// - resultType: 'tile' clips to the quantization extent and uses the tile record limit
 // - resultOffset: pagination offset
 // - resultRecordCount: pagination limit
 // - orderByFields: SQL ORDER BY clause
+// - returnDistinctValues: SELECT DISTINCT over outFields (also with returnCountOnly)
+// - outStatistics/groupByFieldsForStatistics/having: aggregates with GROUP BY
+// - h3res: H3 resolution of the aggregate layer (layer 1)
 //
 // URL path parameters:
 // req.params.id - table name (catalog.schema.table)
-// req.params.layer - layer index (not used, leave as '0')
+// req.params.layer - layer index: 0 is the table, 1 its H3 aggregate layer
+//   (see getH3AggregateData)
 // req.params.method - method name (e.g., 'query')
 Model.prototype.getData = function (req, callback) {
   const thisTask = uuidv4()
   logger.info(`${thisTask}> Received request: ${req.url}`)
 
-  // Rate limiting. Behind a load balancer req.ip is the LB address (Express
-  // 'trust proxy' is not set by Koop), so prefer the first X-Forwarded-For hop.
-  const forwardedFor = req.headers && req.headers['x-forwarded-for']
-  const clientIp = (typeof forwardedFor === 'string' && forwardedFor.split(',')[0].trim()) ||
-    req.ip || req.socket?.remoteAddress || 'unknown'
+  // Rate limiting
+  const clientIp = getClientIp(req)
   if (!checkRateLimit(clientIp)) {
     logger.warn(`${thisTask}> Rate limit exceeded for ${clientIp}`)
     const err = new Error('Rate limit exceeded. Try again later.')
@@ -130,11 +249,59 @@ Model.prototype.getData = function (req, callback) {
         const returnCountOnly = req.query.returnCountOnly === 'true'
         const returnIdsOnly = req.query.returnIdsOnly === 'true'
         const returnExtentOnly = req.query.returnExtentOnly === 'true'
+        // Reprojection requested via outSR is pushed down with ST_Transform
+        const outSpatialReference = parseOutSR(req.query.outSR)
+        const outWkid = outSpatialReference ? outSpatialReference.wkid : spatialReference
 
         let queryString
         let result
 
-        if (returnCountOnly) {
+        // Flattened layers are queried through their flattened columns,
+        // known once the table metadata has been fetched, and name them by
+        // dotted paths as well as field names
+        if (getLayerFlattening(table)) {
+          await this.getTableMetadata(table, session, thisTask)
+          resolveQueryFieldPaths(req.query, table)
+        }
+
+        if (isH3AggregateLayer(req.params.layer)) {
+          // Virtual H3 aggregate layer: point counts per H3 cell, only on
+          // tables of points
+          const { geometryType } = await this.getTableMetadata(table, session, thisTask)
+          if (!hasH3AggregateLayer(geometryType)) {
+            const err = new Error(`Layer ${H3_AGGREGATE_LAYER} (H3 aggregate) is only available on point tables; ${table} is ${geometryType || 'of an unknown geometry type'}`)
+            err.code = 400
+            throw err
+          }
+          return callback(null, await getH3AggregateData(table, req.query, session, thisTask, geometryType))
+        }
+
+        if (req.query.outStatistics) {
+          // Aggregate statistics, computed with GROUP BY in Databricks
+          queryString = buildStatisticsQuery(table, req.query)
+          logger.info(`${thisTask}> Executing statistics query: ${queryString}`)
+
+          result = await executeAndRecord(session, queryString, 'statistics', thisTask)
+          logger.info(`${thisTask}> Returned ${result.length} statistics rows`)
+
+          // Field definitions let Koop type the group by fields
+          const fields = await this.getFieldMetadata(table, session, thisTask)
+          const metadata = { idField: objectId, name: table, fields: toKoopFields(fields) }
+
+          const statistics = parseOutStatistics(req.query.outStatistics)
+          if (statistics.some(({ statisticType }) => SPATIAL_AGGREGATES[statisticType])) {
+            // Koop's statistics response has no geometry, so aggregated
+            // geometries are returned as already-filtered features
+            return callback(null, buildSpatialStatisticsCollection(result, statistics, req.query, metadata))
+          }
+
+          if (result.length === 0) {
+            // Koop can't render an empty statistics array (e.g. no groups
+            // matched), so return an empty, already-filtered feature set
+            return callback(null, { type: 'FeatureCollection', features: [], metadata, filtersApplied: { all: true } })
+          }
+          return callback(null, { statistics: result, metadata })
+        } else if (returnCountOnly) {
           // Return only count
           queryString = buildCountQuery(table, req.query)
           logger.info(`${thisTask}> Executing count query: ${queryString}`)
@@ -146,6 +313,12 @@ Model.prototype.getData = function (req, callback) {
 
           return callback(null, { count })
         } else if (returnIdsOnly) {
+          // Deep pages seek from cursors, which are only kept while the
+          // table's metadata is cached
+          if (parseResultOffset(req.query.resultOffset) > 0) {
+            await this.getTableMetadata(table, session, thisTask)
+          }
+
           // Return only IDs
           queryString = buildIdsQuery(table, req.query)
           logger.info(`${thisTask}> Executing IDs query: ${queryString}`)
@@ -154,8 +327,16 @@ Model.prototype.getData = function (req, callback) {
 
           const objectIds = result.map(row => row[objectId])
           logger.info(`${thisTask}> Returned ${objectIds.length} IDs`)
-
-          return callback(null, { objectIdFieldName: objectId, objectIds })
+          recordPageCursor(table, req.query, objectIds.length, objectIds[objectIds.length - 1])
+
+          // FeatureServer reads the IDs from the features' attributes
+          // (renderIdsOnlyResponse), in both the JSON and PBF responses
+          return callback(null, {
+            type: 'FeatureCollection',
+            features: objectIds.map(id => ({ attributes: { [objectId]: id } })),
+            metadata: { idField: objectId, name: table },
+            filtersApplied: { all: true }
+          })
         } else if (returnExtentOnly) {
           // Return only extent (bounding box)
           queryString = buildExtentQuery(table, req.query)
@@ -170,7 +351,7 @@ Model.prototype.getData = function (req, callback) {
               xmax: result[0].xmax,
               ymax: result[0].ymax,
               spatialReference: {
-                wkid: spatialReference
+                wkid: outWkid
               }
             }
             logger.info(`${thisTask}> Extent result: ${JSON.stringify(extent)}`)
@@ -181,18 +362,35 @@ Model.prototype.getData = function (req, callback) {
           }
         }
 
+        // Field metadata from DESCRIBE TABLE, and the table's geometry type
+        // (the same whichever page was asked for). The field types tell the
+        // translator which values to normalize. Fetched before the query is
+        // built, as a refresh drops the table's cursors.
+        const tableMetadata = await this.getTableMetadata(table, session, thisTask)
+
         // Regular query
         queryString = buildQuery(table, req.query, thisTask)
 
         logger.info(`${thisTask}> Executing query: ${queryString}`)
 
-        // Don't use maxRows option - it conflicts with SQL LIMIT
-        result = await executeAndRecord(session, queryString, 'features', thisTask)
+        // Don't use maxRows option - it conflicts with SQL LIMIT.
+        // Rows are converted to GeoJSON features (from ST_AsGeoJSON) as they
+        // are fetched
+        let features = await executeAndRecord(session, queryString, 'features', thisTask, createFeatureTranslator(req.query, tableMetadata.fields))
 
-        logger.info(`${thisTask}> Received ${result.length} rows`)
+        logger.info(`${thisTask}> Received ${features.length} rows`)
 
-        // Convert to GeoJSON using ST_AsGeoJSON results
-        const geojson = translateWithSTFunctions(result, req.query)
+        // buildQuery fetches one row past the page; its presence means there
+        // are more rows for the client to page through
+        const limit = parseResultRecordCount(req.query.resultRecordCount, req.query.resultType)
+        const exceededTransferLimit = features.length > limit
+        if (exceededTransferLimit) {
+          features = features.slice(0, limit)
+        }
+        const lastFeature = features[features.length - 1]
+        recordPageCursor(table, req.query, features.length, lastFeature && lastFeature.properties[objectId])
+
+        const geojson = { type: 'FeatureCollection', features }
 
         logger.info(`${thisTask}> Translated to ${geojson.features.length} features`)
         if (geojson.features.length > 0) {
@@ -203,52 +401,81 @@ Model.prototype.getData = function (req, callback) {
         geojson.metadata = {
           idField: objectId,
           name: table,
-          maxRecordCount: maxRows
+          maxRecordCount: maxRows,
+          exceededTransferLimit
         }
 
-        // Detect and add geometry type from first feature
-        if (geojson.features.length > 0 && geojson.features[0].geometry) {
-          const geomType = geojson.features[0].geometry.type
-          const ESRI_TYPE_MAP = {
-            Point: 'esriGeometryPoint',
-            MultiPoint: 'esriGeometryMultipoint',
-            LineString: 'esriGeometryPolyline',
-            MultiLineString: 'esriGeometryPolyline',
-            Polygon: 'esriGeometryPolygon',
-            MultiPolygon: 'esriGeometryPolygon',
-            GeometryCollection: 'esriGeometryPolygon'
-          }
-          geojson.metadata.geometryType = ESRI_TYPE_MAP[geomType]
-          if (!geojson.metadata.geometryType) {
-            logger.warn(`Unknown geometry type: ${geomType}, defaulting to esriGeometryPoint`)
-            geojson.metadata.geometryType = 'esriGeometryPoint'
+        // Add the field metadata, with Koop's field type names, and the
+        // geometry type. Only when the table metadata can't tell is the
+        // geometry type taken from the first feature.
+        geojson.metadata.fields = toKoopFields(tableMetadata.fields)
+        geojson.metadata.geometryType = tableMetadata.geometryType
+        if (!geojson.metadata.geometryType) {
+          const first = geojson.features.find(feature => feature.geometry)
+          if (first) {
+            const members = first.geometry.geometries
+            geojson.metadata.geometryType = resolveGeometryType([{ geometry_type: first.geometry.type, member_type: members && members[0] && members[0].type }]) || 'esriGeometryPoint'
+            logger.info(`${thisTask}> Geometry type from the first feature: ${geojson.metadata.geometryType}`)
           }
-          logger.info(`${thisTask}> Detected geometry type: ${geojson.metadata.geometryType}`)
         }
 
-        // Add field metadata from DESCRIBE TABLE
-        geojson.metadata.fields = await this.getFieldMetadata(table, session, thisTask)
-
         // Tell Koop that we've already applied these filters server-side
         // This prevents Koop from re-applying pagination on already-paginated results.
-        // Only claim the geometry filter when we actually built one — for unsupported
-        // geometry shapes (e.g. polygon filters) Koop falls back to filtering in-memory.
+        // Only claim the geometry filter when we actually built one — if the geometry
+        // parameter can't be parsed, Koop falls back to filtering in-memory.
         geojson.filtersApplied = {
           offset: true, // We handle resultOffset with SQL OFFSET
           limit: true, // We handle resultRecordCount with SQL LIMIT
           where: true, // We handle WHERE clauses in SQL
           geometry: !req.query.geometry ||
-            buildBboxFilter(req.query.geometry, req.query.geometryType, req.query.inSR) !== null
+            buildGeometryFilter(req.query.geometry, req.query.geometryType, req.query.inSR, req.query.spatialRel) !== null,
+          geometryPrecision: true, // We round coordinates in translateWithSTFunctions
+          distinct: true, // We handle returnDistinctValues with SELECT DISTINCT
+          objectIds: true // We handle objectIds with IN (...)
+        }
+        if (outSpatialReference) {
+          geojson.filtersApplied.projection = true // We handle outSR with ST_Transform
         }
 
-        // Add extent if we have features
-        if (geojson.features && geojson.features.length > 0) {
-          const extent = calculateExtent(geojson.features)
+        // Add the layer extent: the whole table's, so the layer and service
+        // JSON report the same extent whichever page was fetched. The page's
+        // own extent is only a fallback when the table's can't be computed.
+        const layerExtent = await this.getLayerExtent(table, session, thisTask)
+        if (layerExtent) {
+          geojson.metadata.extent = layerExtent
+        } else if (geojson.features && geojson.features.length > 0) {
+          const extent = calculateExtent(geojson.features, outWkid)
           if (extent) {
             geojson.metadata.extent = extent
           }
         }
 
+        // Time-aware layers advertise their time fields, extent and default
+        // interval, which time sliders read from the layer JSON
+        const timeInfo = await this.getTimeInfo(table, session, thisTask)
+        if (timeInfo) {
+          geojson.metadata.timeInfo = timeInfo
+        }
+
+        // Quantized queries are returned as quantized Esri JSON features plus
+        // a transform, which Koop must render as-is (GeoJSON is never quantized)
+        const quantization = parseQuantizationParameters(req.query.quantizationParameters, outSpatialReference)
+        if (quantization && req.query.f !== 'geojson') {
+          const quantizer = createQuantizer(quantization)
+          geojson.features = geojson.features.map(feature => ({
+            attributes: feature.properties,
+            geometry: quantizeGeometry(feature.geometry, quantizer)
+          }))
+          geojson.metadata.transform = quantizer.transform
+          geojson.filtersApplied.all = true
+        }
+
+        // The service JSON and its /layers list every layer of the service:
+        // the table and, for point tables, its H3 aggregate layer
+        if (isServiceInfoRequest(req) && hasH3AggregateLayer(tableMetadata.geometryType)) {
+          return callback(null, { layers: [geojson, getH3LayerInfo(table, geojson.metadata.extent)] })
+        }
+
         callback(null, geojson)
       } catch (error) {
         logger.error(`${thisTask}> Error executing query:`, error)
@@ -268,6 +495,111 @@ Model.prototype.getData = function (req, callback) {
     })
 }
 
+// Features of one vector tile (/VectorTileServer/tile/:z/:y/:x.pbf), clipped
+// to the tile and simplified to its resolution in Databricks (see
+// buildTileQuery). Supports the where and outFields query parameters.
+// Return: { name, features }, GeoJSON features in Web Mercator with their
+// objectid as the feature id, for mvt.js to encode
+Model.prototype.getTile = async function (req) {
+  const thisTask = uuidv4()
+  logger.info(`${thisTask}> Received tile request: ${req.url}`)
+
+  const clientIp = getClientIp(req)
+  if (!checkRateLimit(clientIp)) {
+    logger.warn(`${thisTask}> Rate limit exceeded for ${clientIp}`)
+    const err = new Error('Rate limit exceeded. Try again later.')
+    err.code = 429
+    throw err
+  }
+
+  const table = req.params.id
+  if (!table || typeof table !== 'string' || !isValidTableName(table)) {
+    const err = new Error('Invalid table name provided')
+    err.code = 400
+    throw err
+  }
+  const tile = parseTileCoordinates(req.params)
+
+  const session = await connectionManager.getSession()
+  try {
+    // Fetched first: flattened layers' tile queries select their flattened
+    // columns (see buildTableSource)
+    const fields = await this.getFieldMetadata(table, session, thisTask)
+    const queryString = buildTileQuery(table, tile, resolveQueryFieldPaths(req.query || {}, table))
+    logger.info(`${thisTask}> Executing tile query: ${queryString}`)
+    const features = await executeAndRecord(session, queryString, 'tile', thisTask, createFeatureTranslator({}, fields))
+    if (features.length > tileMaxRecordCount) {
+      logger.warn(`${thisTask}> Tile ${tile.z}/${tile.y}/${tile.x} truncated to ${tileMaxRecordCount} features`)
+      features.length = tileMaxRecordCount
+    }
+    logger.info(`${thisTask}> Returned ${features.length} tile features`)
+
+    // SELECT * includes the raw geometry column, which has no place in a tile
+    features.forEach(feature => {
+      feature.id = feature.properties[objectId]
+      delete feature.properties[geometryColumn]
+    })
+    return { name: table, features }
+  } finally {
+    try {
+      await session.close()
+    } catch (cleanupError) {
+      logger.error(`${thisTask}> Error during cleanup:`, cleanupError)
+    }
+  }
+}
+
+// Settings for one layer from the "layers" section of config/default.json
+function getLayerConfig (table) {
+  return layerConfigs[table] || {}
+}
+
+// How a layer's arrays are flattened: as JSON text or their first element
+const FLATTEN_ARRAY_MODES = ['json', 'first']
+
+// Flattening settings of a layer with "flatten" set in its config, or null.
+// STRUCT columns are flattened into their leaves; "flattenArrays" says how
+// ARRAY columns are published (see flattenColumn in nested-fields.js).
+function getLayerFlattening (table) {
+  const { flatten, flattenArrays = 'json' } = getLayerConfig(table)
+  if (!flatten) return null
+  if (!FLATTEN_ARRAY_MODES.includes(flattenArrays)) {
+    logger.warn(`Ignoring flattenArrays ${flattenArrays} for ${table}; one of ${FLATTEN_ARRAY_MODES.join(', ')}`)
+    return { arrays: 'json' }
+  }
+  return { arrays: flattenArrays }
+}
+
+// Flattened columns of the layers with flattening, by table: [{ name, path,
+// expression, dataType }], registered by getTableMetadata. The query
+// builders select from them (see buildTableSource).
+const flattenedColumns = new Map()
+
+// FROM source of a table's queries: the table itself, or for layers with
+// flattening a subquery selecting the flattened columns under their field
+// names, so filters, outFields, statistics and ordering can name them like
+// any other column
+function buildTableSource (table) {
+  const columns = flattenedColumns.get(table)
+  if (!columns) return table
+  const select = columns.map(({ name, expression }) => expression === name ? name : `${expression} AS ${name}`)
+  return `(SELECT ${select.join(', ')} FROM ${table}) flattened`
+}
+
+// Rewrite the dotted paths (addresses.locality) in the where, outFields and
+// orderByFields parameters of a flattened layer's query to field names, in
+// place, so FeatureServer also lists the returned fields by those names
+function resolveQueryFieldPaths (query, table) {
+  const columns = flattenedColumns.get(table)
+  if (!columns) return query
+  for (const param of ['where', 'outFields', 'orderByFields']) {
+    if (typeof query[param] === 'string') {
+      query[param] = resolveFieldPaths(query[param], columns)
+    }
+  }
+  return query
+}
+
 // Validate table name format (catalog.schema.table or schema.table)
 function isValidTableName (tableName) {
   // Allow alphanumeric, underscores, and dots for three-level namespace
@@ -298,12 +630,120 @@ function buildGeometryExpression () {
   }
 }
 
-// Parse resultRecordCount, clamping to [1, maxRows]. Invalid, negative, or
-// oversized values fall back to maxRows so clients can't bypass the row cap.
-function parseResultRecordCount (value) {
+// Parse the outSR parameter (a wkid, '{"wkid":...}' JSON, or an object Koop
+// core already parsed) into { wkid, srid }: the wkid to report back to the
+// client and the EPSG code to ST_Transform to. Returns null when the output
+// is already in the data's spatial reference, or when outSR can't be pushed
+// down (e.g. a WKT string or an Esri-only WKID) so Koop reprojects in memory
+// as before.
+function parseOutSR (outSR) {
+  const srid = normalizeWkid(outSR)
+  if (!srid || !isSupportedSrid(srid) || srid === normalizeWkid(spatialReference)) return null
+
+  const parsed = parseSpatialReference(outSR)
+  return { wkid: parsed.wkid || srid, srid }
+}
+
+// Geometry expression for output, wrapped in ST_Transform when an output
+// spatial reference is requested, clipped to clipGeometry (an expression in
+// the output spatial reference) for tile queries, and wrapped in ST_Simplify
+// when a maxAllowableOffset is given. The offset is in output units (per the
+// GeoServices spec), so simplification runs after the transform.
+function buildOutputGeometryExpression (outSpatialReference, maxAllowableOffset, clipGeometry) {
+  let geomExpr = buildGeometryExpression()
+  if (outSpatialReference) {
+    geomExpr = `ST_Transform(${geomExpr}, ${outSpatialReference.srid})`
+  }
+  if (clipGeometry) {
+    geomExpr = `ST_Intersection(${geomExpr}, ${clipGeometry})`
+  }
+  if (maxAllowableOffset) {
+    geomExpr = `ST_Simplify(${geomExpr}, ${maxAllowableOffset})`
+  }
+  return geomExpr
+}
+
+// Parse maxAllowableOffset into a simplification tolerance. Returns null
+// when no generalization was requested; invalid values are rejected with a 400.
+function parseMaxAllowableOffset (value) {
+  if (value === undefined || value === null || value === '') return null
+
+  const offset = Number(value)
+  if (!isFinite(offset) || offset < 0) {
+    const err = new Error(`Invalid maxAllowableOffset: ${value}`)
+    err.code = 400
+    throw err
+  }
+  return offset > 0 ? offset : null
+}
+
+// Parse geometryPrecision into a number of decimals (0-17). Returns null when
+// coordinates should be returned at full precision; invalid values are
+// rejected with a 400.
+function parseGeometryPrecision (value) {
+  if (value === undefined || value === null || value === '') return null
+
+  const precision = Number(value)
+  if (!Number.isInteger(precision) || precision < 0 || precision > 17) {
+    const err = new Error(`Invalid geometryPrecision: ${value}. Must be an integer between 0 and 17`)
+    err.code = 400
+    throw err
+  }
+  return precision
+}
+
+// Parse quantizationParameters ({ extent, tolerance, originPosition, mode },
+// as JSON or already parsed by Koop core) into { extent, tolerance,
+// originPosition, mode, srid }, where srid is the output spatial reference
+// (outSpatialReference, see parseOutSR, or the data's).
+// Returns null when no quantization was requested; invalid parameters are
+// rejected with a 400.
+function parseQuantizationParameters (value, outSpatialReference) {
+  if (value === undefined || value === null || value === '') return null
+
+  const invalid = message => {
+    const err = new Error(`Invalid quantizationParameters: ${message}`)
+    err.code = 400
+    return err
+  }
+
+  let params = value
+  if (typeof params === 'string') {
+    try {
+      params = JSON.parse(params)
+    } catch (error) {
+      throw invalid('must be a JSON object')
+    }
+  }
+  if (!params || typeof params !== 'object') throw invalid('must be a JSON object')
+
+  const { extent, mode = 'view', originPosition = 'upperLeft' } = params
+  const tolerance = Number(params.tolerance)
+  if (!extent || !['xmin', 'ymin', 'xmax', 'ymax'].every(k => isFinite(Number(extent[k])))) {
+    throw invalid('extent must have numeric xmin, ymin, xmax and ymax')
+  }
+  if (!isFinite(tolerance) || tolerance <= 0) throw invalid('tolerance must be a positive number')
+  if (!['upperLeft', 'lowerLeft'].includes(originPosition)) throw invalid('originPosition must be upperLeft or lowerLeft')
+  if (!['view', 'edit'].includes(mode)) throw invalid('mode must be view or edit')
+
+  // The tolerance is in extent units, so the extent has to be in the output
+  // spatial reference
+  const srid = outSpatialReference ? outSpatialReference.srid : normalizeWkid(spatialReference)
+  const extentSrid = normalizeWkid(extent.spatialReference) || srid
+  if (extentSrid !== srid) throw invalid(`extent spatial reference ${extentSrid} must match outSR`)
+
+  const [xmin, ymin, xmax, ymax] = ['xmin', 'ymin', 'xmax', 'ymax'].map(k => Number(extent[k]))
+  return { extent: { xmin, ymin, xmax, ymax }, tolerance, originPosition, mode, srid }
+}
+
+// Parse resultRecordCount, clamping to [1, maxRows] (or the tile record limit
+// for resultType=tile). Invalid, negative, or oversized values fall back to
+// the limit so clients can't bypass the row cap.
+function parseResultRecordCount (value, resultType) {
+  const limit = resultType === 'tile' ? tileMaxRecordCount : maxRows
   const parsed = parseInt(value)
-  if (isNaN(parsed) || parsed <= 0) return maxRows
-  return Math.min(parsed, maxRows)
+  if (isNaN(parsed) || parsed <= 0) return limit
+  return Math.min(parsed, limit)
 }
 
 // Parse resultOffset, treating invalid or negative values as 0
@@ -324,19 +764,60 @@ function pushValidatedWhere (whereClauses, where) {
   }
 }
 
+// Largest IN (...) list per objectIds chunk; longer lists are OR'ed chunks
+const OBJECT_IDS_CHUNK_SIZE = 1000
+
+// Parse objectIds (comma-separated, an array, or a single number) into a
+// de-duplicated list of integers. Returns null when no objectIds were given;
+// non-numeric ids are rejected with a 400. Ids beyond 2^53 (returned as
+// strings, see normalizeFieldValue) are kept as their digits, since a
+// Number would round them to another id.
+function parseObjectIds (value) {
+  if (value === undefined || value === null || value === '') return null
+
+  const ids = Array.isArray(value) ? value : String(value).split(',')
+  const parsed = ids.map(id => String(id).trim())
+  const invalid = parsed.find(id => !/^-?\d+$/.test(id))
+  if (invalid !== undefined) {
+    const err = new Error(`Invalid objectIds: ${invalid} is not an integer`)
+    err.code = 400
+    throw err
+  }
+  // Dedupe on the digits, without leading zeros (or the sign of -0)
+  const digits = parsed.map(id => id.replace(/^(-?)0+(?=\d)/, '$1').replace(/^-0$/, '0'))
+  return [...new Set(digits)]
+    .map(id => Number.isSafeInteger(Number(id)) ? Number(id) : id)
+}
+
+// Build the objectIds filter, chunked into OR'ed IN lists
+function buildObjectIdsFilter (ids) {
+  const chunks = []
+  for (let i = 0; i < ids.length; i += OBJECT_IDS_CHUNK_SIZE) {
+    chunks.push(`${objectId} IN (${ids.slice(i, i + OBJECT_IDS_CHUNK_SIZE).join(', ')})`)
+  }
+  return chunks.length === 1 ? chunks[0] : `(${chunks.join(' OR ')})`
+}
+
 // Build the list of WHERE clauses shared by all query builders:
-// user WHERE, bbox spatial filter, H3 filter, and time filter. Keeping this
+// user WHERE, objectIds, spatial filter (optionally buffered by distance/units), H3 filter, and time filter. Keeping this
 // in one place ensures returnCountOnly/returnIdsOnly/returnExtentOnly apply the
 // exact same filters as the feature query (ArcGIS clients rely on that parity).
-function buildWhereClauses (query) {
+// The table, when given, selects the layer's time fields (see buildQueryTimeFilter).
+function buildWhereClauses (query, table) {
   const whereClauses = []
 
   pushValidatedWhere(whereClauses, query.where)
 
+  const objectIds = parseObjectIds(query.objectIds)
+  if (objectIds) {
+    whereClauses.push(buildObjectIdsFilter(objectIds))
+  }
+
   if (query.geometry) {
-    const bboxFilter = buildBboxFilter(query.geometry, query.geometryType, query.inSR)
-    if (bboxFilter) {
-      whereClauses.push(bboxFilter)
+    const distanceMeters = parseDistance(query.distance, query.units)
+    const geometryFilter = buildGeometryFilter(query.geometry, query.geometryType, query.inSR, query.spatialRel, distanceMeters)
+    if (geometryFilter) {
+      whereClauses.push(geometryFilter)
     }
   }
 
@@ -348,7 +829,7 @@ function buildWhereClauses (query) {
   }
 
   if (query.time) {
-    const timeFilter = buildTimeFilter(query.time, query.timeField)
+    const timeFilter = buildQueryTimeFilter(query, table)
     if (timeFilter) {
       whereClauses.push(timeFilter)
     }
@@ -357,20 +838,575 @@ function buildWhereClauses (query) {
   return whereClauses
 }
 
-// Build count query (for returnCountOnly)
+// Cursor cache key for a query's page sequence (see recordCursor), or null
+// when the query isn't paged in objectid order (orderByFields, distinct
+// values) and must use OFFSET
+function getCursorKey (table, query, whereClauses) {
+  if (!keysetPagination || query.orderByFields || parseDistinctFields(query)) return null
+  return `${table}|${whereClauses.join(' AND ')}`
+}
+
+// Remember the last objectid of a page of rowCount rows, so the page after
+// it can seek (see getPageFilter)
+function recordPageCursor (table, query, rowCount, lastId) {
+  const key = getCursorKey(table, query, buildWhereClauses(query, table))
+  if (!key || rowCount === 0) return
+  recordCursor(key, parseResultOffset(query.resultOffset) + rowCount, lastId)
+}
+
+// Resolve the page at offset: an "objectid > lastSeen" filter when the
+// previous page's last id is known, otherwise OFFSET. Returns
+// { seekFilter, offset }, with offset 0 when seeking.
+function getPageFilter (table, query, whereClauses, offset) {
+  const key = offset > 0 ? getCursorKey(table, query, whereClauses) : null
+  const lastSeen = key ? getCursor(key, offset) : undefined
+  if (lastSeen === undefined) return { seekFilter: null, offset }
+  return { seekFilter: `${objectId} > ${lastSeen}`, offset: 0 }
+}
+
+// Parse returnDistinctValues into the validated list of outFields to select
+// distinct values of. Returns null when distinct values weren't requested;
+// outFields must name the fields explicitly (400 otherwise).
+function parseDistinctFields (query) {
+  if (String(query.returnDistinctValues) !== 'true') return null
+
+  if (!query.outFields || query.outFields === '*') {
+    const err = new Error('returnDistinctValues requires outFields to list the fields')
+    err.code = 400
+    throw err
+  }
+  const result = validateColumnList(query.outFields)
+  if (!result.valid) {
+    throw new Error(`Invalid outFields: ${result.error}`)
+  }
+  return result.fields
+}
+
+// Build count query (for returnCountOnly). With returnDistinctValues this
+// counts the distinct outFields combinations instead of rows.
 function buildCountQuery (table, query) {
-  const whereClauses = buildWhereClauses(query)
+  const whereClauses = buildWhereClauses(query, table)
   const whereClause = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : ''
 
-  return `SELECT COUNT(*) as cnt FROM ${table} ${whereClause}`.trim()
+  const distinctFields = parseDistinctFields(query)
+  if (distinctFields) {
+    const distinctQuery = `SELECT DISTINCT ${distinctFields.join(', ')} FROM ${buildTableSource(table)} ${whereClause}`.trim()
+    return `SELECT COUNT(*) as cnt FROM (${distinctQuery}) distinct_values`
+  }
+
+  return `SELECT COUNT(*) as cnt FROM ${buildTableSource(table)} ${whereClause}`.trim()
+}
+
+// Esri statisticType values and the Databricks aggregate each maps to, built
+// from the field and the statistic's parameters (see parseOutStatistics).
+// stddev and var are sample statistics, as in ArcGIS. Percentiles use
+// percentile_approx on layers configured with "approximateStatistics".
+const STATISTIC_FUNCTIONS = {
+  count: field => `COUNT(${field})`,
+  sum: field => `SUM(${field})`,
+  min: field => `MIN(${field})`,
+  max: field => `MAX(${field})`,
+  avg: field => `AVG(${field})`,
+  stddev: field => `STDDEV_SAMP(${field})`,
+  var: field => `VAR_SAMP(${field})`,
+  percentile_cont: (field, params) => buildPercentile('percentile_cont', field, params),
+  percentile_disc: (field, params) => buildPercentile('percentile_disc', field, params)
+}
+
+const PERCENTILE_TYPES = ['percentile_cont', 'percentile_disc']
+
+// Spatial aggregate statisticTypes: the select list computing each from the
+// output geometry expression, and the resulting Esri geometry type. The
+// envelope follows buildExtentQuery's per-row MIN/MAX pattern so it stays
+// cheap on large tables; the centroid and the convex hull are those of the
+// union of the geometries, so large polygons weigh more than small ones.
+const SPATIAL_AGGREGATES = {
+  EnvelopeAggregate: {
+    geometryType: 'esriGeometryPolygon',
+    select: geom => [
+      `MIN(ST_XMin(ST_Envelope(${geom}))) as __xmin__`,
+      `MIN(ST_YMin(ST_Envelope(${geom}))) as __ymin__`,
+      `MAX(ST_XMax(ST_Envelope(${geom}))) as __xmax__`,
+      `MAX(ST_YMax(ST_Envelope(${geom}))) as __ymax__`
+    ]
+  },
+  CentroidAggregate: {
+    geometryType: 'esriGeometryPoint',
+    select: geom => [`ST_AsGeoJSON(ST_Centroid(ST_Union_Agg(${geom}))) as __geojson__`]
+  },
+  ConvexHullAggregate: {
+    geometryType: 'esriGeometryPolygon',
+    select: geom => [`ST_AsGeoJSON(ST_ConvexHull(ST_Union_Agg(${geom}))) as __geojson__`]
+  }
+}
+
+function buildPercentile (fn, field, { value, orderBy, approximate }) {
+  if (approximate) {
+    // percentile_approx has no ordering; a descending percentile p is the
+    // ascending percentile 1 - p
+    return `percentile_approx(${field}, ${orderBy === 'DESC' ? +(1 - value).toFixed(12) : value})`
+  }
+  return `${fn}(${value}) WITHIN GROUP (ORDER BY ${field}${orderBy === 'DESC' ? ' DESC' : ''})`
+}
+
+// Parse and validate the outStatistics parameter (JSON, or an array already
+// parsed by Koop core) into [{ statisticType, onStatisticField,
+// outStatisticFieldName, statisticParameters }]. Percentiles require
+// statisticParameters.value (0-1) and accept an orderBy of ASC or DESC.
+// Invalid definitions are rejected with a 400.
+function parseOutStatistics (outStatistics) {
+  const invalid = message => {
+    const err = new Error(`Invalid outStatistics: ${message}`)
+    err.code = 400
+    return err
+  }
+
+  let statistics = outStatistics
+  if (typeof statistics === 'string') {
+    try {
+      statistics = JSON.parse(statistics)
+    } catch (error) {
+      throw invalid('must be a JSON array')
+    }
+  }
+  if (!Array.isArray(statistics) || statistics.length === 0) throw invalid('must be a non-empty JSON array')
+
+  const parsed = statistics.map(statistic => {
+    const statisticType = String((statistic && statistic.statisticType) || '').toLowerCase()
+
+    // Spatial aggregates always aggregate the layer geometry, whatever the
+    // onStatisticField (usually the shape field name)
+    const spatialType = Object.keys(SPATIAL_AGGREGATES).find(type => type.toLowerCase() === statisticType)
+    if (spatialType) {
+      const outStatisticFieldName = statistic.outStatisticFieldName || spatialType
+      if (!validateColumnName(outStatisticFieldName).valid) {
+        throw invalid(`invalid outStatisticFieldName: ${outStatisticFieldName}`)
+      }
+      return { statisticType: spatialType, onStatisticField: statistic.onStatisticField, outStatisticFieldName }
+    }
+
+    if (!STATISTIC_FUNCTIONS[statisticType]) {
+      const supported = Object.keys(STATISTIC_FUNCTIONS).concat(Object.keys(SPATIAL_AGGREGATES))
+      throw invalid(`unsupported statisticType: ${statistic && statistic.statisticType}. Supported values: ${supported.join(', ')}`)
+    }
+
+    const onStatisticField = String(statistic.onStatisticField || '').trim()
+    if (!(onStatisticField === '*' && statisticType === 'count') && !validateColumnName(onStatisticField).valid) {
+      throw invalid(`invalid onStatisticField: ${statistic.onStatisticField}`)
+    }
+
+    const outStatisticFieldName = statistic.outStatisticFieldName ||
+      `${statisticType}_${onStatisticField === '*' ? 'all' : onStatisticField}`
+    if (!validateColumnName(outStatisticFieldName).valid) {
+      throw invalid(`invalid outStatisticFieldName: ${outStatisticFieldName}`)
+    }
+
+    const definition = { statisticType, onStatisticField, outStatisticFieldName }
+    if (PERCENTILE_TYPES.includes(statisticType)) {
+      const params = statistic.statisticParameters || {}
+      const value = params.value === null || params.value === '' ? NaN : Number(params.value)
+      if (!(value >= 0 && value <= 1)) {
+        throw invalid(`${statisticType} requires statisticParameters.value between 0 and 1`)
+      }
+      const orderBy = String(params.orderBy || 'ASC').toUpperCase()
+      if (!['ASC', 'DESC'].includes(orderBy)) {
+        throw invalid(`invalid statisticParameters.orderBy: ${params.orderBy}`)
+      }
+      definition.statisticParameters = { value, orderBy }
+    }
+    return definition
+  })
+
+  if (parsed.filter(({ statisticType }) => SPATIAL_AGGREGATES[statisticType]).length > 1) {
+    throw invalid('only one spatial aggregate statistic is allowed per query')
+  }
+  return parsed
+}
+
+// Parse groupByFieldsForStatistics (comma-separated, or an array already
+// parsed by Koop core) into a validated list of column names
+function parseGroupByFields (groupByFieldsForStatistics) {
+  if (!groupByFieldsForStatistics) return []
+
+  const list = Array.isArray(groupByFieldsForStatistics)
+    ? groupByFieldsForStatistics.join(',')
+    : groupByFieldsForStatistics
+  const result = validateColumnList(list)
+  if (!result.valid) {
+    throw new Error(`Invalid groupByFieldsForStatistics: ${result.error}`)
+  }
+  return result.fields
+}
+
+// Build statistics query (for outStatistics): aggregates over the same
+// filters as the feature query, grouped by groupByFieldsForStatistics and
+// filtered by the having clause. Grouped results are ordered and paged like
+// features so large group sets stay under maxRows. Spatial aggregates are
+// computed on the output geometry (reprojected to outSR, like the extent
+// query) into reserved columns; see translateSpatialStatistics.
+function buildStatisticsQuery (table, query) {
+  const statistics = parseOutStatistics(query.outStatistics)
+  const groupByFields = parseGroupByFields(query.groupByFieldsForStatistics)
+
+  const { approximateStatistics } = getLayerConfig(table)
+  const aggregates = []
+  for (const { statisticType, onStatisticField, outStatisticFieldName, statisticParameters } of statistics) {
+    if (SPATIAL_AGGREGATES[statisticType]) {
+      const geomExpr = buildOutputGeometryExpression(parseOutSR(query.outSR))
+      aggregates.push(...SPATIAL_AGGREGATES[statisticType].select(geomExpr))
+    } else {
+      const params = { ...statisticParameters, approximate: !!approximateStatistics }
+      aggregates.push(`${STATISTIC_FUNCTIONS[statisticType](onStatisticField, params)} as ${outStatisticFieldName}`)
+    }
+  }
+
+  const whereClauses = buildWhereClauses(query, table)
+  const whereClause = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : ''
+
+  let sql = `SELECT ${groupByFields.concat(aggregates).join(', ')} FROM ${buildTableSource(table)} ${whereClause}`.trim()
+
+  if (groupByFields.length > 0) {
+    sql += ` GROUP BY ${groupByFields.join(', ')}`
+  }
+
+  if (query.having) {
+    const result = validateWhereClause(query.having)
+    if (!result.valid) {
+      throw new Error(`Invalid having clause: ${result.error}`)
+    }
+    sql += ` HAVING ${query.having}`
+  }
+
+  if (query.orderByFields) {
+    sql += ` ORDER BY ${sanitizeOrderBy(query.orderByFields)}`
+  } else if (groupByFields.length > 0) {
+    sql += ` ORDER BY ${groupByFields.join(', ')}`
+  }
+
+  if (groupByFields.length > 0) {
+    const offset = parseResultOffset(query.resultOffset)
+    sql += ` LIMIT ${parseResultRecordCount(query.resultRecordCount)}`
+    if (offset > 0) {
+      sql += ` OFFSET ${offset}`
+    }
+  }
+
+  return sql
+}
+
+// Turn spatial aggregate statistics rows into GeoJSON features: the
+// reserved columns from SPATIAL_AGGREGATES become the geometry, everything
+// else (group by fields, other statistics) the properties
+function translateSpatialStatistics (rows, statisticType) {
+  return rows.map(row => {
+    const { __xmin__: xmin, __ymin__: ymin, __xmax__: xmax, __ymax__: ymax, __geojson__: geojson, ...properties } = row
+    let geometry = null
+
+    if (statisticType === 'EnvelopeAggregate' && xmin !== null && xmin !== undefined) {
+      geometry = {
+        type: 'Polygon',
+        coordinates: [[[xmin, ymin], [xmax, ymin], [xmax, ymax], [xmin, ymax], [xmin, ymin]]]
+      }
+    } else if (geojson) {
+      try {
+        geometry = JSON.parse(geojson)
+      } catch (error) {
+        logger.error(`Error parsing GeoJSON of ${statisticType}:`, error)
+      }
+    }
+
+    return { type: 'Feature', geometry, properties }
+  })
+}
+
+// Build the response for a spatial aggregate statistics query: one feature
+// per group (Esri JSON, or GeoJSON for f=geojson) with the group by fields and
+// other statistics as attributes, flagged as fully filtered so Koop renders
+// it as-is
+function buildSpatialStatisticsCollection (rows, statistics, query, metadata) {
+  const { statisticType } = statistics.find(statistic => SPATIAL_AGGREGATES[statistic.statisticType])
+  const groupByFields = parseGroupByFields(query.groupByFieldsForStatistics)
+  const features = translateSpatialStatistics(rows, statisticType)
+
+  const fields = metadata.fields
+    .filter(field => groupByFields.includes(field.name))
+    .concat(statistics
+      .filter(statistic => !SPATIAL_AGGREGATES[statistic.statisticType])
+      .map(({ outStatisticFieldName }) => ({ name: outStatisticFieldName, type: 'Double', alias: outStatisticFieldName })))
+
+  return {
+    type: 'FeatureCollection',
+    features: query.f === 'geojson'
+      ? features
+      : features.map(feature => ({ attributes: feature.properties, geometry: geojsonToEsriGeometry(feature.geometry) })),
+    metadata: { ...metadata, geometryType: SPATIAL_AGGREGATES[statisticType].geometryType, fields },
+    filtersApplied: { all: true }
+  }
+}
+
+// Layer index of the virtual H3 aggregate layer of each point table, and
+// the geometry types it is available for
+const H3_AGGREGATE_LAYER = '1'
+const H3_GEOMETRY_TYPES = ['esriGeometryPoint', 'esriGeometryMultipoint']
+
+// Average H3 hexagon edge length (meters) per resolution, 0 to 15
+const H3_EDGE_LENGTHS = [1281256, 483057, 182513, 68979, 26072, 9854, 3725, 1406, 531, 201, 76, 29, 11, 4.1, 1.5, 0.58]
+
+// Smallest hexagon edge, in pixels, for the resolution picked from the
+// request scale, and the resolution used when the request has no scale
+const H3_MIN_EDGE_PIXELS = 12
+const H3_DEFAULT_RESOLUTION = 7
+
+// Meters per degree at the equator, for scales given in degrees
+const METERS_PER_DEGREE = 111320
+
+function isH3AggregateLayer (layer) {
+  return String(layer) === H3_AGGREGATE_LAYER
+}
+
+// Whether a table of this geometry type (see getTableMetadata) has the H3
+// aggregate layer: h3_longlatash3 needs a point's coordinates
+function hasH3AggregateLayer (geometryType) {
+  return H3_GEOMETRY_TYPES.includes(geometryType)
+}
+
+// Whether a request is for the service JSON (/FeatureServer) or its layers
+// (/FeatureServer/layers), rather than for a layer
+function isServiceInfoRequest (req) {
+  return /\/FeatureServer(\/layers)?\/?$/i.test(String(req.url || '').split('?')[0])
+}
+
+// Layer metadata of the H3 aggregate layer of a table, without the fields
+// of any per-cell statistics
+function getH3LayerMetadata (table) {
+  return {
+    id: Number(H3_AGGREGATE_LAYER),
+    idField: objectId,
+    name: `${table} (H3)`,
+    displayField: 'h3_index',
+    geometryType: 'esriGeometryPolygon',
+    maxRecordCount: maxRows,
+    fields: [
+      { name: objectId, type: 'Integer', alias: objectId },
+      { name: 'h3_index', type: 'String', alias: 'h3_index' },
+      { name: 'point_count', type: 'Integer', alias: 'point_count' }
+    ]
+  }
+}
+
+// The H3 aggregate layer as listed in the service JSON and /layers, without
+// features (the extent is that of the table's points)
+function getH3LayerInfo (table, extent) {
+  const metadata = getH3LayerMetadata(table)
+  if (extent) {
+    metadata.extent = extent
+  }
+  return { type: 'FeatureCollection', features: [], metadata }
+}
+
+// Parse the H3 aggregation of a query on the aggregate layer into
+// { resolution, statistics }. The resolution is h3res when given, otherwise
+// the finest one whose hexagons are at least H3_MIN_EDGE_PIXELS across at
+// the request's pixel size (maxAllowableOffset or the quantization
+// tolerance, as ArcGIS clients send them for the map scale). outStatistics
+// adds per-cell statistics; spatial aggregates are rejected with a 400.
+function parseH3Aggregation (query) {
+  let resolution = H3_DEFAULT_RESOLUTION
+  if (query.h3res !== undefined && query.h3res !== '') {
+    resolution = Number(query.h3res)
+    if (!Number.isInteger(resolution) || resolution < 0 || resolution > 15) {
+      const err = new Error(`Invalid h3res: ${query.h3res}. Must be an integer between 0 and 15`)
+      err.code = 400
+      throw err
+    }
+  } else {
+    const outSpatialReference = parseOutSR(query.outSR)
+    const quantization = parseQuantizationParameters(query.quantizationParameters, outSpatialReference)
+    const pixelSize = parseMaxAllowableOffset(query.maxAllowableOffset) || (quantization && quantization.tolerance)
+    if (pixelSize) {
+      const srid = outSpatialReference ? outSpatialReference.srid : normalizeWkid(spatialReference)
+      const minEdge = pixelSize * (isGeographicSrid(srid) ? METERS_PER_DEGREE : 1) * H3_MIN_EDGE_PIXELS
+      const fitting = H3_EDGE_LENGTHS.filter(edge => edge >= minEdge).length
+      resolution = Math.max(fitting - 1, 0)
+    }
+  }
+
+  const statistics = query.outStatistics ? parseOutStatistics(query.outStatistics) : []
+  if (statistics.some(({ statisticType }) => SPATIAL_AGGREGATES[statisticType])) {
+    const err = new Error('Invalid outStatistics: spatial aggregates are not supported on the H3 aggregate layer')
+    err.code = 400
+    throw err
+  }
+  return { resolution, statistics }
+}
+
+// Build the H3 cells of a query on the aggregate layer (see
+// parseH3Aggregation): the point count and statistics of every cell with
+// points matching the query's filters, grouped with h3_longlatash3 in
+// Databricks. Returns { from, where }, a subquery with __cell__, the
+// objectid, point_count and statistics columns and the filter on it
+// (objectIds select cells by their objectid). A cell's objectid is its H3
+// index without the resolution bits and unused digits, so it is stable
+// across requests and below 2^53. Multipoint tables are split into their
+// points with ST_Dump, each counted in its own cell.
+function buildH3CellsQuery (table, query, { resolution, statistics }, geometryType) {
+  const multipoint = geometryType === 'esriGeometryMultipoint'
+  const geometry = multipoint ? '__point__' : buildGeometryExpression()
+  const source = multipoint
+    ? `(SELECT *, explode(ST_Dump(${buildGeometryExpression()})) as __point__ FROM ${buildTableSource(table)}) points`
+    : buildTableSource(table)
+  const point = normalizeWkid(spatialReference) === 4326
+    ? geometry
+    : `ST_Transform(${geometry}, 4326)`
+  const cell = `h3_longlatash3(ST_X(${point}), ST_Y(${point}), ${resolution})`
+  const cellId = `shiftright(${cell}, ${3 * (15 - resolution)}) & ${Math.pow(2, 7 + 3 * resolution) - 1}`
+
+  const { approximateStatistics } = getLayerConfig(table)
+  const columns = [`${cell} as __cell__`, `${cellId} as ${objectId}`, 'COUNT(*) as point_count']
+  for (const { statisticType, onStatisticField, outStatisticFieldName, statisticParameters } of statistics) {
+    const params = { ...statisticParameters, approximate: !!approximateStatistics }
+    columns.push(`${STATISTIC_FUNCTIONS[statisticType](onStatisticField, params)} as ${outStatisticFieldName}`)
+  }
+
+  const whereClauses = buildWhereClauses({ ...query, objectIds: undefined }, table)
+  const whereClause = whereClauses.length > 0 ? ` WHERE ${whereClauses.join(' AND ')}` : ''
+  const from = `(SELECT ${columns.join(', ')} FROM ${source}${whereClause} GROUP BY ${cell}) cells`
+
+  const cellFilters = ['__cell__ IS NOT NULL']
+  const objectIds = parseObjectIds(query.objectIds)
+  if (objectIds) {
+    cellFilters.push(buildObjectIdsFilter(objectIds))
+  }
+  return { from, where: `WHERE ${cellFilters.join(' AND ')}` }
+}
+
+// Build the feature query of the H3 aggregate layer: one hexagon per cell
+// (h3_boundaryaswkt, in outSR or the data's spatial reference) with its
+// H3 index, point count and statistics, paged like features. The table's
+// geometryType tells whether its points are multipoints.
+function buildH3AggregateQuery (table, query, geometryType) {
+  const aggregation = parseH3Aggregation(query)
+  const { from, where } = buildH3CellsQuery(table, query, aggregation, geometryType)
+
+  const fields = [objectId, 'h3_h3tostring(__cell__) as h3_index', 'point_count']
+    .concat(aggregation.statistics.map(({ outStatisticFieldName }) => outStatisticFieldName))
+  if (query.returnGeometry !== 'false') {
+    const outSpatialReference = parseOutSR(query.outSR)
+    const srid = outSpatialReference ? outSpatialReference.srid : normalizeWkid(spatialReference)
+    let hexagon = 'ST_GeomFromText(h3_boundaryaswkt(__cell__), 4326)'
+    if (srid !== 4326) {
+      hexagon = `ST_Transform(${hexagon}, ${srid})`
+    }
+    fields.push(`ST_AsGeoJSON(${hexagon}) as __geojson__`)
+  }
+
+  const orderBy = query.orderByFields ? sanitizeOrderBy(query.orderByFields) : objectId
+  const offset = parseResultOffset(query.resultOffset)
+  let sql = `SELECT ${fields.join(', ')} FROM ${from} ${where} ORDER BY ${orderBy}`
+  sql += ` LIMIT ${parseResultRecordCount(query.resultRecordCount) + 1}`
+  if (offset > 0) {
+    sql += ` OFFSET ${offset}`
+  }
+  return sql
+}
+
+// Build the count (returnCountOnly) or IDs (returnIdsOnly) query of the H3
+// aggregate layer
+function buildH3AggregateCountQuery (table, query, geometryType) {
+  const { from, where } = buildH3CellsQuery(table, query, parseH3Aggregation(query), geometryType)
+  return `SELECT COUNT(*) as cnt FROM ${from} ${where}`
+}
+
+function buildH3AggregateIdsQuery (table, query, geometryType) {
+  const { from, where } = buildH3CellsQuery(table, query, parseH3Aggregation(query), geometryType)
+  const offset = parseResultOffset(query.resultOffset)
+  let sql = `SELECT ${objectId} FROM ${from} ${where} ORDER BY ${objectId} LIMIT ${parseResultRecordCount(query.resultRecordCount)}`
+  if (offset > 0) {
+    sql += ` OFFSET ${offset}`
+  }
+  return sql
+}
+
+// Query the H3 aggregate layer of a table (see buildH3AggregateQuery).
+// Features are returned already filtered (Esri JSON, quantized when
+// requested, or GeoJSON for f=geojson) so Koop renders them as-is; counts
+// and IDs follow the regular responses. Extents are those of the points.
+async function getH3AggregateData (table, query, session, taskId, geometryType) {
+  const metadata = getH3LayerMetadata(table)
+
+  if (query.returnCountOnly === 'true') {
+    const queryString = buildH3AggregateCountQuery(table, query, geometryType)
+    logger.info(`${taskId}> Executing H3 count query: ${queryString}`)
+    const result = await executeAndRecord(session, queryString, 'count', taskId)
+    return { count: result[0]?.cnt || 0 }
+  }
+  if (query.returnIdsOnly === 'true') {
+    const queryString = buildH3AggregateIdsQuery(table, query, geometryType)
+    logger.info(`${taskId}> Executing H3 IDs query: ${queryString}`)
+    const result = await executeAndRecord(session, queryString, 'ids', taskId)
+    return {
+      type: 'FeatureCollection',
+      features: result.map(row => ({ attributes: { [objectId]: row[objectId] } })),
+      metadata,
+      filtersApplied: { all: true }
+    }
+  }
+  if (query.returnExtentOnly === 'true') {
+    const queryString = buildExtentQuery(table, { ...query, objectIds: undefined })
+    logger.info(`${taskId}> Executing H3 extent query: ${queryString}`)
+    const result = await executeAndRecord(session, queryString, 'extent', taskId)
+    if (result.length === 0 || result[0].xmin === null) return { extent: null }
+    const { xmin, ymin, xmax, ymax } = result[0]
+    const outSpatialReference = parseOutSR(query.outSR)
+    return { extent: { xmin, ymin, xmax, ymax, spatialReference: { wkid: outSpatialReference ? outSpatialReference.wkid : spatialReference } } }
+  }
+
+  const queryString = buildH3AggregateQuery(table, query, geometryType)
+  logger.info(`${taskId}> Executing H3 aggregate query: ${queryString}`)
+  let features = await executeAndRecord(session, queryString, 'features', taskId, createFeatureTranslator(query))
+  logger.info(`${taskId}> Returned ${features.length} H3 cells`)
+
+  const limit = parseResultRecordCount(query.resultRecordCount)
+  const exceededTransferLimit = features.length > limit
+  if (exceededTransferLimit) {
+    features = features.slice(0, limit)
+  }
+
+  const { statistics } = parseH3Aggregation(query)
+  metadata.exceededTransferLimit = exceededTransferLimit
+  metadata.fields = metadata.fields
+    .concat(statistics.map(({ outStatisticFieldName }) => ({ name: outStatisticFieldName, type: 'Double', alias: outStatisticFieldName })))
+
+  if (query.f === 'geojson') {
+    return { type: 'FeatureCollection', features, metadata, filtersApplied: { all: true } }
+  }
+
+  const quantization = parseQuantizationParameters(query.quantizationParameters, parseOutSR(query.outSR))
+  const quantizer = quantization ? createQuantizer(quantization) : null
+  if (quantizer) {
+    metadata.transform = quantizer.transform
+  }
+  return {
+    type: 'FeatureCollection',
+    features: features.map(feature => ({
+      attributes: feature.properties,
+      geometry: quantizer ? quantizeGeometry(feature.geometry, quantizer) : geojsonToEsriGeometry(feature.geometry)
+    })),
+    metadata,
+    filtersApplied: { all: true }
+  }
 }
 
 // Build IDs only query (for returnIdsOnly)
 function buildIdsQuery (table, query) {
   const offset = parseResultOffset(query.resultOffset)
-  const limit = parseResultRecordCount(query.resultRecordCount)
+  const limit = parseResultRecordCount(query.resultRecordCount, query.resultType)
 
-  const whereClauses = buildWhereClauses(query)
+  const whereClauses = buildWhereClauses(query, table)
+  const page = getPageFilter(table, query, whereClauses, offset)
+  if (page.seekFilter) {
+    whereClauses.push(page.seekFilter)
+  }
   const whereClause = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : ''
 
   // Order BY for consistent pagination
@@ -381,11 +1417,11 @@ function buildIdsQuery (table, query) {
     orderByClause = `ORDER BY ${objectId}`
   }
 
-  let sql = `SELECT ${objectId} FROM ${table} ${whereClause} ${orderByClause}`.trim()
+  let sql = `SELECT ${objectId} FROM ${buildTableSource(table)} ${whereClause} ${orderByClause}`.trim()
 
   sql += ` LIMIT ${limit}`
-  if (offset > 0) {
-    sql += ` OFFSET ${offset}`
+  if (page.offset > 0) {
+    sql += ` OFFSET ${page.offset}`
   }
 
   return sql
@@ -393,12 +1429,12 @@ function buildIdsQuery (table, query) {
 
 // Build extent query (for returnExtentOnly)
 function buildExtentQuery (table, query) {
-  const whereClauses = buildWhereClauses(query)
+  const whereClauses = buildWhereClauses(query, table)
   const whereClause = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : ''
 
   // Use ST_Envelope to get bounding box, then extract min/max coordinates
   // This is more efficient than calculating extent on the client side
-  const geomExpr = buildGeometryExpression()
+  const geomExpr = buildOutputGeometryExpression(parseOutSR(query.outSR))
 
   return `
     SELECT
@@ -406,7 +1442,7 @@ function buildExtentQuery (table, query) {
       MIN(ST_YMin(ST_Envelope(${geomExpr}))) as ymin,
       MAX(ST_XMax(ST_Envelope(${geomExpr}))) as xmax,
       MAX(ST_YMax(ST_Envelope(${geomExpr}))) as ymax
-    FROM ${table}
+    FROM ${buildTableSource(table)}
     ${whereClause}
   `.trim()
 }
@@ -415,12 +1451,34 @@ function buildExtentQuery (table, query) {
 function buildQuery (table, query, taskId) {
   const returnGeometry = query.returnGeometry !== 'false'
   const offset = parseResultOffset(query.resultOffset)
-  const limit = parseResultRecordCount(query.resultRecordCount)
+  const limit = parseResultRecordCount(query.resultRecordCount, query.resultType)
+
+  // Output geometry: reprojected, generalized, and for quantized queries
+  // generalized to the quantization grid (view mode) and clipped to the tile
+  const outSpatialReference = parseOutSR(query.outSR)
+  const quantization = parseQuantizationParameters(query.quantizationParameters, outSpatialReference)
+  const maxAllowableOffset = parseMaxAllowableOffset(query.maxAllowableOffset) ||
+    (quantization && quantization.mode === 'view' ? quantization.tolerance : null)
+  const clipGeometry = quantization && query.resultType === 'tile'
+    ? `ST_GeomFromText('${esriGeometryToWkt(quantization.extent)}', ${quantization.srid})`
+    : null
+
+  // Distinct values are attribute-only: one row per distinct outFields
+  // combination, ordered by those fields unless orderByFields is given
+  const distinctFields = parseDistinctFields(query)
 
   // Build SELECT clause
-  const selectFields = buildSelectClause(query.outFields, returnGeometry)
-
-  const whereClauses = buildWhereClauses(query)
+  const selectFields = distinctFields
+    ? `DISTINCT ${distinctFields.join(', ')}`
+    : buildSelectClause(query.outFields, returnGeometry, outSpatialReference, maxAllowableOffset, clipGeometry)
+
+  // Deep pages in objectid order seek past the previous page's last id
+  // instead of using OFFSET when it is known
+  const whereClauses = buildWhereClauses(query, table)
+  const page = getPageFilter(table, query, whereClauses, offset)
+  if (page.seekFilter) {
+    whereClauses.push(page.seekFilter)
+  }
   const whereClause = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : ''
 
   // Build ORDER BY clause
@@ -428,24 +1486,48 @@ function buildQuery (table, query, taskId) {
   let orderByClause = ''
   if (query.orderByFields) {
     orderByClause = `ORDER BY ${sanitizeOrderBy(query.orderByFields)}`
+  } else if (distinctFields) {
+    orderByClause = `ORDER BY ${distinctFields.join(', ')}`
   } else {
     orderByClause = `ORDER BY ${objectId}`
   }
 
   // Build complete query
-  let sql = `SELECT ${selectFields} FROM ${table} ${whereClause} ${orderByClause}`.trim()
+  let sql = `SELECT ${selectFields} FROM ${buildTableSource(table)} ${whereClause} ${orderByClause}`.trim()
 
-  // Add pagination
-  sql += ` LIMIT ${limit}`
-  if (offset > 0) {
-    sql += ` OFFSET ${offset}`
+  // Add pagination. One extra row is fetched so getData can tell whether
+  // more rows exist (exceededTransferLimit); it is never returned.
+  sql += ` LIMIT ${limit + 1}`
+  if (page.offset > 0) {
+    sql += ` OFFSET ${page.offset}`
   }
 
   return sql
 }
 
-// Build SELECT clause with ST_AsGeoJSON for geometry
-function buildSelectClause (outFields, returnGeometry) {
+// Build the query for one vector tile: geometries intersecting the tile
+// (plus the where clause and other shared filters), transformed to Web
+// Mercator, clipped to the tile and its buffer, and simplified to one tile
+// unit. One row past tileMaxRecordCount is fetched so getTile can tell when
+// a tile is truncated.
+function buildTileQuery (table, tile, query) {
+  const envelope = getTileEnvelope(tile, TILE_BUFFER)
+  const clipGeometry = `ST_GeomFromText('${esriGeometryToWkt(envelope)}', 3857)`
+  const tolerance = (envelope.xmax - envelope.xmin) / (TILE_EXTENT + 2 * TILE_BUFFER)
+  const outSpatialReference = normalizeWkid(spatialReference) === 3857 ? null : { wkid: 102100, srid: 3857 }
+  const selectFields = buildSelectClause(query.outFields, true, outSpatialReference, tolerance, clipGeometry)
+
+  const whereClauses = buildWhereClauses(query, table)
+  const tileGeometry = parseGeometryFilter({ ...envelope, spatialReference: { wkid: 3857 } })
+  whereClauses.push(`ST_Intersects(${buildGeometryExpression()}, ${buildQueryGeometry(tileGeometry)})`)
+
+  return `SELECT ${selectFields} FROM ${buildTableSource(table)} WHERE ${whereClauses.join(' AND ')} ORDER BY ${objectId} LIMIT ${tileMaxRecordCount + 1}`
+}
+
+// Build SELECT clause with ST_AsGeoJSON for geometry, reprojected to
+// outSpatialReference (see parseOutSR), clipped to clipGeometry and
+// simplified by maxAllowableOffset when given
+function buildSelectClause (outFields, returnGeometry, outSpatialReference, maxAllowableOffset, clipGeometry) {
   let fields
 
   if (outFields === '*' || !outFields) {
@@ -464,113 +1546,221 @@ function buildSelectClause (outFields, returnGeometry) {
     // Use ST_AsGeoJSON to convert geometry to GeoJSON in the database
     // This is much more efficient than parsing geometry on the client
     // Supports WKT, WKB, and native GEOMETRY types
-    const geomExpr = buildGeometryExpression()
+    const geomExpr = buildOutputGeometryExpression(outSpatialReference, maxAllowableOffset, clipGeometry)
     return `${fields}, ST_AsGeoJSON(${geomExpr}) as __geojson__`
   }
 
   return fields
 }
 
-// Convert Web Mercator (EPSG:3857 / 102100) coordinates to WGS84 degrees
-function webMercatorToWgs84 (x, y) {
-  const R = 6378137
-  const lon = (x / R) * (180 / Math.PI)
-  const lat = (2 * Math.atan(Math.exp(y / R)) - Math.PI / 2) * (180 / Math.PI)
-  return [lon, lat]
-}
-
-// Parse the ArcGIS geometry parameter into [xmin, ymin, xmax, ymax] in the
-// data's spatial reference. Supports the comma form ("xmin,ymin,xmax,ymax")
-// and the JSON envelope/point forms that ArcGIS clients send
-// (e.g. {"xmin":...,"spatialReference":{"wkid":102100}}). Koop core may have
-// already parsed the JSON form into an object before getData is called.
-// Returns null for unsupported geometry filters (e.g. polygon).
-function parseBbox (geometryParam, inSR) {
-  let coords
-  let wkid = parseInt(inSR) || null
-  let envelope = null
+// Parse the ArcGIS geometry parameter into WKT. Accepts the comma forms
+// ("xmin,ymin,xmax,ymax" or "x,y") and Esri JSON envelopes, points,
+// multipoints, polylines and polygons, either as a string or already parsed
+// into an object by Koop core. The input spatial reference comes from the
+// geometry's own spatialReference, falling back to inSR, then to the data's.
+//
+// Returns { wkt, srid }, where srid is the spatial reference of the WKT
+// coordinates: targetSrid (default: the data's) when the input is already in
+// it or can be transformed in process (see projection.js), otherwise the
+// input's EPSG code for buildQueryGeometry to ST_Transform in SQL. Returns
+// null for unparseable geometry filters; input spatial references with no
+// EPSG equivalent are rejected with a 400.
+function parseGeometryFilter (geometryParam, inSR, targetSrid) {
+  const target = targetSrid || spatialReference
+  let geometry
 
   if (geometryParam && typeof geometryParam === 'object') {
-    envelope = geometryParam
+    geometry = geometryParam
   } else {
     const trimmed = String(geometryParam).trim()
     if (trimmed.startsWith('{')) {
       try {
-        envelope = JSON.parse(trimmed)
+        geometry = JSON.parse(trimmed)
       } catch (error) {
         return null
       }
     } else {
-      coords = trimmed.split(',').map(Number)
+      const coords = trimmed.split(',').map(c => c.trim() === '' ? NaN : Number(c))
+      if (coords.some(isNaN)) return null
+      if (coords.length === 4) {
+        geometry = { xmin: coords[0], ymin: coords[1], xmax: coords[2], ymax: coords[3] }
+      } else if (coords.length === 2) {
+        geometry = { x: coords[0], y: coords[1] }
+      } else {
+        return null
+      }
     }
   }
 
-  if (envelope) {
-    const num = v => (v === null || v === undefined || v === '') ? NaN : Number(v)
-    if (['xmin', 'ymin', 'xmax', 'ymax'].every(k => !isNaN(num(envelope[k])))) {
-      coords = [num(envelope.xmin), num(envelope.ymin), num(envelope.xmax), num(envelope.ymax)]
-    } else if (!isNaN(num(envelope.x)) && !isNaN(num(envelope.y))) {
-      coords = [num(envelope.x), num(envelope.y), num(envelope.x), num(envelope.y)]
-    } else {
-      return null
-    }
-    if (envelope.spatialReference && envelope.spatialReference.wkid) {
-      wkid = envelope.spatialReference.wkid
-    }
+  const fromSrid = normalizeWkid((geometry && geometry.spatialReference) || inSR) || normalizeWkid(spatialReference)
+  const toSrid = normalizeWkid(target)
+
+  const transform = getLocalTransform(fromSrid, toSrid)
+  if (!transform && !isSupportedSrid(fromSrid)) {
+    const err = new Error(`Unsupported input spatial reference: ${fromSrid}. Use a wkid with an EPSG equivalent (or latestWkid)`)
+    err.code = 400
+    throw err
   }
 
-  if (!coords || coords.length !== 4 || coords.some(c => typeof c !== 'number' || isNaN(c))) {
-    return null
+  const wkt = esriGeometryToWkt(geometry, transform)
+  if (!wkt) return null
+
+  return { wkt, srid: transform ? target : fromSrid }
+}
+
+// Build the SQL expression for a parsed query geometry (see
+// parseGeometryFilter) in targetSrid, transforming with ST_Transform when the
+// geometry couldn't be reprojected in process
+function buildQueryGeometry (parsed, targetSrid) {
+  const target = targetSrid || spatialReference
+  const geom = `ST_GeomFromText('${parsed.wkt}', ${parsed.srid})`
+  return parsed.srid === target ? geom : `ST_Transform(${geom}, ${target})`
+}
+
+// ArcGIS spatialRel values and the Databricks predicate each maps to, built
+// from the feature and query geometry expressions. Contains/Within follow the
+// same convention as Koop's in-memory filter (winnow): the query geometry
+// contains, or is within, the feature.
+const SPATIAL_RELATIONSHIPS = {
+  esriSpatialRelIntersects: (feature, queryGeom) => `ST_Intersects(${feature}, ${queryGeom})`,
+  esriSpatialRelContains: (feature, queryGeom) => `ST_Contains(${queryGeom}, ${feature})`,
+  esriSpatialRelWithin: (feature, queryGeom) => `ST_Within(${queryGeom}, ${feature})`,
+  esriSpatialRelTouches: (feature, queryGeom) => `ST_Touches(${feature}, ${queryGeom})`,
+  esriSpatialRelCrosses: (feature, queryGeom) => `ST_Crosses(${feature}, ${queryGeom})`,
+  esriSpatialRelOverlaps: (feature, queryGeom) => `ST_Overlaps(${feature}, ${queryGeom})`,
+  esriSpatialRelEnvelopeIntersects: (feature, queryGeom) => `ST_Intersects(ST_Envelope(${feature}), ST_Envelope(${queryGeom}))`
+}
+
+// Resolve the spatialRel parameter to a predicate builder (default:
+// intersects). Relations we can't push down are rejected with a 400 rather
+// than silently degrading to an intersects query.
+function resolveSpatialRelationship (spatialRel) {
+  if (!spatialRel) return SPATIAL_RELATIONSHIPS.esriSpatialRelIntersects
+
+  const predicate = SPATIAL_RELATIONSHIPS[spatialRel]
+  if (!predicate) {
+    const err = new Error(`Unsupported spatialRel: ${spatialRel}. Supported values: ${Object.keys(SPATIAL_RELATIONSHIPS).join(', ')}`)
+    err.code = 400
+    throw err
   }
+  return predicate
+}
+
+// Esri linear units accepted by the distance parameter, in meters
+const DISTANCE_UNITS = {
+  esriSRUnit_Meter: 1,
+  esriSRUnit_Kilometer: 1000,
+  esriSRUnit_Foot: 0.3048,
+  esriSRUnit_StatuteMile: 1609.344,
+  esriSRUnit_NauticalMile: 1852
+}
+
+// Parse the distance/units query parameters into meters. Returns null when
+// no distance was requested; invalid values are rejected with a 400.
+function parseDistance (distance, units) {
+  if (distance === undefined || distance === null || distance === '') return null
 
-  if (wkid === 102100 || wkid === 3857 || wkid === 900913) {
-    const [xmin, ymin] = webMercatorToWgs84(coords[0], coords[1])
-    const [xmax, ymax] = webMercatorToWgs84(coords[2], coords[3])
-    coords = [xmin, ymin, xmax, ymax]
+  const value = Number(distance)
+  if (!isFinite(value) || value < 0) {
+    const err = new Error(`Invalid distance: ${distance}`)
+    err.code = 400
+    throw err
   }
 
-  return coords
+  const factor = DISTANCE_UNITS[units || 'esriSRUnit_Meter']
+  if (!factor) {
+    const err = new Error(`Unsupported units: ${units}. Supported values: ${Object.keys(DISTANCE_UNITS).join(', ')}`)
+    err.code = 400
+    throw err
+  }
+
+  return value > 0 ? value * factor : null
+}
+
+// Buffer a query geometry by a distance in meters, in the spatial reference
+// of its coordinates (the data's or the input's, see parseGeometryFilter),
+// and return it in the data's. Only systems known to be in true meters (see
+// isMeterSrid) are buffered directly. Any other geometry, in degrees, Web
+// Mercator, feet or an unknown unit, is buffered by round-tripping through
+// the UTM zone at its centre, so "within 5 km" means 5 km on the ground at
+// any latitude. The zone is picked in process when the centre can be
+// converted to longitude and latitude here, otherwise in SQL.
+function buildBufferedGeometry (parsed, meters) {
+  const dataSrid = normalizeWkid(spatialReference)
+  const queryGeom = `ST_GeomFromText('${parsed.wkt}', ${parsed.srid})`
+  if (isMeterSrid(parsed.srid)) {
+    const buffered = `ST_Buffer(${queryGeom}, ${meters})`
+    return parsed.srid === dataSrid ? buffered : `ST_Transform(${buffered}, ${dataSrid})`
+  }
+
+  const toLonLat = isGeographicSrid(parsed.srid) ? xy => xy : getLocalTransform(parsed.srid, 4326)
+  let utmSrid
+  if (toLonLat) {
+    const [xmin, ymin, xmax, ymax] = wktBounds(parsed.wkt)
+    const [lon, lat] = toLonLat([(xmin + xmax) / 2, (ymin + ymax) / 2])
+    const zone = Math.min(60, Math.max(1, Math.floor((lon + 180) / 6) + 1))
+    utmSrid = (lat >= 0 ? 32600 : 32700) + zone
+  } else {
+    const centre = `ST_Centroid(ST_Transform(${queryGeom}, 4326))`
+    utmSrid = `(CASE WHEN ST_Y(${centre}) >= 0 THEN 32600 ELSE 32700 END + ` +
+      `LEAST(60, GREATEST(1, CAST(FLOOR((ST_X(${centre}) + 180) / 6) AS INT) + 1)))`
+  }
+  return `ST_Transform(ST_Buffer(ST_Transform(${queryGeom}, ${utmSrid}), ${meters}), ${dataSrid})`
 }
 
-// Build bbox filter using ST_Intersects
-function buildBboxFilter (geometryString, geometryType, inSR) {
+// Build spatial filter for the requested spatialRel (default ST_Intersects).
+// Envelopes, points, multipoints, polylines and polygons are all pushed down
+// to SQL so Koop never has to post-filter a capped page in memory. When a
+// distance (in meters) is given the query geometry is buffered first; plain
+// intersects against data in true meters (see isMeterSrid) uses ST_DWithin
+// instead.
+function buildGeometryFilter (geometryParam, geometryType, inSR, spatialRel, distanceMeters) {
+  const predicate = resolveSpatialRelationship(spatialRel)
+
   try {
-    const coords = parseBbox(geometryString, inSR)
+    const parsed = parseGeometryFilter(geometryParam, inSR)
 
-    if (!coords) {
-      logger.warn('Unsupported or invalid geometry filter, skipping SQL bbox filter:', geometryString)
+    if (!parsed) {
+      logger.warn('Unsupported or invalid geometry filter, skipping SQL spatial filter:', geometryParam)
       return null
     }
 
-    const [xmin, ymin, xmax, ymax] = coords
-
-    // Create bbox polygon using ST_GeomFromText
-    // Note: POLYGON requires closed ring (first point = last point)
-    const wkt = `POLYGON((${xmin} ${ymin}, ${xmax} ${ymin}, ${xmax} ${ymax}, ${xmin} ${ymax}, ${xmin} ${ymin}))`
-
-    // Use ST_Intersects for bbox filtering
     // Supports WKT, WKB, and native GEOMETRY types
     const geomExpr = buildGeometryExpression()
-    return `ST_Intersects(${geomExpr}, ST_GeomFromText('${wkt}', ${spatialReference}))`
+    const queryGeom = buildQueryGeometry(parsed)
+
+    if (distanceMeters) {
+      if (predicate === SPATIAL_RELATIONSHIPS.esriSpatialRelIntersects && isMeterSrid(normalizeWkid(spatialReference))) {
+        return `ST_DWithin(${geomExpr}, ${queryGeom}, ${distanceMeters})`
+      }
+      return predicate(geomExpr, buildBufferedGeometry(parsed, distanceMeters))
+    }
+
+    return predicate(geomExpr, queryGeom)
   } catch (error) {
-    logger.error('Error building bbox filter:', error)
+    // Client errors (e.g. an unsupported inSR) are reported, not skipped
+    if (error.code === 400) throw error
+    logger.error('Error building geometry filter:', error)
     return null
   }
 }
 
-// Build H3 filter (legacy support for existing queries)
+// Build H3 filter (legacy support for existing queries): matches rows whose
+// H3 cell (h3col) is one of the cells covering the query bbox. H3 cells are
+// always defined on WGS84, so the bbox is reprojected to 4326 (from inSR or
+// its own spatialReference) before h3_coverash3.
 function buildH3Filter (query) {
   // Accept bbox from either query.bbox or query.geometry for consistency
-  const bboxString = query.bbox || query.geometry
-  if (!bboxString || !query.h3col || !query.h3res) {
+  const bboxParam = query.bbox || query.geometry
+  if (!bboxParam || !query.h3col || !query.h3res) {
     return null
   }
 
   try {
-    const coords = bboxString.split(',').map(Number)
+    const parsed = parseGeometryFilter(bboxParam, query.inSR, 4326)
 
-    if (coords.length !== 4 || coords.some(isNaN)) {
-      throw new Error('bbox must contain exactly 4 coordinates')
+    if (!parsed) {
+      throw new Error('bbox must be "xmin,ymin,xmax,ymax" or an Esri JSON geometry')
     }
 
     // Validate h3 resolution is a valid integer between 0-15
@@ -584,18 +1774,23 @@ function buildH3Filter (query) {
       throw new Error('h3col must be a valid column name')
     }
 
-    // Use h3_coverash3 function for H3-based spatial indexing
-    // Supports WKT, WKB, and native GEOMETRY types
-    const geomExpr = buildGeometryExpression()
-    return `array_contains(h3_coverash3(${geomExpr}, ${h3res}), ${query.h3col})`
+    // h3_coverash3 takes WKT directly; only transform in SQL if the bbox
+    // couldn't be reprojected in process
+    const bbox = parsed.srid === 4326
+      ? `'${parsed.wkt}'`
+      : `ST_AsText(${buildQueryGeometry(parsed, 4326)})`
+    return `array_contains(h3_coverash3(${bbox}, ${h3res}), ${query.h3col})`
   } catch (error) {
     logger.error('Error generating H3 filter:', error)
     throw error
   }
 }
 
-// Build time filter for temporal queries
-function buildTimeFilter (timeParam, timeField) {
+// Build time filter for temporal queries. With only a start field features
+// are instants; with an end field too they are intervals, matched when they
+// overlap the queried time (start <= query end AND end >= query start), and
+// a null start or end is open, i.e. matches anything before or after.
+function buildTimeFilter (timeParam, timeField, endTimeField) {
   // Default time field if not specified
   const field = timeField || 'created_at'
 
@@ -606,38 +1801,127 @@ function buildTimeFilter (timeParam, timeField) {
       throw new Error(`Invalid timeField: ${result.error}`)
     }
   }
+  if (endTimeField) {
+    const result = validateColumnName(endTimeField)
+    if (!result.valid) {
+      throw new Error(`Invalid endTimeField: ${result.error}`)
+    }
+  }
 
   try {
     // Time parameter format: "startTime,endTime" in milliseconds since epoch.
     // Either end may be "null" for an open-ended range (ArcGIS convention).
     // Can also be a single timestamp.
     const parts = timeParam.split(',').map(t => t.trim())
-    const toTimestamp = part => new Date(parseInt(part, 10)).toISOString()
+    const toTimestamp = part => `TIMESTAMP '${new Date(parseInt(part, 10)).toISOString()}'`
     const isOpen = part => part === '' || part.toLowerCase() === 'null'
 
+    let start = null
+    let end = null
     if (parts.length === 1 && !isOpen(parts[0])) {
-      // Single timestamp - exact match
-      return `${field} = TIMESTAMP '${toTimestamp(parts[0])}'`
-    } else if (parts.length === 2) {
-      const hasStart = !isOpen(parts[0])
-      const hasEnd = !isOpen(parts[1])
-      if (hasStart && hasEnd) {
-        return `${field} BETWEEN TIMESTAMP '${toTimestamp(parts[0])}' AND TIMESTAMP '${toTimestamp(parts[1])}'`
-      } else if (hasStart) {
-        return `${field} >= TIMESTAMP '${toTimestamp(parts[0])}'`
-      } else if (hasEnd) {
-        return `${field} <= TIMESTAMP '${toTimestamp(parts[1])}'`
-      }
+      start = end = toTimestamp(parts[0])
+    } else if (parts.length === 2 && !(isOpen(parts[0]) && isOpen(parts[1]))) {
+      start = isOpen(parts[0]) ? null : toTimestamp(parts[0])
+      end = isOpen(parts[1]) ? null : toTimestamp(parts[1])
+    } else {
+      logger.warn('Invalid time parameter format:', timeParam)
+      return null
     }
 
-    logger.warn('Invalid time parameter format:', timeParam)
-    return null
+    if (endTimeField) {
+      const conditions = []
+      if (end) conditions.push(`(${field} <= ${end} OR ${field} IS NULL)`)
+      if (start) conditions.push(`(${endTimeField} >= ${start} OR ${endTimeField} IS NULL)`)
+      return conditions.join(' AND ')
+    }
+
+    if (start && start === end) {
+      // Single timestamp - exact match
+      return `${field} = ${start}`
+    } else if (start && end) {
+      return `${field} BETWEEN ${start} AND ${end}`
+    } else if (start) {
+      return `${field} >= ${start}`
+    }
+    return `${field} <= ${end}`
   } catch (error) {
     logger.error('Error building time filter:', error)
     return null
   }
 }
 
+// Time filter of a query: on the timeField parameter when given, otherwise
+// on the layer's configured start (and end) time fields, and created_at for
+// layers that aren't time-aware
+function buildQueryTimeFilter (query, table) {
+  const timeConfig = !query.timeField && table ? getLayerTimeConfig(table) : null
+  return timeConfig
+    ? buildTimeFilter(query.time, timeConfig.startTimeField, timeConfig.endTimeField)
+    : buildTimeFilter(query.time, query.timeField)
+}
+
+// Esri time interval units, largest first, with their (average) length in ms
+const TIME_INTERVAL_UNITS = [
+  ['esriTimeUnitsYears', 365.25 * 86400000],
+  ['esriTimeUnitsMonths', 30.4375 * 86400000],
+  ['esriTimeUnitsWeeks', 7 * 86400000],
+  ['esriTimeUnitsDays', 86400000],
+  ['esriTimeUnitsHours', 3600000],
+  ['esriTimeUnitsMinutes', 60000],
+  ['esriTimeUnitsSeconds', 1000]
+]
+// The default interval is the largest unit that splits the time extent
+// into at least this many steps
+const TIME_INTERVAL_MIN_STEPS = 10
+
+// Time settings of a layer from its "layers" config entry: { startTimeField,
+// endTimeField, timeInterval, timeIntervalUnits }, or null for layers that
+// aren't time-aware (no startTimeField)
+function getLayerTimeConfig (table) {
+  const { startTimeField, endTimeField, timeInterval, timeIntervalUnits } = getLayerConfig(table)
+  if (!startTimeField) return null
+
+  for (const field of [startTimeField, endTimeField].filter(Boolean)) {
+    const result = validateColumnName(field)
+    if (!result.valid) {
+      throw new Error(`Invalid time field for ${table}: ${result.error}`)
+    }
+  }
+  return {
+    startTimeField,
+    endTimeField: endTimeField || null,
+    timeInterval: timeInterval || null,
+    timeIntervalUnits: timeIntervalUnits || null
+  }
+}
+
+// Build the time extent query of a time-aware layer: the earliest start and
+// latest end over the whole table, in milliseconds since epoch. Features
+// with an open (null) start or end count with their other end. The time
+// fields may be flattened fields (see buildTableSource).
+function buildTimeExtentQuery (table, timeConfig) {
+  const { startTimeField, endTimeField } = timeConfig
+  const toMillis = expr => `unix_millis(CAST(${expr} AS TIMESTAMP))`
+  const start = endTimeField ? `COALESCE(${startTimeField}, ${endTimeField})` : startTimeField
+  const end = endTimeField ? `COALESCE(${endTimeField}, ${startTimeField})` : startTimeField
+
+  return `
+    SELECT
+      ${toMillis(`MIN(${start})`)} as time_min,
+      ${toMillis(`MAX(${end})`)} as time_max
+    FROM ${buildTableSource(table)}
+  `.trim()
+}
+
+// Default time interval for a time extent ([start, end] in ms):
+// { timeInterval, timeIntervalUnits } with an interval of one unit
+function getDefaultTimeInterval (timeExtent) {
+  const span = timeExtent[1] - timeExtent[0]
+  const [units] = TIME_INTERVAL_UNITS.find(([, ms]) => span / ms >= TIME_INTERVAL_MIN_STEPS) ||
+    TIME_INTERVAL_UNITS[TIME_INTERVAL_UNITS.length - 1]
+  return { timeInterval: 1, timeIntervalUnits: units }
+}
+
 // Sanitize ORDER BY clause by validating each field+direction pair
 function sanitizeOrderBy (orderBy) {
   const parts = orderBy.split(',').map(p => p.trim()).filter(p => p)
@@ -653,40 +1937,57 @@ function sanitizeOrderBy (orderBy) {
   return sanitized.join(', ')
 }
 
-// Translate results with ST_AsGeoJSON to GeoJSON
-function translateWithSTFunctions (rows, query) {
-  const returnGeometry = query.returnGeometry !== 'false'
-
+// Translate results with ST_AsGeoJSON to GeoJSON, rounding coordinates to
+// geometryPrecision decimals when requested. Values of the given field
+// definitions are normalized to the Esri JSON form of their field type
+// (epoch milliseconds for esriFieldTypeDate, 1/0 for booleans, ...).
+function translateWithSTFunctions (rows, query, fields) {
   return {
     type: 'FeatureCollection',
-    features: rows.map(row => {
-      let geometry = null
+    features: rows.map(createFeatureTranslator(query, fields))
+  }
+}
 
-      if (returnGeometry && row.__geojson__) {
-        try {
-          // Parse the GeoJSON string returned by ST_AsGeoJSON
-          geometry = JSON.parse(row.__geojson__)
-        } catch (error) {
-          logger.error('Error parsing GeoJSON from ST_AsGeoJSON:', error)
-          geometry = null
+// Create a row => GeoJSON feature translator for a query (see
+// translateWithSTFunctions), used to translate rows as they are fetched
+function createFeatureTranslator (query, fields = []) {
+  const returnGeometry = query.returnGeometry !== 'false'
+  const geometryPrecision = parseGeometryPrecision(query.geometryPrecision)
+
+  return row => {
+    let geometry = null
+
+    if (returnGeometry && row.__geojson__) {
+      try {
+        // Parse the GeoJSON string returned by ST_AsGeoJSON
+        geometry = JSON.parse(row.__geojson__)
+        if (geometryPrecision !== null) {
+          geometry = roundCoordinates(geometry, geometryPrecision)
         }
+      } catch (error) {
+        logger.error('Error parsing GeoJSON from ST_AsGeoJSON:', error)
+        geometry = null
       }
+    }
 
-      // Remove the __geojson__ field from properties
-      const properties = { ...row }
-      delete properties.__geojson__
+    // Remove the __geojson__ field from properties
+    const properties = { ...row }
+    delete properties.__geojson__
+    for (const { name, type } of fields) {
+      if (name in properties) properties[name] = normalizeFieldValue(properties[name], type)
+    }
 
-      return {
-        type: 'Feature',
-        geometry: geometry,
-        properties: properties
-      }
-    })
+    return {
+      type: 'Feature',
+      geometry: geometry,
+      properties: properties
+    }
   }
 }
 
-// Calculate extent from features
-function calculateExtent (features) {
+// Calculate extent from features, reported in the given wkid (defaults to
+// the data's spatial reference)
+function calculateExtent (features, wkid) {
   let xmin = Infinity
   let ymin = Infinity
   let xmax = -Infinity
@@ -712,7 +2013,7 @@ function calculateExtent (features) {
     xmax,
     ymax,
     spatialReference: {
-      wkid: spatialReference
+      wkid: wkid || spatialReference
     }
   }
 }
@@ -755,36 +2056,182 @@ function getAllCoordinates (geometry) {
   return coords
 }
 
-// Helper: Map Databricks types to Esri field types
-function mapDatabricksToEsriFieldType (databricksType) {
-  const lowerType = (databricksType || '').toLowerCase()
+// Esri field type of each Databricks type name (see
+// mapDatabricksToEsriFieldType), including the names DESCRIBE uses for
+// aliases (LONG, SHORT, ...)
+const ESRI_FIELD_TYPES = {
+  boolean: 'esriFieldTypeSmallInteger',
+  tinyint: 'esriFieldTypeSmallInteger',
+  byte: 'esriFieldTypeSmallInteger',
+  smallint: 'esriFieldTypeSmallInteger',
+  short: 'esriFieldTypeSmallInteger',
+  int: 'esriFieldTypeInteger',
+  integer: 'esriFieldTypeInteger',
+  bigint: 'esriFieldTypeBigInteger',
+  long: 'esriFieldTypeBigInteger',
+  float: 'esriFieldTypeSingle',
+  real: 'esriFieldTypeSingle',
+  double: 'esriFieldTypeDouble',
+  date: 'esriFieldTypeDate',
+  timestamp: 'esriFieldTypeDate',
+  timestamp_ntz: 'esriFieldTypeDate',
+  timestamp_ltz: 'esriFieldTypeDate'
+}
 
-  if (lowerType.includes('int') || lowerType.includes('long')) {
-    if (lowerType.includes('big')) return 'esriFieldTypeBigInteger'
-    return 'esriFieldTypeInteger'
-  }
-  if (lowerType.includes('double') || lowerType.includes('float') || lowerType.includes('decimal')) {
+// Length of STRING fields, which are unbounded
+const UNBOUNDED_STRING_LENGTH = 2147483647
+
+// Helper: Map Databricks types to Esri field types. DECIMAL(p, 0) columns
+// are integers of the smallest type holding p digits; any other type (STRING,
+// BINARY, INTERVAL, ARRAY, STRUCT, ...) is returned as a string.
+function mapDatabricksToEsriFieldType (databricksType) {
+  const lowerType = (databricksType || '').trim().toLowerCase()
+  const baseType = (/^[a-z_]+/.exec(lowerType) || [''])[0]
+
+  if (baseType === 'decimal' || baseType === 'dec' || baseType === 'numeric') {
+    // DECIMAL defaults to DECIMAL(10, 0)
+    const [, precision = '10', scale = '0'] = /\(\s*(\d+)\s*(?:,\s*(\d+)\s*)?\)/.exec(lowerType) || []
+    if (Number(scale) > 0) return 'esriFieldTypeDouble'
+    if (Number(precision) <= 4) return 'esriFieldTypeSmallInteger'
+    if (Number(precision) <= 9) return 'esriFieldTypeInteger'
+    if (Number(precision) <= 18) return 'esriFieldTypeBigInteger'
     return 'esriFieldTypeDouble'
   }
-  if (lowerType.includes('date') || lowerType.includes('timestamp')) {
-    return 'esriFieldTypeDate'
+
+  return ESRI_FIELD_TYPES[baseType] || 'esriFieldTypeString' // Default for STRING, VARCHAR, etc.
+}
+
+// Helper: Length of a string field of the given Databricks type: n for
+// VARCHAR(n) and CHAR(n), unbounded otherwise
+function getStringFieldLength (databricksType) {
+  const match = /^\s*(?:var)?char\s*\(\s*(\d+)\s*\)/i.exec(databricksType || '')
+  return match ? Number(match[1]) : UNBOUNDED_STRING_LENGTH
+}
+
+// Esri field types assigned to columns by a layer's "fieldTypes" config,
+// e.g. { "shift_start": "esriFieldTypeTimeOnly" }. Only date and time types
+// can be assigned; other entries are logged and ignored.
+function getLayerFieldTypes (table) {
+  const fieldTypes = {}
+  for (const [name, type] of Object.entries(getLayerConfig(table).fieldTypes || {})) {
+    if (TEMPORAL_FIELD_TYPES.includes(type)) {
+      fieldTypes[name] = type
+    } else {
+      logger.warn(`Ignoring fieldTypes entry ${name}: ${type} for ${table}; only ${TEMPORAL_FIELD_TYPES.join(', ')} can be assigned`)
+    }
   }
-  if (lowerType.includes('boolean')) {
-    return 'esriFieldTypeSmallInteger'
+  return fieldTypes
+}
+
+// Esri geometry type of each geometry type name, as returned by
+// ST_GeometryType ('ST_Polygon'), in native GEOMETRY type parameters
+// ('POLYGON') or GeoJSON ('Polygon'), normalized by geometryTypeKey.
+// Geometry collections have no type of their own (see resolveGeometryType).
+const ESRI_GEOMETRY_TYPES = {
+  point: 'esriGeometryPoint',
+  multipoint: 'esriGeometryMultipoint',
+  linestring: 'esriGeometryPolyline',
+  multilinestring: 'esriGeometryPolyline',
+  polygon: 'esriGeometryPolygon',
+  multipolygon: 'esriGeometryPolygon'
+}
+
+// Rows sampled by the geometry type query
+const GEOMETRY_TYPE_SAMPLE_ROWS = 1000
+
+function geometryTypeKey (name) {
+  return String(name || '').toLowerCase().replace(/^st_/, '').replace(/[^a-z]/g, '')
+}
+
+// Esri geometry type of a native GEOMETRY/GEOGRAPHY column from its type
+// parameter (e.g. GEOMETRY(POLYGON, 4326)), or null when the type doesn't
+// name one (e.g. GEOMETRY(4326) or GEOMETRY(ANY))
+function parseNativeGeometryType (dataType) {
+  const match = /^(?:geometry|geography)\s*\(\s*([a-z_]+)/i.exec(String(dataType || '').trim())
+  return (match && ESRI_GEOMETRY_TYPES[geometryTypeKey(match[1])]) || null
+}
+
+// Build the query sampling the geometry types of a table: the count of each
+// ST_GeometryType over up to GEOMETRY_TYPE_SAMPLE_ROWS non-null geometries,
+// with the type of the first member of geometry collections
+function buildGeometryTypeQuery (table) {
+  const geometry = buildGeometryExpression()
+  const geometryType = `ST_GeometryType(${geometry})`
+  const memberType = `CASE WHEN lower(${geometryType}) LIKE '%geometrycollection' AND ST_NumGeometries(${geometry}) > 0 ` +
+    `THEN ST_GeometryType(ST_GeometryN(${geometry}, 1)) END`
+  return `SELECT ${geometryType} as geometry_type, ${memberType} as member_type, COUNT(*) as cnt ` +
+    `FROM (SELECT ${geometryColumn} FROM ${table} WHERE ${geometryColumn} IS NOT NULL LIMIT ${GEOMETRY_TYPE_SAMPLE_ROWS}) sample ` +
+    `GROUP BY ${geometryType}, ${memberType}`
+}
+
+// Resolve the Esri geometry type of a table from its sampled geometry types
+// ([{ geometry_type, member_type, cnt }]): the most common one, with points
+// counted as multipoints when the table has both. A geometry collection
+// counts as the type of its first member (multipoint for points), and is
+// left out when that isn't known. Returns null when no sampled geometry has
+// a type.
+function resolveGeometryType (rows) {
+  const counts = {}
+  for (const row of rows) {
+    let type = ESRI_GEOMETRY_TYPES[geometryTypeKey(row.geometry_type)]
+    if (geometryTypeKey(row.geometry_type) === 'geometrycollection') {
+      type = ESRI_GEOMETRY_TYPES[geometryTypeKey(row.member_type)]
+      if (type === 'esriGeometryPoint') type = 'esriGeometryMultipoint'
+    }
+    if (type) counts[type] = (counts[type] || 0) + (Number(row.cnt) || 1)
   }
+  if (counts.esriGeometryPoint && counts.esriGeometryMultipoint) {
+    counts.esriGeometryMultipoint += counts.esriGeometryPoint
+    delete counts.esriGeometryPoint
+  }
+  const types = Object.keys(counts)
+  if (types.length === 0) return null
+  return types.reduce((best, type) => counts[type] > counts[best] ? type : best)
+}
 
-  return 'esriFieldTypeString' // Default for STRING, VARCHAR, etc.
+// Flattened columns of a table's DESCRIBE rows (see flattenColumn), the
+// geometry column left as it is. Fields whose names are already taken
+// (addresses_locality next to an addresses struct) are logged and left out.
+function flattenTableColumns (table, columnRows, flattening) {
+  const columns = []
+  const names = new Set()
+  for (const row of columnRows) {
+    const flattened = row.col_name === geometryColumn
+      ? [{ name: row.col_name, path: row.col_name, expression: row.col_name, dataType: row.data_type }]
+      : flattenColumn(row.col_name, row.data_type, flattening)
+    for (const column of flattened) {
+      if (names.has(column.name.toLowerCase())) {
+        logger.warn(`Leaving out ${column.path} of ${table}: field ${column.name} already exists`)
+        continue
+      }
+      names.add(column.name.toLowerCase())
+      columns.push(column)
+    }
+  }
+  return columns
 }
 
 // Helper: Get field metadata from DESCRIBE TABLE with TTL-based caching
 Model.prototype.getFieldMetadata = async function (table, session, taskId) {
+  return (await this.getTableMetadata(table, session, taskId)).fields
+}
+
+// Helper: Get table metadata with TTL-based caching: { fields, geometryType },
+// the field definitions from DESCRIBE TABLE (flattened for layers with
+// flattening, with the layer's fieldTypes overrides, see getLayerFieldTypes)
+// and the Esri geometry type of the geometry column (from its native type
+// parameter, or ST_GeometryType over a sample; null if neither tells)
+Model.prototype.getTableMetadata = async function (table, session, taskId) {
   // Check cache first (with TTL)
   const cached = this.fieldsCache[table]
   if (cached && (Date.now() - cached.timestamp < cacheTTLMs)) {
     logger.info(`${taskId}> Using cached field metadata for ${table}`)
-    return cached.data
+    return { fields: cached.data, geometryType: cached.geometryType || null }
   }
 
+  // The table may have changed since its cursors were recorded
+  dropTableCursors(table)
+
   try {
     logger.info(`${taskId}> Fetching field metadata with DESCRIBE ${table}`)
     const rows = await executeAndRecord(session, `DESCRIBE ${table}`, 'describe', taskId)
@@ -798,41 +2245,163 @@ Model.prototype.getFieldMetadata = async function (table, session, taskId) {
       columnRows.push(row)
     }
 
-    const fields = columnRows
-      .filter(row => row.col_name !== geometryColumn)
-      .map(row => ({
-        name: row.col_name,
-        type: mapDatabricksToEsriFieldType(row.data_type),
-        alias: row.col_name,
-        sqlType: row.data_type,
-        nullable: true,
-        editable: false,
-        domain: null,
-        defaultValue: null
-      }))
-
-    // Evict oldest entries if cache exceeds max size
-    const keys = Object.keys(this.fieldsCache)
-    if (keys.length >= CACHE_MAX_ENTRIES) {
-      let oldestKey = keys[0]
-      let oldestTime = this.fieldsCache[oldestKey].timestamp
-      for (let i = 1; i < keys.length; i++) {
-        if (this.fieldsCache[keys[i]].timestamp < oldestTime) {
-          oldestKey = keys[i]
-          oldestTime = this.fieldsCache[keys[i]].timestamp
+    const flattening = getLayerFlattening(table)
+    const columns = flattening
+      ? flattenTableColumns(table, columnRows, flattening)
+      : columnRows.map(row => ({ name: row.col_name, path: row.col_name, dataType: row.data_type }))
+
+    const fieldTypes = getLayerFieldTypes(table)
+    const fields = columns
+      .filter(column => column.name !== geometryColumn)
+      .map(column => {
+        const type = fieldTypes[column.name] || mapDatabricksToEsriFieldType(column.dataType)
+        const field = {
+          name: column.name,
+          type,
+          alias: column.path,
+          sqlType: column.dataType,
+          nullable: true,
+          editable: false,
+          domain: null,
+          defaultValue: null
         }
-      }
-      delete this.fieldsCache[oldestKey]
+        if (type === 'esriFieldTypeString') {
+          field.length = getStringFieldLength(column.dataType)
+        }
+        return field
+      })
+
+    const geometryType = await this.detectGeometryType(table, columnRows, session, taskId)
+    if (flattening) {
+      flattenedColumns.set(table, columns)
     }
 
     // Cache the result with timestamp
-    this.fieldsCache[table] = { data: fields, timestamp: Date.now() }
-    logger.info(`${taskId}> Cached ${fields.length} field definitions for ${table}`)
+    cacheTableEntry(this.fieldsCache, table, { data: fields, geometryType })
+    logger.info(`${taskId}> Cached ${fields.length} field definitions for ${table} (${geometryType || 'unknown geometry type'})`)
 
-    return fields
+    return { fields, geometryType }
   } catch (error) {
     logger.error(`${taskId}> Error fetching field metadata: ${error.message}`)
-    return [] // Return empty array on error, don't fail the whole request
+    // Don't fail the whole request
+    return { fields: [], geometryType: null }
+  }
+}
+
+// Helper: Field definitions of a table from the field metadata cache, or
+// null when they haven't been fetched. Used to restore the field types Koop
+// can't render in responses (see controller.js).
+Model.prototype.getCachedFields = function (table) {
+  const cached = this.fieldsCache[table]
+  return cached ? cached.data : null
+}
+
+// Helper: Get the extent of the whole table (the extent query without any
+// filters, in the data's spatial reference) with TTL-based caching. Returns
+// null for tables with no geometries; errors are logged and give null.
+Model.prototype.getLayerExtent = async function (table, session, taskId) {
+  const cached = this.extentCache[table]
+  if (cached && (Date.now() - cached.timestamp < cacheTTLMs)) {
+    logger.info(`${taskId}> Using cached layer extent for ${table}`)
+    return cached.data
+  }
+
+  try {
+    const queryString = buildExtentQuery(table, {})
+    logger.info(`${taskId}> Executing layer extent query: ${queryString}`)
+    const rows = await executeAndRecord(session, queryString, 'extent', taskId)
+
+    const row = rows[0]
+    const extent = row && [row.xmin, row.ymin, row.xmax, row.ymax].every(value => value !== null && value !== undefined)
+      ? { xmin: row.xmin, ymin: row.ymin, xmax: row.xmax, ymax: row.ymax, spatialReference: { wkid: spatialReference } }
+      : null
+
+    cacheTableEntry(this.extentCache, table, { data: extent })
+    logger.info(`${taskId}> Cached layer extent for ${table}: ${JSON.stringify(extent)}`)
+    return extent
+  } catch (error) {
+    logger.error(`${taskId}> Error fetching layer extent: ${error.message}`)
+    return null
+  }
+}
+
+// Helper: Get the timeInfo of a time-aware layer (see getLayerTimeConfig),
+// with its time extent from buildTimeExtentQuery, with TTL-based caching.
+// Returns null for layers without time settings; errors are logged and give
+// null.
+Model.prototype.getTimeInfo = async function (table, session, taskId) {
+  const cached = this.timeInfoCache[table]
+  if (cached && (Date.now() - cached.timestamp < cacheTTLMs)) {
+    logger.info(`${taskId}> Using cached time info for ${table}`)
+    return cached.data
+  }
+
+  try {
+    const timeConfig = getLayerTimeConfig(table)
+    if (!timeConfig) return null
+
+    const queryString = buildTimeExtentQuery(table, timeConfig)
+    logger.info(`${taskId}> Executing time extent query: ${queryString}`)
+    const rows = await executeAndRecord(session, queryString, 'timeExtent', taskId)
+
+    const row = rows[0]
+    const timeExtent = row && row.time_min !== null && row.time_min !== undefined
+      ? [Number(row.time_min), Number(row.time_max)]
+      : null
+    const interval = timeConfig.timeInterval && timeConfig.timeIntervalUnits
+      ? { timeInterval: timeConfig.timeInterval, timeIntervalUnits: timeConfig.timeIntervalUnits }
+      : timeExtent ? getDefaultTimeInterval(timeExtent) : {}
+
+    const timeInfo = {
+      startTimeField: timeConfig.startTimeField,
+      endTimeField: timeConfig.endTimeField,
+      trackIdField: null,
+      timeExtent,
+      timeReference: { timeZone: 'UTC', respectsDaylightSaving: false },
+      ...interval,
+      hasLiveData: false
+    }
+
+    cacheTableEntry(this.timeInfoCache, table, { data: timeInfo })
+    logger.info(`${taskId}> Cached time info for ${table}: ${JSON.stringify(timeExtent)}`)
+    return timeInfo
+  } catch (error) {
+    logger.error(`${taskId}> Error fetching time info: ${error.message}`)
+    return null
+  }
+}
+
+// Store a per-table cache entry with the current timestamp, evicting the
+// oldest entry when the cache is full
+function cacheTableEntry (cache, table, entry) {
+  const keys = Object.keys(cache)
+  if (keys.length >= CACHE_MAX_ENTRIES && !cache[table]) {
+    let oldestKey = keys[0]
+    let oldestTime = cache[oldestKey].timestamp
+    for (let i = 1; i < keys.length; i++) {
+      if (cache[keys[i]].timestamp < oldestTime) {
+        oldestKey = keys[i]
+        oldestTime = cache[keys[i]].timestamp
+      }
+    }
+    delete cache[oldestKey]
+  }
+  cache[table] = { ...entry, timestamp: Date.now() }
+}
+
+// Helper: Esri geometry type of a table's geometry column (see
+// getTableMetadata), given its DESCRIBE rows. Errors are logged and give null.
+Model.prototype.detectGeometryType = async function (table, columnRows, session, taskId) {
+  const geometryRow = columnRows.find(row => row.col_name === geometryColumn)
+  const nativeType = geometryRow ? parseNativeGeometryType(geometryRow.data_type) : null
+  if (nativeType) return nativeType
+
+  try {
+    const rows = await executeAndRecord(session, buildGeometryTypeQuery(table), 'geometryType', taskId)
+    return resolveGeometryType(rows)
+  } catch (error) {
+    logger.error(`${taskId}> Error sampling geometry types: ${error.message}`)
+    return null
   }
 }
 
@@ -843,27 +2412,76 @@ Model.recentQueries = recentQueries
 
 // Export internal functions for unit testing only
 Model._internals = {
+  getLayerConfig,
+  getLayerFlattening,
+  flattenedColumns,
+  buildTableSource,
+  resolveQueryFieldPaths,
+  flattenTableColumns,
   isValidTableName,
   buildGeometryExpression,
   pushValidatedWhere,
+  parseDistinctFields,
   buildCountQuery,
+  parseOutStatistics,
+  parseGroupByFields,
+  buildStatisticsQuery,
+  translateSpatialStatistics,
+  buildSpatialStatisticsCollection,
+  isH3AggregateLayer,
+  hasH3AggregateLayer,
+  isServiceInfoRequest,
+  parseH3Aggregation,
+  buildH3CellsQuery,
+  buildH3AggregateQuery,
+  buildH3AggregateCountQuery,
+  buildH3AggregateIdsQuery,
+  getH3AggregateData,
   buildIdsQuery,
   buildExtentQuery,
   buildQuery,
+  buildTileQuery,
   buildSelectClause,
+  parseOutSR,
+  buildOutputGeometryExpression,
+  parseMaxAllowableOffset,
+  parseGeometryPrecision,
+  parseQuantizationParameters,
+  parseObjectIds,
+  buildObjectIdsFilter,
   buildWhereClauses,
-  buildBboxFilter,
-  parseBbox,
-  webMercatorToWgs84,
+  buildGeometryFilter,
+  parseGeometryFilter,
+  buildQueryGeometry,
+  resolveSpatialRelationship,
+  parseDistance,
+  buildBufferedGeometry,
   parseResultRecordCount,
   parseResultOffset,
+  cursorCache,
+  recordCursor,
+  getCursorKey,
+  recordPageCursor,
+  getPageFilter,
   buildH3Filter,
   buildTimeFilter,
+  buildQueryTimeFilter,
+  getLayerTimeConfig,
+  buildTimeExtentQuery,
+  getDefaultTimeInterval,
   sanitizeOrderBy,
   translateWithSTFunctions,
+  createFeatureTranslator,
   calculateExtent,
   getAllCoordinates,
   mapDatabricksToEsriFieldType,
+  getStringFieldLength,
+  getLayerFieldTypes,
+  parseNativeGeometryType,
+  buildGeometryTypeQuery,
+  resolveGeometryType,
+  getClientIp,
   checkRateLimit,
-  executeAndRecord
+  executeAndRecord,
+  estimateBytes
 }
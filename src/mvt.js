@@ -0,0 +1,275 @@
+/*
+  mvt.js
+
+  Mapbox Vector Tile (MVT 2.1) encoding for the VectorTileServer routes.
+  Databricks clips and simplifies each tile's geometries in Web Mercator
+  (see Model.prototype.getTile); this converts them to tile coordinates and
+  writes the command-encoded geometries. Field numbers follow the
+  vector_tile.proto of the Mapbox Vector Tile specification.
+*/
+
+const { createWriter } = require('./protobuf')
+
+// Tile coordinate extent and the clip buffer around it, in tile units
+const TILE_EXTENT = 4096
+const TILE_BUFFER = 64
+
+// Web Mercator half-width (EPSG:3857), in meters
+const WEB_MERCATOR_MAX = 20037508.342789244
+
+const MAX_ZOOM = 22
+
+// Feature geometry types and geometry commands
+const POINT = 1
+const LINESTRING = 2
+const POLYGON = 3
+const MOVE_TO = 1
+const LINE_TO = 2
+const CLOSE_PATH = 7
+
+/**
+ * Parse and validate z/x/y tile coordinates.
+ * @param {object} params - { z, x, y } from the route, as strings or numbers
+ * @returns {object} { z, x, y } as integers; invalid coordinates are rejected
+ *   with a 400
+ */
+function parseTileCoordinates ({ z, x, y }) {
+  const tile = { z: Number(z), x: Number(x), y: Number(y) }
+  const valid = Number.isInteger(tile.z) && tile.z >= 0 && tile.z <= MAX_ZOOM &&
+    [tile.x, tile.y].every(n => Number.isInteger(n) && n >= 0 && n < Math.pow(2, tile.z))
+  if (!valid) {
+    const err = new Error(`Invalid tile: ${z}/${y}/${x}`)
+    err.code = 400
+    throw err
+  }
+  return tile
+}
+
+/**
+ * Web Mercator bounds of a tile, optionally grown by a buffer.
+ * @param {object} tile - { z, x, y }
+ * @param {number} [buffer=0] - Buffer in tile units (of TILE_EXTENT)
+ * @returns {object} { xmin, ymin, xmax, ymax } in EPSG:3857 meters
+ */
+function getTileEnvelope ({ z, x, y }, buffer = 0) {
+  const size = 2 * WEB_MERCATOR_MAX / Math.pow(2, z)
+  const pad = size * buffer / TILE_EXTENT
+  return {
+    xmin: -WEB_MERCATOR_MAX + x * size - pad,
+    ymin: WEB_MERCATOR_MAX - (y + 1) * size - pad,
+    xmax: -WEB_MERCATOR_MAX + (x + 1) * size + pad,
+    ymax: WEB_MERCATOR_MAX - y * size + pad
+  }
+}
+
+/**
+ * Encode a vector tile.
+ * @param {object} tile - { z, x, y } of the tile
+ * @param {object[]} layers - { name, features }, where features are GeoJSON
+ *   features in EPSG:3857 (the id is taken from feature.id)
+ * @returns {Buffer} Encoded Tile message; layers without any encodable
+ *   features are left out, so an empty tile is an empty Buffer
+ */
+function encodeVectorTile (tile, layers) {
+  const envelope = getTileEnvelope(tile)
+  const toTile = ([x, y]) => [
+    Math.round((x - envelope.xmin) / (envelope.xmax - envelope.xmin) * TILE_EXTENT),
+    Math.round((envelope.ymax - y) / (envelope.ymax - envelope.ymin) * TILE_EXTENT)
+  ]
+
+  const writer = createWriter()
+  for (const layer of layers) {
+    const features = layer.features
+      .map(feature => ({ feature, geometry: encodeGeometry(feature.geometry, toTile) }))
+      .filter(({ geometry }) => geometry)
+    if (features.length === 0) continue
+
+    writer.message(3, l => writeLayer(l, layer.name, features))
+  }
+  return writer.finish()
+}
+
+function writeLayer (writer, name, features) {
+  const keys = new Map()
+  const values = new Map()
+  const index = (map, key) => {
+    if (!map.has(key)) map.set(key, map.size)
+    return map.get(key)
+  }
+
+  writer.uint(15, 2) // version
+  writer.string(1, name)
+  for (const { feature, geometry } of features) {
+    const tags = []
+    for (const [key, value] of Object.entries(feature.properties || {})) {
+      if (value === null || value === undefined) continue
+      const normalized = typeof value === 'object' ? JSON.stringify(value) : value
+      tags.push(index(keys, key), index(values, `${typeof normalized}:${normalized}`))
+    }
+
+    writer.message(2, f => {
+      if (Number.isSafeInteger(feature.id) && feature.id >= 0) f.uint(1, feature.id)
+      f.packedUint(2, tags)
+      f.uint(3, geometry.type)
+      f.packedUint(4, geometry.commands)
+    })
+  }
+  for (const key of keys.keys()) writer.string(3, key)
+  for (const value of values.keys()) {
+    writer.message(4, v => writeValue(v, value))
+  }
+  writer.uint(5, TILE_EXTENT)
+}
+
+// Value message for a "type:value" values table key
+function writeValue (writer, key) {
+  const separator = key.indexOf(':')
+  const type = key.slice(0, separator)
+  const raw = key.slice(separator + 1)
+
+  if (type === 'boolean') {
+    writer.bool(7, raw === 'true')
+  } else if (type === 'number') {
+    const value = Number(raw)
+    if (!Number.isSafeInteger(value)) {
+      writer.double(3, value)
+    } else if (value >= 0) {
+      writer.uint(5, value)
+    } else {
+      writer.sint(6, value)
+    }
+  } else {
+    writer.string(1, raw)
+  }
+}
+
+// Command-encode a GeoJSON geometry (EPSG:3857) in tile coordinates.
+// Returns { type, commands }, or null when nothing is left of it at this
+// zoom (e.g. a polygon smaller than a tile unit). Geometry collections, which
+// clipping can produce, keep the parts of their highest dimension.
+function encodeGeometry (geometry, toTile) {
+  if (!geometry) return null
+
+  const parts = { [POINT]: [], [LINESTRING]: [], [POLYGON]: [] }
+  collectParts(geometry, toTile, parts)
+
+  const cursor = { x: 0, y: 0 }
+  const commands = []
+  if (parts[POLYGON].length > 0) {
+    parts[POLYGON].forEach(ring => writeLine(commands, cursor, ring, true))
+    return { type: POLYGON, commands }
+  }
+  if (parts[LINESTRING].length > 0) {
+    parts[LINESTRING].forEach(line => writeLine(commands, cursor, line, false))
+    return { type: LINESTRING, commands }
+  }
+  if (parts[POINT].length > 0) {
+    commands.push(command(MOVE_TO, parts[POINT].length))
+    parts[POINT].forEach(point => writeDelta(commands, cursor, point))
+    return { type: POINT, commands }
+  }
+  return null
+}
+
+// Gather a geometry's points, lines and polygon rings in tile coordinates
+function collectParts (geometry, toTile, parts) {
+  const line = coords => dedupe(coords.map(toTile))
+  switch (geometry.type) {
+    case 'Point':
+      parts[POINT].push(toTile(geometry.coordinates))
+      break
+    case 'MultiPoint':
+      geometry.coordinates.forEach(point => parts[POINT].push(toTile(point)))
+      break
+    case 'LineString':
+      addLine(parts, line(geometry.coordinates))
+      break
+    case 'MultiLineString':
+      geometry.coordinates.forEach(coords => addLine(parts, line(coords)))
+      break
+    case 'Polygon':
+      addPolygon(parts, geometry.coordinates.map(line))
+      break
+    case 'MultiPolygon':
+      geometry.coordinates.forEach(rings => addPolygon(parts, rings.map(line)))
+      break
+    case 'GeometryCollection':
+      geometry.geometries.forEach(member => collectParts(member, toTile, parts))
+      break
+  }
+}
+
+function addLine (parts, vertices) {
+  if (vertices.length >= 2) parts[LINESTRING].push(vertices)
+}
+
+// Polygon rings in MVT winding: the exterior ring has a positive area in tile
+// coordinates (clockwise, as y points down) and holes a negative one. Rings
+// that collapse at this zoom are dropped, with the holes of a collapsed
+// exterior ring.
+function addPolygon (parts, rings) {
+  rings.forEach((vertices, i) => {
+    const ring = vertices.length > 1 && samePoint(vertices[0], vertices[vertices.length - 1])
+      ? vertices.slice(0, -1)
+      : vertices
+    const area = ring.length >= 3 ? ringArea(ring) : 0
+    if (area === 0) {
+      if (i === 0) rings.length = 0
+      return
+    }
+    const exterior = i === 0
+    parts[POLYGON].push((area > 0) === exterior ? ring : ring.slice().reverse())
+  })
+}
+
+// Signed area by the surveyor's formula (positive is clockwise with y down)
+function ringArea (ring) {
+  let sum = 0
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1]
+  }
+  return sum / 2
+}
+
+// Drop consecutive duplicate vertices left by rounding to tile units
+function dedupe (vertices) {
+  return vertices.filter((vertex, i) => i === 0 || !samePoint(vertex, vertices[i - 1]))
+}
+
+function samePoint (a, b) {
+  return a[0] === b[0] && a[1] === b[1]
+}
+
+// MoveTo the first vertex, LineTo the rest, and ClosePath for rings
+function writeLine (commands, cursor, vertices, close) {
+  commands.push(command(MOVE_TO, 1))
+  writeDelta(commands, cursor, vertices[0])
+  commands.push(command(LINE_TO, vertices.length - 1))
+  vertices.slice(1).forEach(vertex => writeDelta(commands, cursor, vertex))
+  if (close) commands.push(command(CLOSE_PATH, 1))
+}
+
+// Parameters are ZigZag-encoded deltas from the previous cursor position
+function writeDelta (commands, cursor, [x, y]) {
+  commands.push(zigzag32(x - cursor.x), zigzag32(y - cursor.y))
+  cursor.x = x
+  cursor.y = y
+}
+
+function command (id, count) {
+  return (count << 3) | id
+}
+
+function zigzag32 (value) {
+  return (value << 1) ^ (value >> 31)
+}
+
+module.exports = {
+  TILE_EXTENT,
+  TILE_BUFFER,
+  MAX_ZOOM,
+  WEB_MERCATOR_MAX,
+  parseTileCoordinates,
+  getTileEnvelope,
+  encodeVectorTile
+}
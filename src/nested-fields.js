@@ -0,0 +1,180 @@
+/*
+  nested-fields.js
+
+  Flattening of STRUCT, ARRAY and MAP columns (e.g. the names, addresses and
+  categories of Overture tables) into fields ArcGIS clients can display and
+  query. Struct leaves become fields named after their path
+  (addresses_locality), selected with Databricks SQL field access; arrays
+  and maps become JSON text, or arrays their first element. Dotted paths
+  (addresses.locality) name the same fields in outFields and where.
+*/
+
+const PLAIN_IDENTIFIER = /^[a-zA-Z_][a-zA-Z0-9_]*$/
+
+/**
+ * Parse a Databricks data type as DESCRIBE reports it, e.g.
+ * 'struct<primary:string,common:map<string,string>>'.
+ * @param {string} dataType - Data type
+ * @returns {object} Type tree: { kind: 'struct', fields: [{ name, type }] },
+ *   { kind: 'array', element }, { kind: 'map', key, value } or
+ *   { kind: 'primitive' }, each with its dataType text
+ */
+function parseDataType (dataType) {
+  const text = String(dataType || '')
+  let pos = 0
+
+  const skipSpaces = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++
+  }
+  const expect = char => {
+    skipSpaces()
+    if (text[pos] !== char) throw new Error(`Invalid data type ${text}: expected '${char}' at ${pos}`)
+    pos++
+  }
+
+  // Struct field name, unquoted or in backticks (`` for a backtick)
+  const readFieldName = () => {
+    skipSpaces()
+    if (text[pos] !== '`') {
+      const start = pos
+      while (pos < text.length && text[pos] !== ':') pos++
+      return text.slice(start, pos).trim()
+    }
+    let name = ''
+    for (pos++; pos < text.length; pos++) {
+      if (text[pos] === '`' && text[pos + 1] === '`') {
+        name += '`'
+        pos++
+      } else if (text[pos] === '`') {
+        pos++
+        return name
+      } else {
+        name += text[pos]
+      }
+    }
+    throw new Error(`Invalid data type ${text}: unterminated field name`)
+  }
+
+  const readType = () => {
+    skipSpaces()
+    const start = pos
+    const keyword = (/^[a-z_]+/i.exec(text.slice(pos)) || [''])[0].toLowerCase()
+    let node
+    if (['struct', 'array', 'map'].includes(keyword) && /^\s*</.test(text.slice(pos + keyword.length))) {
+      pos += keyword.length
+      expect('<')
+      if (keyword === 'struct') {
+        node = { kind: 'struct', fields: [] }
+        skipSpaces()
+        while (text[pos] !== '>') {
+          const name = readFieldName()
+          expect(':')
+          node.fields.push({ name, type: readType() })
+          skipSpaces()
+          if (text[pos] === ',') pos++
+          skipSpaces()
+          if (pos >= text.length) throw new Error(`Invalid data type ${text}: unterminated struct`)
+        }
+      } else if (keyword === 'array') {
+        node = { kind: 'array', element: readType() }
+      } else {
+        const key = readType()
+        expect(',')
+        node = { kind: 'map', key, value: readType() }
+      }
+      expect('>')
+    } else {
+      // Anything up to the next top-level ',' or '>', e.g. decimal(10,2)
+      let depth = 0
+      while (pos < text.length && (depth > 0 || (text[pos] !== ',' && text[pos] !== '>'))) {
+        if (text[pos] === '(') depth++
+        if (text[pos] === ')') depth--
+        pos++
+      }
+      node = { kind: 'primitive' }
+    }
+    node.dataType = text.slice(start, pos).trim()
+    return node
+  }
+
+  const type = readType()
+  skipSpaces()
+  if (pos < text.length) throw new Error(`Invalid data type ${text}: unexpected '${text[pos]}' at ${pos}`)
+  return type
+}
+
+/**
+ * Flatten a column into the fields it is published as. Struct fields are
+ * flattened recursively; maps become JSON text, as do arrays unless
+ * options.arrays is 'first', which takes their first element (flattened
+ * in turn). Other columns are returned as they are.
+ * @param {string} name - Column name
+ * @param {string} dataType - Column data type, as DESCRIBE reports it
+ * @param {object} [options]
+ * @param {string} [options.arrays='json'] - 'json' or 'first'
+ * @returns {object[]} [{ name, path, expression, dataType }]: the field name
+ *   (path segments joined with '_'), its dotted path, the SQL expression
+ *   selecting it and the data type of its values
+ */
+function flattenColumn (name, dataType, { arrays = 'json' } = {}) {
+  let type
+  try {
+    type = parseDataType(dataType)
+  } catch (error) {
+    // Unparseable types are left to the field type mapping, like any other
+    type = { kind: 'primitive', dataType }
+  }
+
+  const fields = []
+  const visit = (node, segments, expression) => {
+    if (node.kind === 'struct') {
+      node.fields.forEach(field => visit(field.type, segments.concat(field.name), `${expression}.${quoteIdentifier(field.name)}`))
+    } else if (node.kind === 'array' && arrays === 'first') {
+      visit(node.element, segments, `try_element_at(${expression}, 1)`)
+    } else {
+      const leaf = node.kind === 'primitive' ? expression : `to_json(${expression})`
+      fields.push({ name: toFieldName(segments), path: segments.join('.'), expression: leaf, dataType: node.dataType })
+    }
+  }
+  visit(type, [name], PLAIN_IDENTIFIER.test(name) ? name : quoteIdentifier(name))
+  return fields
+}
+
+/**
+ * Rewrite the dotted paths of flattened fields in a where clause, outFields
+ * or orderByFields parameter to their field names. Text in quotes and
+ * paths that aren't fields are left as they are; paths match regardless of
+ * case, like Databricks identifiers.
+ * @param {string} text - Parameter value
+ * @param {object[]} fields - Flattened fields (see flattenColumn)
+ * @returns {string} The parameter with field names for paths
+ */
+function resolveFieldPaths (text, fields) {
+  if (!text || typeof text !== 'string' || !fields) return text
+
+  const names = new Map(fields
+    .filter(field => field.path !== field.name)
+    .map(field => [field.path.toLowerCase(), field.name]))
+  if (names.size === 0) return text
+
+  const tokens = /('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`[^`]*`)|([a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z_][a-zA-Z0-9_]*)+)/g
+  return text.replace(tokens, (match, quoted, path) => quoted ? match : (names.get(path.toLowerCase()) || match))
+}
+
+// Backtick-quoted identifier
+function quoteIdentifier (name) {
+  return '`' + String(name).replace(/`/g, '``') + '`'
+}
+
+// Field name of a path: its segments joined with '_', with any character
+// that can't appear in a plain identifier replaced by '_'
+function toFieldName (segments) {
+  const name = segments.join('_').replace(/[^a-zA-Z0-9_]/g, '_')
+  return /^[0-9]/.test(name) ? `_${name}` : name
+}
+
+module.exports = {
+  parseDataType,
+  flattenColumn,
+  resolveFieldPaths
+}
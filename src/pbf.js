@@ -0,0 +1,235 @@
+/*
+  pbf.js
+
+  Esri FeatureCollection protocol buffer encoding (f=pbf) of FeatureServer
+  query responses: features (including statistics), counts and object IDs.
+  Geometries are always quantized in PBF; responses that are already
+  quantized (quantizationParameters) are encoded with their own transform,
+  others are quantized here onto a fine grid (1e-9 degrees or 0.1 mm).
+  Field numbers follow Esri's FeatureCollection.proto.
+
+  FeatureServer has its own f=pbf encoder, but it can't encode this
+  provider's responses: it quantizes geometries from quantizationParameters
+  again, though the model has already quantized them (see getData), and
+  has no value encoding for the BigInteger, Single, DateOnly, TimeOnly and
+  TimestampOffset fields restored in the responses (see field-types.js).
+  Its encoder also runs before the controller sees the response. The
+  protocol buffer writer (protobuf.js) is shared with the vector tiles.
+*/
+
+const { createWriter } = require('./protobuf')
+const { createQuantizer, quantizeEsriGeometry } = require('./quantization')
+const { normalizeWkid, isGeographicSrid } = require('./projection')
+const { detectEsriGeometryType } = require('./geometry')
+
+const GEOMETRY_TYPES = {
+  esriGeometryPoint: 0,
+  esriGeometryMultipoint: 1,
+  esriGeometryPolyline: 2,
+  esriGeometryPolygon: 3,
+  esriGeometryMultipatch: 4,
+  esriGeometryEnvelope: 5
+}
+const GEOMETRY_TYPE_NONE = 127
+
+const FIELD_TYPES = {
+  esriFieldTypeSmallInteger: 0,
+  esriFieldTypeInteger: 1,
+  esriFieldTypeSingle: 2,
+  esriFieldTypeDouble: 3,
+  esriFieldTypeString: 4,
+  esriFieldTypeDate: 5,
+  esriFieldTypeOID: 6,
+  esriFieldTypeGeometry: 7,
+  esriFieldTypeBlob: 8,
+  esriFieldTypeRaster: 9,
+  esriFieldTypeGUID: 10,
+  esriFieldTypeGlobalID: 11,
+  esriFieldTypeXML: 12,
+  esriFieldTypeBigInteger: 13,
+  esriFieldTypeDateOnly: 14,
+  esriFieldTypeTimeOnly: 15,
+  esriFieldTypeTimestampOffset: 16
+}
+
+// Field types whose integer values are written as sint64 rather than sint32
+const INT64_FIELD_TYPES = ['esriFieldTypeBigInteger', 'esriFieldTypeDate', 'esriFieldTypeTimeOnly']
+
+/**
+ * Encode a FeatureServer query response as an Esri FeatureCollection PBF.
+ * @param {object} payload - Esri JSON query response: features (with
+ *   fields, spatialReference, optional transform, ...), { count }, or
+ *   { objectIdFieldName, objectIds }
+ * @returns {Buffer} Encoded FeatureCollectionPBuffer message
+ * @throws {Error} 400 for object IDs the proto's uint64 list can't carry
+ *   (negative, or strings of integers beyond 2^53)
+ */
+function encodeQueryResponse (payload) {
+  if (Array.isArray(payload.objectIds)) {
+    const invalid = payload.objectIds.find(id => !Number.isSafeInteger(id) || id < 0)
+    if (invalid !== undefined) {
+      const err = new Error(`Object ID ${invalid} can't be encoded as PBF; use f=json`)
+      err.code = 400
+      throw err
+    }
+  }
+
+  const writer = createWriter()
+  writer.message(2, queryResult => {
+    if (Array.isArray(payload.objectIds)) {
+      queryResult.message(3, ids => {
+        if (payload.objectIdFieldName) ids.string(1, payload.objectIdFieldName)
+        ids.packedUint(3, payload.objectIds)
+      })
+    } else if (payload.count !== undefined && !payload.features) {
+      queryResult.message(2, count => count.uint(1, payload.count))
+    } else {
+      queryResult.message(1, result => writeFeatureResult(result, payload))
+    }
+  })
+  return writer.finish()
+}
+
+function writeFeatureResult (writer, payload) {
+  const features = payload.features || []
+  const fields = getFields(payload.fields, features)
+  const transform = getTransform(payload)
+
+  if (payload.objectIdFieldName) writer.string(1, payload.objectIdFieldName)
+  if (payload.uniqueIdField) {
+    writer.message(2, uniqueIdField => {
+      uniqueIdField.string(1, payload.uniqueIdField.name)
+      uniqueIdField.bool(2, payload.uniqueIdField.isSystemMaintained)
+    })
+  }
+  if (payload.globalIdFieldName) writer.string(3, payload.globalIdFieldName)
+  const feature = features.find(feature => feature.geometry)
+  const geometryType = payload.geometryType || (feature && detectEsriGeometryType(feature.geometry))
+  writer.uint(7, GEOMETRY_TYPES[geometryType] !== undefined ? GEOMETRY_TYPES[geometryType] : GEOMETRY_TYPE_NONE)
+  if (payload.spatialReference) {
+    writer.message(8, sr => {
+      const { wkid, latestWkid, wkt } = payload.spatialReference
+      if (wkid) sr.uint(1, wkid)
+      if (latestWkid) sr.uint(2, latestWkid)
+      if (wkt) sr.string(5, wkt)
+    })
+  }
+  writer.bool(9, !!payload.exceededTransferLimit)
+  writer.bool(10, false) // Z and M values are not encoded
+  writer.bool(11, false)
+  writer.message(12, t => {
+    t.uint(1, transform.originPosition === 'lowerLeft' ? 1 : 0)
+    t.message(2, scale => {
+      scale.double(1, transform.scale[0])
+      scale.double(2, transform.scale[1])
+    })
+    t.message(3, translate => {
+      translate.double(1, transform.translate[0])
+      translate.double(2, transform.translate[1])
+    })
+  })
+  for (const field of fields) {
+    writer.message(13, f => {
+      f.string(1, field.name)
+      f.uint(2, FIELD_TYPES[field.type] !== undefined ? FIELD_TYPES[field.type] : FIELD_TYPES.esriFieldTypeString)
+      f.string(3, field.alias || field.name)
+    })
+  }
+
+  const quantizer = payload.transform ? null : createQuantizer(transformToQuantizerOptions(transform))
+  for (const feature of features) {
+    writer.message(15, f => {
+      const attributes = feature.attributes || {}
+      for (const field of fields) {
+        f.message(1, value => writeValue(value, attributes[field.name], field.type))
+      }
+      const geometry = quantizer ? quantizeEsriGeometry(feature.geometry, quantizer) : feature.geometry
+      if (geometry) {
+        f.message(2, g => writeGeometry(g, geometry))
+      }
+    })
+  }
+}
+
+// Response fields, plus any attributes missing from them (typed from the
+// first feature that has a value)
+function getFields (responseFields, features) {
+  const fields = (responseFields || []).slice()
+  const names = new Set(fields.map(field => field.name))
+  for (const feature of features) {
+    for (const [name, value] of Object.entries(feature.attributes || {})) {
+      if (names.has(name) || value === null || value === undefined) continue
+      names.add(name)
+      fields.push({ name, type: inferFieldType(value) })
+    }
+  }
+  return fields
+}
+
+function inferFieldType (value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? 'esriFieldTypeInteger' : 'esriFieldTypeDouble'
+  return 'esriFieldTypeString'
+}
+
+// The response's quantization transform, or a fine default grid anchored at
+// the origin for unquantized responses
+function getTransform (payload) {
+  if (payload.transform) return payload.transform
+
+  const srid = normalizeWkid(payload.spatialReference)
+  const tolerance = !srid || isGeographicSrid(srid) ? 1e-9 : 1e-4
+  return { originPosition: 'upperLeft', scale: [tolerance, tolerance], translate: [0, 0] }
+}
+
+function transformToQuantizerOptions ({ originPosition, scale, translate }) {
+  const [x, y] = translate
+  return {
+    extent: { xmin: x, ymin: y, xmax: x, ymax: y },
+    tolerance: scale[0],
+    originPosition
+  }
+}
+
+// Value message: null values are written as an empty message. The variant
+// follows the value's type, with the field type choosing the integer width
+function writeValue (writer, value, fieldType) {
+  if (value === null || value === undefined) return
+
+  if (typeof value === 'boolean') {
+    writer.bool(9, value)
+  } else if (typeof value === 'number') {
+    // Integers beyond 2^53 are no longer exact as numbers, and varints
+    // can't hold them; they are written as the doubles they are
+    if (!Number.isSafeInteger(value) || fieldType === 'esriFieldTypeDouble' || fieldType === 'esriFieldTypeSingle') {
+      writer.double(3, value)
+    } else if (fieldType === 'esriFieldTypeOID' && value >= 0) {
+      writer.uint(5, value)
+    } else if (INT64_FIELD_TYPES.includes(fieldType) || Math.abs(value) > 0x7fffffff) {
+      writer.sint(8, value)
+    } else {
+      writer.sint(4, value)
+    }
+  } else {
+    writer.string(1, typeof value === 'object' ? JSON.stringify(value) : value)
+  }
+}
+
+// Geometry message from quantized Esri JSON: part lengths and the flattened
+// (delta-encoded) coordinates. Points have no lengths.
+function writeGeometry (writer, geometry) {
+  const parts = geometry.rings || geometry.paths || (geometry.points ? [geometry.points] : null)
+  if (!parts) {
+    writer.packedSint(3, [geometry.x, geometry.y])
+    return
+  }
+  writer.packedUint(2, parts.map(part => part.length))
+  const coords = []
+  for (const part of parts) {
+    for (const vertex of part) coords.push(vertex[0], vertex[1])
+  }
+  writer.packedSint(3, coords)
+}
+
+module.exports = {
+  encodeQueryResponse
+}
@@ -0,0 +1,173 @@
+/*
+  projection.js
+
+  Spatial reference registry for input and output geometries. Normalizes
+  Esri WKIDs to the EPSG codes Databricks ST_Transform understands, and
+  provides in-process transforms for WGS84 <-> Web Mercator so the most
+  common web map case doesn't need a transform in SQL.
+*/
+
+// Esri WKIDs that are aliases of an EPSG code
+const ESRI_WKID_ALIASES = {
+  102100: 3857, // WGS_1984_Web_Mercator_Auxiliary_Sphere
+  102113: 3857, // WGS_1984_Web_Mercator
+  900913: 3857, // Google Mercator
+  3785: 3857, // Popular Visualisation CRS / Mercator (deprecated EPSG code)
+  54004: 3395, // World_Mercator
+  102039: 5070 // USA_Contiguous_Albers_Equal_Area_Conic_USGS_version
+}
+
+// Esri-specific WKID ranges (world projections and 1xxxxx codes); anything
+// in these ranges without an alias above has no EPSG definition for
+// Databricks to transform with
+const ESRI_WKID_RANGES = [[53000, 54999], [100000, Infinity]]
+
+const EARTH_RADIUS = 6378137
+
+/**
+ * Parse a spatial reference parameter (a wkid, '{"wkid":...}' JSON, or an
+ * Esri spatial reference object) into { wkid, latestWkid }.
+ * @param {number|string|object} sr - Spatial reference
+ * @returns {{ wkid: number|null, latestWkid: number|null }|null} null if
+ *   no numeric wkid is present (e.g. a WKT spatial reference)
+ */
+function parseSpatialReference (sr) {
+  if (sr === undefined || sr === null || sr === '') return null
+
+  let parsed = sr
+  if (typeof parsed === 'string' && parsed.trim().startsWith('{')) {
+    try {
+      parsed = JSON.parse(parsed)
+    } catch (error) {
+      return null
+    }
+  }
+
+  const toWkid = value => {
+    const wkid = parseInt(value)
+    return isNaN(wkid) || wkid <= 0 || String(wkid) !== String(value).trim() ? null : wkid
+  }
+
+  const result = typeof parsed === 'object'
+    ? { wkid: toWkid(parsed.wkid), latestWkid: toWkid(parsed.latestWkid) }
+    : { wkid: toWkid(parsed), latestWkid: null }
+
+  return result.wkid || result.latestWkid ? result : null
+}
+
+/**
+ * Normalize a spatial reference to an EPSG code.
+ * latestWkid is preferred because it is the EPSG code for most Esri-specific
+ * WKIDs (e.g. state plane feet zones); known Esri aliases are mapped through
+ * the registry.
+ * @param {number|string|object} sr - Spatial reference (see parseSpatialReference)
+ * @returns {number|null} EPSG code, or null if none could be determined
+ */
+function normalizeWkid (sr) {
+  const parsed = parseSpatialReference(sr)
+  if (!parsed) return null
+
+  const wkid = parsed.latestWkid || parsed.wkid
+  return ESRI_WKID_ALIASES[wkid] || wkid
+}
+
+/**
+ * Whether an EPSG code (as returned by normalizeWkid) can be handed to
+ * Databricks ST functions.
+ * @param {number} srid - EPSG code
+ * @returns {boolean}
+ */
+function isSupportedSrid (srid) {
+  return Number.isInteger(srid) && srid > 0 &&
+    !ESRI_WKID_RANGES.some(([min, max]) => srid >= min && srid <= max)
+}
+
+/**
+ * Whether an EPSG code is a geographic (degree-based) coordinate system.
+ * Uses the EPSG 4000-4999 range, where the common geographic systems live
+ * (WGS84, NAD83, ETRS89, GDA94, ...).
+ * @param {number} srid - EPSG code
+ * @returns {boolean}
+ */
+function isGeographicSrid (srid) {
+  return srid >= 4000 && srid < 5000
+}
+
+// Projected systems in meters whose distances are true on the ground at
+// local scale: UTM zones (WGS84, ETRS89, NAD83, GDA94, GDA2020) and common
+// national grids. Web Mercator and World Mercator are in meters too, but
+// stretched by 1/cos(latitude), so they are not listed.
+const METER_SRID_RANGES = [[32601, 32660], [32701, 32760], [25828, 25838], [26901, 26923], [28348, 28358], [7846, 7859]]
+const METER_SRIDS = [
+  27700, // British National Grid
+  2154, // RGF93 / Lambert-93
+  3035, // ETRS89 / LAEA Europe
+  3006, // SWEREF99 TM
+  2193, // NZGD2000 / New Zealand Transverse Mercator
+  3310, // NAD83 / California Albers
+  3577, // GDA94 / Australian Albers
+  5070 // NAD83 / Conus Albers
+]
+
+/**
+ * Whether an EPSG code is a projected system in which a distance in meters
+ * can be used as-is (see METER_SRIDS). Other projected systems may use feet
+ * or be scaled away from their origin.
+ * @param {number} srid - EPSG code
+ * @returns {boolean}
+ */
+function isMeterSrid (srid) {
+  return METER_SRIDS.includes(srid) || METER_SRID_RANGES.some(([min, max]) => srid >= min && srid <= max)
+}
+
+/**
+ * Get an in-process coordinate transform between two EPSG codes.
+ * @param {number} fromSrid - Source EPSG code
+ * @param {number} toSrid - Target EPSG code
+ * @returns {function|null} ([x, y]) => [x, y], or null when the transform
+ *   has to be done in SQL with ST_Transform
+ */
+function getLocalTransform (fromSrid, toSrid) {
+  if (fromSrid === toSrid) return xy => xy
+  if (fromSrid === 3857 && toSrid === 4326) return ([x, y]) => webMercatorToWgs84(x, y)
+  if (fromSrid === 4326 && toSrid === 3857) return ([x, y]) => wgs84ToWebMercator(x, y)
+  return null
+}
+
+/**
+ * Convert Web Mercator (EPSG:3857 / 102100) coordinates to WGS84 degrees.
+ * @param {number} x
+ * @param {number} y
+ * @returns {number[]} [lon, lat]
+ */
+function webMercatorToWgs84 (x, y) {
+  const lon = (x / EARTH_RADIUS) * (180 / Math.PI)
+  const lat = (2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - Math.PI / 2) * (180 / Math.PI)
+  return [lon, lat]
+}
+
+/**
+ * Convert WGS84 degrees to Web Mercator (EPSG:3857) coordinates.
+ * Latitudes are clamped to the Web Mercator limit (±85.0511°).
+ * @param {number} lon
+ * @param {number} lat
+ * @returns {number[]} [x, y]
+ */
+function wgs84ToWebMercator (lon, lat) {
+  const clamped = Math.max(-85.0511287798, Math.min(85.0511287798, lat))
+  const x = EARTH_RADIUS * lon * Math.PI / 180
+  const y = EARTH_RADIUS * Math.log(Math.tan(Math.PI / 4 + clamped * Math.PI / 360))
+  return [x, y]
+}
+
+module.exports = {
+  ESRI_WKID_ALIASES,
+  parseSpatialReference,
+  normalizeWkid,
+  isSupportedSrid,
+  isGeographicSrid,
+  isMeterSrid,
+  getLocalTransform,
+  webMercatorToWgs84,
+  wgs84ToWebMercator
+}
@@ -0,0 +1,149 @@
+/*
+  protobuf.js
+
+  Minimal protocol buffer writer for the binary formats this provider
+  serves (Esri FeatureCollection PBF query responses and Mapbox Vector
+  Tiles). Only encoding is supported; messages are written field by field
+  with the field numbers from the format's .proto definition.
+*/
+
+const INITIAL_SIZE = 1024
+
+// Wire types
+const VARINT = 0
+const FIXED64 = 1
+const LENGTH_DELIMITED = 2
+const FIXED32 = 5
+
+/**
+ * Create a protocol buffer writer.
+ * Integers are written as varints and must be safe integers (at most
+ * Number.MAX_SAFE_INTEGER in magnitude, non-negative for unsigned fields);
+ * 64-bit values beyond that range can't be written.
+ * @returns {object} Writer with one method per field type, each taking the
+ *   field number and value; `finish()` returns the encoded Buffer
+ */
+function createWriter () {
+  let buf = Buffer.allocUnsafe(INITIAL_SIZE)
+  let pos = 0
+
+  const ensure = bytes => {
+    if (pos + bytes <= buf.length) return
+    let size = buf.length * 2
+    while (size < pos + bytes) size *= 2
+    const grown = Buffer.allocUnsafe(size)
+    buf.copy(grown, 0, 0, pos)
+    buf = grown
+  }
+
+  const writeVarint = value => {
+    ensure(10)
+    let n = value
+    while (n >= 0x80) {
+      buf[pos++] = (n % 0x80) | 0x80
+      n = Math.floor(n / 0x80)
+    }
+    buf[pos++] = n
+  }
+
+  // ZigZag varint, written without computing 2 * |value| (+ 1), which is
+  // inexact beyond 2^53: the first byte holds the sign and the low 6 bits of
+  // |value| (|value| - 1 when negative), the rest is those bits shifted out
+  const writeZigzag = value => {
+    const magnitude = value >= 0 ? value : -value - 1
+    const low = (magnitude % 64) * 2 + (value >= 0 ? 0 : 1)
+    const high = Math.floor(magnitude / 64)
+    ensure(1)
+    buf[pos++] = high > 0 ? low | 0x80 : low
+    if (high > 0) writeVarint(high)
+  }
+
+  const writeTag = (field, wireType) => writeVarint(field * 8 + wireType)
+
+  const writeBytes = bytes => {
+    writeVarint(bytes.length)
+    ensure(bytes.length)
+    bytes.copy(buf, pos)
+    pos += bytes.length
+  }
+
+  const writer = {
+    // Unsigned varint (uint32, uint64, enum, non-negative int32/int64)
+    uint (field, value) {
+      writeTag(field, VARINT)
+      writeVarint(value)
+    },
+    // ZigZag varint (sint32, sint64)
+    sint (field, value) {
+      writeTag(field, VARINT)
+      writeZigzag(value)
+    },
+    bool (field, value) {
+      writeTag(field, VARINT)
+      writeVarint(value ? 1 : 0)
+    },
+    double (field, value) {
+      writeTag(field, FIXED64)
+      ensure(8)
+      buf.writeDoubleLE(value, pos)
+      pos += 8
+    },
+    float (field, value) {
+      writeTag(field, FIXED32)
+      ensure(4)
+      buf.writeFloatLE(value, pos)
+      pos += 4
+    },
+    string (field, value) {
+      writeTag(field, LENGTH_DELIMITED)
+      writeBytes(Buffer.from(String(value), 'utf8'))
+    },
+    bytes (field, value) {
+      writeTag(field, LENGTH_DELIMITED)
+      writeBytes(value)
+    },
+    // Embedded message, written by build(writer)
+    message (field, build) {
+      const nested = createWriter()
+      build(nested)
+      writer.bytes(field, nested.finish())
+    },
+    // Packed repeated unsigned varints
+    packedUint (field, values) {
+      if (values.length === 0) return
+      const nested = createWriter()
+      values.forEach(value => nested.rawVarint(value))
+      writer.bytes(field, nested.finish())
+    },
+    // Packed repeated ZigZag varints
+    packedSint (field, values) {
+      if (values.length === 0) return
+      const nested = createWriter()
+      values.forEach(value => nested.rawSint(value))
+      writer.bytes(field, nested.finish())
+    },
+    // A bare varint with no tag (packed field contents)
+    rawVarint (value) {
+      writeVarint(value)
+    },
+    // A bare ZigZag varint with no tag
+    rawSint (value) {
+      writeZigzag(value)
+    },
+    finish () {
+      return buf.slice(0, pos)
+    }
+  }
+  return writer
+}
+
+// ZigZag encoding of a value, exact while 2 * |value| is (|value| up to
+// 2^52); the writer's sint fields are exact for any safe integer
+function zigzag (value) {
+  return value >= 0 ? value * 2 : -value * 2 - 1
+}
+
+module.exports = {
+  createWriter,
+  zigzag
+}
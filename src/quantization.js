@@ -0,0 +1,97 @@
+/*
+  quantization.js
+
+  Coordinate quantization for quantizationParameters queries (as sent by the
+  ArcGIS Maps SDK in tile mode). GeoJSON geometries are converted to Esri
+  JSON on an integer grid of `tolerance`-sized cells anchored at a corner of
+  the quantization extent; the response's `transform` tells the client how
+  to map grid cells back to coordinates.
+*/
+
+const { geojsonToEsriGeometry } = require('./geometry')
+
+/**
+ * Create a quantizer for a quantization extent.
+ * @param {object} options
+ * @param {{ xmin: number, ymin: number, xmax: number, ymax: number }} options.extent - Quantization extent, in output coordinates
+ * @param {number} options.tolerance - Grid cell size, in output units
+ * @param {string} [options.originPosition='upperLeft'] - 'upperLeft' or 'lowerLeft'
+ * @returns {{ transform: object, quantize: function }} `transform` for the
+ *   response, and `quantize([x, y])` returning integer grid coordinates
+ */
+function createQuantizer ({ extent, tolerance, originPosition = 'upperLeft' }) {
+  const upperLeft = originPosition === 'upperLeft'
+  const originY = upperLeft ? extent.ymax : extent.ymin
+
+  return {
+    transform: {
+      originPosition,
+      scale: [tolerance, tolerance, 0, 0],
+      translate: [extent.xmin, originY, 0, 0]
+    },
+    quantize: ([x, y]) => [
+      Math.round((x - extent.xmin) / tolerance),
+      Math.round((upperLeft ? originY - y : y - originY) / tolerance)
+    ]
+  }
+}
+
+/**
+ * Convert a GeoJSON geometry to quantized Esri JSON.
+ * Points are absolute grid coordinates; multipoints, paths and rings are
+ * delta encoded (first vertex absolute, then offsets from the previous
+ * vertex) with repeated vertices dropped. Rings are oriented in map space
+ * (see geojsonToEsriGeometry) before quantizing, and parts that collapse to
+ * a single cell are dropped.
+ * @param {object} geometry - GeoJSON geometry
+ * @param {{ quantize: function }} quantizer - See createQuantizer
+ * @returns {object|null} Esri JSON geometry, or null if it collapses to nothing
+ */
+function quantizeGeometry (geometry, quantizer) {
+  return quantizeEsriGeometry(geojsonToEsriGeometry(geometry), quantizer)
+}
+
+/**
+ * Quantize an Esri JSON geometry (see quantizeGeometry). Rings are expected
+ * to be oriented already.
+ * @param {object} esri - Esri JSON point, multipoint, polyline or polygon
+ * @param {{ quantize: function }} quantizer - See createQuantizer
+ * @returns {object|null} Esri JSON geometry, or null if it collapses to nothing
+ */
+function quantizeEsriGeometry (esri, quantizer) {
+  if (!esri) return null
+  const { quantize } = quantizer
+
+  if (esri.points) {
+    const points = deltaEncode(esri.points.map(quantize), 1)
+    return points.length > 0 ? { points } : null
+  }
+  if (esri.paths) {
+    const paths = esri.paths.map(path => deltaEncode(path.map(quantize), 2)).filter(path => path.length > 0)
+    return paths.length > 0 ? { paths } : null
+  }
+  if (esri.rings) {
+    const rings = esri.rings.map(ring => deltaEncode(ring.map(quantize), 4)).filter(ring => ring.length > 0)
+    return rings.length > 0 ? { rings } : null
+  }
+
+  const [x, y] = quantize([esri.x, esri.y])
+  return { x, y }
+}
+
+// Drop repeated grid vertices and delta encode the rest. Returns [] when
+// fewer than minVertices remain.
+function deltaEncode (vertices, minVertices) {
+  const distinct = vertices.filter((v, i) => i === 0 || v[0] !== vertices[i - 1][0] || v[1] !== vertices[i - 1][1])
+  if (distinct.length < minVertices) return []
+
+  return distinct.map((v, i) => i === 0
+    ? v
+    : [v[0] - distinct[i - 1][0], v[1] - distinct[i - 1][1]])
+}
+
+module.exports = {
+  createQuantizer,
+  quantizeGeometry,
+  quantizeEsriGeometry
+}
@@ -4,4 +4,41 @@
   This file is an optional place to specify additional routes to be handled by this provider's controller
   Documentation: http://koopjs.github.io/docs/usage/provider
 */
-module.exports = []
+module.exports = [
+  {
+    // Also matches /FeatureServer/layers
+    path: '/databricks/rest/services/:id/FeatureServer/:layer',
+    methods: ['get', 'post'],
+    handler: 'layerInfo'
+  },
+  {
+    path: '/databricks/rest/services/:id/FeatureServer/:layer/query',
+    methods: ['get', 'post'],
+    handler: 'query'
+  },
+  {
+    path: '/databricks/rest/services/:id/FeatureServer/:layer/info',
+    methods: ['get', 'post'],
+    handler: 'layerInfo'
+  },
+  {
+    path: '/databricks/rest/services/:id/VectorTileServer',
+    methods: ['get'],
+    handler: 'vectorTileServer'
+  },
+  {
+    path: '/databricks/rest/services/:id/VectorTileServer/tile/:z/:y/:x.pbf',
+    methods: ['get'],
+    handler: 'tile'
+  },
+  {
+    path: '/databricks/rest/services/:id/VectorTileServer/resources/styles',
+    methods: ['get'],
+    handler: 'tileStyle'
+  },
+  {
+    path: '/databricks/rest/services/:id/VectorTileServer/resources/styles/root.json',
+    methods: ['get'],
+    handler: 'tileStyle'
+  }
+]
@@ -0,0 +1,107 @@
+/*
+  vector-tile-server.js
+
+  Service JSON and default style for the VectorTileServer routes (see
+  controller.js). Tiles are 512 pixel Web Mercator tiles addressed as
+  tile/{z}/{y}/{x}.pbf, the scheme shared by ArcGIS VectorTileServer and
+  Mapbox/MapLibre vector sources.
+*/
+
+const { MAX_ZOOM, WEB_MERCATOR_MAX } = require('./mvt')
+
+const TILE_SIZE = 512
+const DPI = 96
+const INCHES_PER_METER = 1 / 0.0254
+
+const SPATIAL_REFERENCE = { wkid: 102100, latestWkid: 3857 }
+const WORLD_EXTENT = {
+  xmin: -WEB_MERCATOR_MAX,
+  ymin: -WEB_MERCATOR_MAX,
+  xmax: WEB_MERCATOR_MAX,
+  ymax: WEB_MERCATOR_MAX,
+  spatialReference: SPATIAL_REFERENCE
+}
+
+// Levels of detail, 0 to MAX_ZOOM
+const LODS = Array.from({ length: MAX_ZOOM + 1 }, (_, level) => {
+  const resolution = 2 * WEB_MERCATOR_MAX / TILE_SIZE / Math.pow(2, level)
+  return { level, resolution, scale: resolution * DPI * INCHES_PER_METER }
+})
+
+/**
+ * VectorTileServer service JSON for a table.
+ * @param {string} name - Table name, also the tiles' source layer name
+ * @returns {object} ArcGIS VectorTileServer resource
+ */
+function getVectorTileServerInfo (name) {
+  return {
+    currentVersion: 11.2,
+    name,
+    capabilities: 'TilesOnly',
+    type: 'indexedVector',
+    defaultStyles: 'resources/styles',
+    tiles: ['tile/{z}/{y}/{x}.pbf'],
+    exportTilesAllowed: false,
+    initialExtent: WORLD_EXTENT,
+    fullExtent: WORLD_EXTENT,
+    minScale: 0,
+    maxScale: 0,
+    minLOD: 0,
+    maxLOD: MAX_ZOOM,
+    maxzoom: MAX_ZOOM,
+    tileInfo: {
+      rows: TILE_SIZE,
+      cols: TILE_SIZE,
+      dpi: DPI,
+      format: 'pbf',
+      origin: { x: -WEB_MERCATOR_MAX, y: WEB_MERCATOR_MAX },
+      spatialReference: SPATIAL_REFERENCE,
+      lods: LODS
+    },
+    resourceInfo: {
+      styleVersion: 8,
+      tileCompression: 'none'
+    }
+  }
+}
+
+/**
+ * Default Mapbox GL (version 8) style for a table's tiles: one fill, line
+ * and circle layer, each filtered to its geometry type, so the same style
+ * works whatever the table's geometries are.
+ * @param {string} name - Table name (the tiles' source layer)
+ * @param {string} serviceUrl - Absolute URL of the VectorTileServer
+ * @returns {object} Style JSON, with absolute tile URLs as MapLibre requires
+ */
+function getVectorTileStyle (name, serviceUrl) {
+  const layer = (id, type, geometryType, paint) => ({
+    id: `${name}/${id}`,
+    type,
+    source: 'esri',
+    'source-layer': name,
+    filter: ['==', '$type', geometryType],
+    paint
+  })
+
+  return {
+    version: 8,
+    sources: {
+      esri: {
+        type: 'vector',
+        tiles: [`${serviceUrl}/tile/{z}/{y}/{x}.pbf`],
+        minzoom: 0,
+        maxzoom: MAX_ZOOM
+      }
+    },
+    layers: [
+      layer('fill', 'fill', 'Polygon', { 'fill-color': '#3388ff', 'fill-opacity': 0.4, 'fill-outline-color': '#1f5fbf' }),
+      layer('line', 'line', 'LineString', { 'line-color': '#1f5fbf', 'line-width': 1.5 }),
+      layer('circle', 'circle', 'Point', { 'circle-color': '#3388ff', 'circle-radius': 4, 'circle-stroke-color': '#ffffff', 'circle-stroke-width': 1 })
+    ]
+  }
+}
+
+module.exports = {
+  getVectorTileServerInfo,
+  getVectorTileStyle
+}
@@ -0,0 +1,41 @@
+/*
+  capabilities-test.js
+
+  Unit tests for the query capabilities merged into FeatureServer layer JSON
+*/
+
+const test = require('tape')
+const { applyLayerCapabilities } = require('../src/capabilities')
+
+test('applyLayerCapabilities - merges advancedQueryCapabilities into layer JSON', function (t) {
+  var layer = applyLayerCapabilities({
+    id: 0,
+    advancedQueryCapabilities: { supportsPagination: true, supportsQueryWithDistance: false }
+  })
+  t.equal(layer.advancedQueryCapabilities.supportsPagination, true, 'keeps FeatureServer defaults')
+  t.equal(layer.advancedQueryCapabilities.supportsQueryWithDistance, true, 'overrides defaults')
+  t.equal(layer.advancedQueryCapabilities.supportsMaxAllowableOffset, true, 'advertises maxAllowableOffset')
+  t.equal(layer.advancedQueryCapabilities.supportsGeometryPrecision, true, 'advertises geometryPrecision')
+  t.equal(layer.advancedQueryCapabilities.supportsQueryWithResultType, true, 'advertises resultType')
+  t.equal(layer.advancedQueryCapabilities.supportsHavingClause, true, 'advertises having')
+  t.equal(layer.advancedQueryCapabilities.supportsPercentileStatistics, true, 'advertises percentiles')
+  t.equal(layer.advancedQueryCapabilities.supportsCountDistinct, true, 'advertises distinct counts')
+  t.deepEqual(layer.advancedQueryCapabilities.supportedSpatialAggregationStatistics, ['EnvelopeAggregate', 'CentroidAggregate', 'ConvexHullAggregate'], 'advertises spatial aggregates')
+  t.equal(layer.supportedQueryFormats, 'JSON, geoJSON, PBF', 'advertises PBF output')
+  t.equal(layer.supportsCoordinatesQuantization, true, 'advertises quantization')
+  t.equal(layer.tileMaxRecordCount, 8000, 'tile record limit')
+  t.end()
+})
+
+test('applyLayerCapabilities - applies to every layer of a layers response', function (t) {
+  var result = applyLayerCapabilities({ layers: [{ advancedQueryCapabilities: {} }], tables: [] })
+  t.equal(result.layers[0].advancedQueryCapabilities.supportsMaxAllowableOffset, true, 'layer updated')
+  t.end()
+})
+
+test('applyLayerCapabilities - leaves other payloads unchanged', function (t) {
+  var error = { error: { code: 500, message: 'boom' } }
+  t.deepEqual(applyLayerCapabilities(error), { error: { code: 500, message: 'boom' } }, 'error response')
+  t.equal(applyLayerCapabilities(null), null, 'null')
+  t.end()
+})
@@ -0,0 +1,149 @@
+/*
+  field-types-test.js
+
+  Unit tests for the Esri field types handed to Koop and restored in its
+  responses, and for date and time value normalization
+*/
+
+const test = require('tape')
+const { toKoopFields, restoreFieldTypes, normalizeFieldValue, normalizeTemporalValue } = require('../src/field-types')
+const Controller = require('../src/controller')
+
+var FIELDS = [
+  { name: 'objectid', type: 'esriFieldTypeBigInteger', sqlType: 'bigint' },
+  { name: 'observed', type: 'esriFieldTypeDate', sqlType: 'timestamp' },
+  { name: 'survey_day', type: 'esriFieldTypeDateOnly', sqlType: 'date' },
+  { name: 'shift_start', type: 'esriFieldTypeTimeOnly', sqlType: 'string' },
+  { name: 'name', type: 'esriFieldTypeString', sqlType: 'string' }
+]
+
+// ============================================================================
+// toKoopFields / restoreFieldTypes
+// ============================================================================
+
+test('toKoopFields - Koop type names, String for types Koop cannot render', function (t) {
+  t.deepEqual(toKoopFields(FIELDS).map(function (field) { return field.type }),
+    ['String', 'Date', 'String', 'String', 'String'], 'Koop names')
+  t.equal(FIELDS[1].type, 'esriFieldTypeDate', 'definitions left unchanged')
+  t.end()
+})
+
+test('restoreFieldTypes - restores types by field name and sqlType', function (t) {
+  var layer = restoreFieldTypes({
+    fields: [
+      { name: 'objectid', type: 'esriFieldTypeOID', sqlType: 'sqlTypeInteger' },
+      { name: 'observed', type: 'esriFieldTypeDate', sqlType: 'timestamp', length: 36 },
+      { name: 'survey_day', type: 'esriFieldTypeString', sqlType: 'date', length: 128 },
+      { name: 'shift_start', type: 'esriFieldTypeString', sqlType: 'string', length: 128 },
+      { name: 'name', type: 'esriFieldTypeString', sqlType: 'string', length: 128 }
+    ]
+  }, FIELDS)
+  t.deepEqual(layer.fields.map(function (field) { return field.type }), [
+    'esriFieldTypeOID', 'esriFieldTypeDate', 'esriFieldTypeDateOnly', 'esriFieldTypeTimeOnly', 'esriFieldTypeString'
+  ], 'types')
+  t.notOk('length' in layer.fields[2], 'string length dropped')
+  t.equal(layer.fields[4].length, 128, 'strings keep their length')
+  t.end()
+})
+
+test('restoreFieldTypes - layers responses, other layers and other payloads', function (t) {
+  var layers = restoreFieldTypes({ layers: [{ fields: [{ name: 'survey_day', type: 'esriFieldTypeString', sqlType: 'date' }] }] }, FIELDS)
+  t.equal(layers.layers[0].fields[0].type, 'esriFieldTypeDateOnly', 'every layer')
+  var h3 = restoreFieldTypes({ fields: [{ name: 'shift_start', type: 'esriFieldTypeString', sqlType: 'sqlTypeOther' }] }, FIELDS)
+  t.equal(h3.fields[0].type, 'esriFieldTypeString', 'same name with another sqlType left alone')
+  t.deepEqual(restoreFieldTypes({ count: 3 }, FIELDS), { count: 3 }, 'no fields')
+  t.equal(restoreFieldTypes(null, FIELDS), null, 'null')
+  t.end()
+})
+
+// ============================================================================
+// normalizeTemporalValue
+// ============================================================================
+
+test('normalizeTemporalValue - dates as epoch milliseconds', function (t) {
+  var ms = Date.UTC(2026, 1, 16, 10, 30)
+  t.equal(normalizeTemporalValue(new Date(ms), 'esriFieldTypeDate'), ms, 'Date object')
+  t.equal(normalizeTemporalValue('2026-02-16T10:30:00.000Z', 'esriFieldTypeDate'), ms, 'ISO string')
+  t.equal(normalizeTemporalValue('2026-02-16 10:30:00', 'esriFieldTypeDate'), ms, 'timestamp without a time zone is UTC')
+  t.equal(normalizeTemporalValue('2026-02-16 11:30:00+01:00', 'esriFieldTypeDate'), ms, 'offset honored')
+  t.equal(normalizeTemporalValue('2026-02-16', 'esriFieldTypeDate'), Date.UTC(2026, 1, 16), 'date string')
+  t.equal(normalizeTemporalValue(ms, 'esriFieldTypeDate'), ms, 'epoch milliseconds unchanged')
+  t.equal(normalizeTemporalValue('not a date', 'esriFieldTypeDate'), null, 'unreadable values are null')
+  t.equal(normalizeTemporalValue(null, 'esriFieldTypeDate'), null, 'null')
+  t.end()
+})
+
+test('normalizeTemporalValue - DateOnly, TimeOnly and TimestampOffset', function (t) {
+  var date = new Date(Date.UTC(2026, 1, 16, 10, 30, 5))
+  t.equal(normalizeTemporalValue(date, 'esriFieldTypeDateOnly'), '2026-02-16', 'DateOnly from a Date')
+  t.equal(normalizeTemporalValue('2026-02-16', 'esriFieldTypeDateOnly'), '2026-02-16', 'DateOnly string')
+  t.equal(normalizeTemporalValue(date, 'esriFieldTypeTimeOnly'), '10:30:05', 'TimeOnly from a Date')
+  t.equal(normalizeTemporalValue('08:15:00.250', 'esriFieldTypeTimeOnly'), '08:15:00', 'TimeOnly string')
+  t.equal(normalizeTemporalValue(date, 'esriFieldTypeTimestampOffset'), '2026-02-16T10:30:05.000+00:00', 'UTC offset')
+  t.equal(normalizeTemporalValue('2026-02-16 11:30:05+01:00', 'esriFieldTypeTimestampOffset'), '2026-02-16T11:30:05+01:00', 'own offset kept')
+  t.equal(normalizeTemporalValue('2026-02-16', 'esriFieldTypeString'), '2026-02-16', 'other types unchanged')
+  t.end()
+})
+
+// ============================================================================
+// normalizeFieldValue
+// ============================================================================
+
+test('normalizeFieldValue - integers, booleans and big numbers', function (t) {
+  t.equal(normalizeFieldValue(true, 'esriFieldTypeSmallInteger'), 1, 'true is 1')
+  t.equal(normalizeFieldValue('false', 'esriFieldTypeSmallInteger'), 0, 'false string is 0')
+  t.equal(normalizeFieldValue(42n, 'esriFieldTypeBigInteger'), 42, 'BigInt within 2^53')
+  t.equal(normalizeFieldValue(-9007199254740993n, 'esriFieldTypeBigInteger'), '-9007199254740993', 'BigInt beyond 2^53 keeps its digits')
+  t.equal(normalizeFieldValue('000123', 'esriFieldTypeInteger'), 123, 'DECIMAL(p, 0) string')
+  t.equal(normalizeFieldValue({ toNumber: function () { return 7 }, toString: function () { return '7' } }, 'esriFieldTypeBigInteger'), 7, 'node-int64')
+  t.equal(normalizeFieldValue('n/a', 'esriFieldTypeInteger'), null, 'unreadable values are null')
+  t.end()
+})
+
+test('normalizeFieldValue - doubles and strings', function (t) {
+  t.equal(normalizeFieldValue('1234.5670', 'esriFieldTypeDouble'), 1234.567, 'DECIMAL string')
+  t.equal(normalizeFieldValue(2.5, 'esriFieldTypeSingle'), 2.5, 'numbers unchanged')
+  t.equal(normalizeFieldValue({ a: [1, 2] }, 'esriFieldTypeString'), '{"a":[1,2]}', 'structured values as JSON')
+  t.equal(normalizeFieldValue(Buffer.from('hi'), 'esriFieldTypeString'), 'aGk=', 'binary as base64')
+  t.equal(normalizeFieldValue(false, 'esriFieldTypeString'), 'false', 'other values as text')
+  t.equal(normalizeFieldValue(null, 'esriFieldTypeInteger'), null, 'null')
+  t.end()
+})
+
+// ============================================================================
+// Controller field types
+// ============================================================================
+
+function fakeResponse () {
+  var res = {
+    statusCode: 200,
+    headers: {},
+    set: function (name, value) { res.headers[name] = value },
+    json: function (body) { res.jsonBody = body },
+    end: function (body) { res.ended = body }
+  }
+  return res
+}
+
+var model = {
+  getCachedFields: function (table) { return table === 'cat.sch.tbl' ? FIELDS : null }
+}
+
+test('Controller.layerInfo - restores field types in layer JSON', function (t) {
+  var res = fakeResponse()
+  new Controller(model).layerInfo({ params: { id: 'cat.sch.tbl', layer: '0' } }, res, function () {
+    res.json({ advancedQueryCapabilities: {}, fields: [{ name: 'survey_day', type: 'esriFieldTypeString', sqlType: 'date' }] })
+    t.equal(res.jsonBody.fields[0].type, 'esriFieldTypeDateOnly', 'DateOnly field')
+    t.ok(res.jsonBody.supportsCoordinatesQuantization, 'capabilities still applied')
+    t.end()
+  })
+})
+
+test('Controller.query - restores field types in JSON query responses', function (t) {
+  var res = fakeResponse()
+  new Controller(model).query({ params: { id: 'cat.sch.tbl', layer: '0' }, query: { f: 'json' } }, res, function () {
+    res.json({ fields: [{ name: 'shift_start', type: 'esriFieldTypeString', sqlType: 'string' }], features: [] })
+    t.equal(res.jsonBody.fields[0].type, 'esriFieldTypeTimeOnly', 'TimeOnly field')
+    t.end()
+  })
+})
@@ -0,0 +1,177 @@
+/*
+  geometry-test.js
+
+  Unit tests for Esri JSON geometry to WKT conversion
+*/
+
+const test = require('tape')
+const {
+  detectEsriGeometryType,
+  esriGeometryToWkt,
+  geojsonToEsriGeometry,
+  roundCoordinates,
+  signedArea,
+  wktBounds
+} = require('../src/geometry')
+
+// ============================================================================
+// detectEsriGeometryType
+// ============================================================================
+
+test('detectEsriGeometryType - recognises Esri JSON shapes', function (t) {
+  t.equal(detectEsriGeometryType({ x: 1, y: 2 }), 'esriGeometryPoint', 'point')
+  t.equal(detectEsriGeometryType({ points: [[1, 2]] }), 'esriGeometryMultipoint', 'multipoint')
+  t.equal(detectEsriGeometryType({ paths: [] }), 'esriGeometryPolyline', 'polyline')
+  t.equal(detectEsriGeometryType({ rings: [] }), 'esriGeometryPolygon', 'polygon')
+  t.equal(detectEsriGeometryType({ xmin: 0, ymin: 0, xmax: 1, ymax: 1 }), 'esriGeometryEnvelope', 'envelope')
+  t.equal(detectEsriGeometryType({ xmin: 0, ymin: 0, xmax: null, ymax: 1 }), null, 'envelope with null corner')
+  t.equal(detectEsriGeometryType(null), null, 'null')
+  t.end()
+})
+
+// ============================================================================
+// esriGeometryToWkt
+// ============================================================================
+
+test('esriGeometryToWkt - point and multipoint', function (t) {
+  t.equal(esriGeometryToWkt({ x: -122, y: 37, z: 10 }), 'POINT(-122 37)', 'point drops z')
+  t.equal(esriGeometryToWkt({ points: [[1, 2], [3, 4]] }), 'MULTIPOINT((1 2), (3 4))', 'multipoint')
+  t.equal(esriGeometryToWkt({ points: [] }), null, 'empty multipoint')
+  t.end()
+})
+
+test('esriGeometryToWkt - envelope', function (t) {
+  t.equal(
+    esriGeometryToWkt({ xmin: -122, ymin: 37, xmax: -121, ymax: 38 }),
+    'POLYGON((-122 37, -121 37, -121 38, -122 38, -122 37))',
+    'envelope becomes closed polygon'
+  )
+  t.end()
+})
+
+test('esriGeometryToWkt - single and multipart polylines', function (t) {
+  t.equal(esriGeometryToWkt({ paths: [[[0, 0], [1, 1], [2, 0]]] }), 'LINESTRING(0 0, 1 1, 2 0)', 'single path')
+  t.equal(
+    esriGeometryToWkt({ paths: [[[0, 0], [1, 1]], [[5, 5], [6, 6]]] }),
+    'MULTILINESTRING((0 0, 1 1), (5 5, 6 6))',
+    'multipart'
+  )
+  t.equal(esriGeometryToWkt({ paths: [[[0, 0]]] }), null, 'degenerate path')
+  t.end()
+})
+
+test('esriGeometryToWkt - polygon rings are closed', function (t) {
+  t.equal(
+    esriGeometryToWkt({ rings: [[[0, 0], [0, 10], [10, 10], [10, 0]]] }),
+    'POLYGON((0 0, 0 10, 10 10, 10 0, 0 0))',
+    'unclosed ring is closed'
+  )
+  t.end()
+})
+
+test('esriGeometryToWkt - polygon with hole', function (t) {
+  // Outer ring clockwise, hole counter-clockwise (Esri convention)
+  var wkt = esriGeometryToWkt({
+    rings: [
+      [[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]],
+      [[2, 2], [4, 2], [4, 4], [2, 4], [2, 2]]
+    ]
+  })
+  t.equal(wkt, 'POLYGON((0 0, 0 10, 10 10, 10 0, 0 0), (2 2, 4 2, 4 4, 2 4, 2 2))', 'hole attached to outer ring')
+  t.end()
+})
+
+test('esriGeometryToWkt - multipart polygon with hole', function (t) {
+  var wkt = esriGeometryToWkt({
+    rings: [
+      [[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]],
+      [[20, 0], [20, 10], [30, 10], [30, 0], [20, 0]],
+      [[22, 2], [24, 2], [24, 4], [22, 4], [22, 2]]
+    ]
+  })
+  t.equal(
+    wkt,
+    'MULTIPOLYGON(((0 0, 0 10, 10 10, 10 0, 0 0)), ((20 0, 20 10, 30 10, 30 0, 20 0), (22 2, 24 2, 24 4, 22 4, 22 2)))',
+    'hole attached to the containing part'
+  )
+  t.end()
+})
+
+test('esriGeometryToWkt - counter-clockwise only rings are treated as outer rings', function (t) {
+  var wkt = esriGeometryToWkt({ rings: [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]] })
+  t.equal(wkt, 'POLYGON((0 0, 10 0, 10 10, 0 10, 0 0))', 'single CCW ring kept')
+  t.end()
+})
+
+test('esriGeometryToWkt - applies coordinate transform', function (t) {
+  var double = function (xy) { return [xy[0] * 2, xy[1] * 2] }
+  t.equal(esriGeometryToWkt({ x: 1, y: 2 }, double), 'POINT(2 4)', 'point transformed')
+  t.equal(esriGeometryToWkt({ paths: [[[1, 1], [2, 2]]] }, double), 'LINESTRING(2 2, 4 4)', 'path transformed')
+  t.end()
+})
+
+test('esriGeometryToWkt - rejects invalid coordinates', function (t) {
+  t.equal(esriGeometryToWkt({ rings: [[[0, 0], ['a', 1], [1, 1]]] }), null, 'non-numeric vertex')
+  t.equal(esriGeometryToWkt({ foo: 'bar' }), null, 'unrecognised geometry')
+  t.end()
+})
+
+test('signedArea - clockwise rings are negative', function (t) {
+  t.ok(signedArea([[0, 0], [0, 1], [1, 1], [1, 0], [0, 0]]) < 0, 'clockwise')
+  t.ok(signedArea([[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]) > 0, 'counter-clockwise')
+  t.end()
+})
+
+test('wktBounds - scans coordinate pairs', function (t) {
+  t.deepEqual(wktBounds('POINT(-122.4 37.8)'), [-122.4, 37.8, -122.4, 37.8], 'point')
+  t.deepEqual(wktBounds('POLYGON((0 0, 0 10, 10 10, 10 0, 0 0), (2 2, 4 2, 4 4, 2 2))'), [0, 0, 10, 10], 'polygon')
+  t.deepEqual(wktBounds('POINT(1e-7 -2.5e+3)'), [1e-7, -2500, 1e-7, -2500], 'exponent notation')
+  t.equal(wktBounds('POINT EMPTY'), null, 'no coordinates')
+  t.end()
+})
+
+// ============================================================================
+// roundCoordinates
+// ============================================================================
+
+test('roundCoordinates - rounds every coordinate of a GeoJSON geometry', function (t) {
+  t.deepEqual(roundCoordinates({ type: 'Point', coordinates: [1.23456, 2.34567] }, 3), { type: 'Point', coordinates: [1.235, 2.346] }, 'point')
+  t.deepEqual(
+    roundCoordinates({ type: 'MultiPolygon', coordinates: [[[[0.04, 0.06], [1.04, 0.06], [0.04, 1.06], [0.04, 0.06]]]] }, 1).coordinates,
+    [[[[0, 0.1], [1, 0.1], [0, 1.1], [0, 0.1]]]],
+    'nested rings'
+  )
+  t.deepEqual(
+    roundCoordinates({ type: 'GeometryCollection', geometries: [{ type: 'Point', coordinates: [1.6, 2.4] }] }, 0).geometries[0].coordinates,
+    [2, 2],
+    'geometry collections'
+  )
+  t.equal(roundCoordinates(null, 2), null, 'null geometry')
+  t.end()
+})
+
+// ============================================================================
+// geojsonToEsriGeometry
+// ============================================================================
+
+test('geojsonToEsriGeometry - converts GeoJSON geometries', function (t) {
+  t.deepEqual(geojsonToEsriGeometry({ type: 'Point', coordinates: [1, 2, 3] }), { x: 1, y: 2 }, 'point, Z dropped')
+  t.deepEqual(geojsonToEsriGeometry({ type: 'MultiPoint', coordinates: [[1, 2], [3, 4]] }), { points: [[1, 2], [3, 4]] }, 'multipoint')
+  t.deepEqual(geojsonToEsriGeometry({ type: 'LineString', coordinates: [[0, 0], [1, 1]] }), { paths: [[[0, 0], [1, 1]]] }, 'linestring')
+  t.equal(geojsonToEsriGeometry(null), null, 'null geometry')
+  t.end()
+})
+
+test('geojsonToEsriGeometry - orients polygon rings the Esri way', function (t) {
+  var polygon = {
+    type: 'Polygon',
+    coordinates: [
+      [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]], // counter-clockwise outer
+      [[2, 2], [2, 4], [4, 4], [4, 2], [2, 2]] // clockwise hole
+    ]
+  }
+  var esri = geojsonToEsriGeometry(polygon)
+  t.ok(signedArea(esri.rings[0]) < 0, 'outer ring clockwise')
+  t.ok(signedArea(esri.rings[1]) > 0, 'hole counter-clockwise')
+  t.end()
+})
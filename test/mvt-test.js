@@ -0,0 +1,246 @@
+/*
+  mvt-test.js
+
+  Unit tests for the Mapbox Vector Tile encoder and the VectorTileServer
+  routes (service JSON, style and tiles)
+*/
+
+const test = require('tape')
+const { parseTileCoordinates, getTileEnvelope, encodeVectorTile } = require('../src/mvt')
+const { getVectorTileServerInfo, getVectorTileStyle } = require('../src/vector-tile-server')
+const Controller = require('../src/controller')
+
+// Decode a protocol buffer message into { field: [values] }. Varints are
+// numbers, fixed64 values doubles, and length-delimited values Buffers.
+function decode (buf) {
+  var fields = {}
+  var pos = 0
+  function varint () {
+    var value = 0
+    var multiplier = 1
+    var byte
+    do {
+      byte = buf[pos++]
+      value += (byte & 0x7f) * multiplier
+      multiplier *= 128
+    } while (byte & 0x80)
+    return value
+  }
+  while (pos < buf.length) {
+    var tag = varint()
+    var field = Math.floor(tag / 8)
+    var value
+    switch (tag % 8) {
+      case 0: value = varint(); break
+      case 1: value = buf.readDoubleLE(pos); pos += 8; break
+      case 2: var length = varint(); value = buf.slice(pos, pos + length); pos += length; break
+    }
+    fields[field] = (fields[field] || []).concat([value])
+  }
+  return fields
+}
+
+// Decode packed varints
+function decodePacked (buf) {
+  var values = []
+  var pos = 0
+  while (pos < buf.length) {
+    var value = 0
+    var multiplier = 1
+    var byte
+    do {
+      byte = buf[pos++]
+      value += (byte & 0x7f) * multiplier
+      multiplier *= 128
+    } while (byte & 0x80)
+    values.push(value)
+  }
+  return values
+}
+
+// Layer message of an encoded tile's first layer
+function firstLayer (buf) {
+  return decode(decode(buf)[3][0])
+}
+
+// A feature's geometry commands
+function geometryOf (layer, i) {
+  return decodePacked(decode(layer[2][i])[4][0])
+}
+
+// Feature geometries in EPSG:3857 for tile 1/0/0 (x -20037508..0, y 0..20037508)
+var TILE = { z: 1, x: 0, y: 0 }
+var HALF = 20037508.342789244
+
+// ============================================================================
+// Tile coordinates
+// ============================================================================
+
+test('parseTileCoordinates - integers within the zoom level', function (t) {
+  t.deepEqual(parseTileCoordinates({ z: '3', x: '7', y: '0' }), { z: 3, x: 7, y: 0 }, 'parsed')
+  t.throws(function () { parseTileCoordinates({ z: '1', x: '2', y: '0' }) }, /Invalid tile: 1\/0\/2/, 'column out of range')
+  t.throws(function () { parseTileCoordinates({ z: '23', x: '0', y: '0' }) }, /Invalid tile/, 'zoom out of range')
+  t.throws(function () { parseTileCoordinates({ z: '1', x: '0.5', y: '0' }) }, /Invalid tile/, 'not an integer')
+  t.end()
+})
+
+test('getTileEnvelope - Web Mercator bounds, optionally buffered', function (t) {
+  t.deepEqual(getTileEnvelope(TILE), { xmin: -HALF, ymin: 0, xmax: 0, ymax: HALF }, 'upper left tile at zoom 1')
+  var buffered = getTileEnvelope({ z: 0, x: 0, y: 0 }, 2048)
+  t.equal(buffered.xmax, HALF * 2, 'buffer in tile units')
+  t.end()
+})
+
+// ============================================================================
+// encodeVectorTile
+// ============================================================================
+
+test('encodeVectorTile - layer, keys, values and feature ids', function (t) {
+  var layer = firstLayer(encodeVectorTile(TILE, [{
+    name: 'buildings',
+    features: [
+      { id: 7, properties: { name: 'Tower', floors: -2, height: 12.5, open: true, missing: null }, geometry: { type: 'Point', coordinates: [-HALF / 2, HALF / 2] } },
+      { id: 8, properties: { name: 'Tower' }, geometry: { type: 'Point', coordinates: [-HALF / 4, HALF / 4] } }
+    ]
+  }]))
+
+  t.equal(layer[15][0], 2, 'version 2')
+  t.equal(layer[1][0].toString(), 'buildings', 'layer name')
+  t.equal(layer[5][0], 4096, 'extent')
+  t.deepEqual(layer[3].map(String), ['name', 'floors', 'height', 'open'], 'keys, nulls left out')
+  t.deepEqual(layer[4].map(decode), [{ 1: [Buffer.from('Tower')] }, { 6: [3] }, { 3: [12.5] }, { 7: [1] }], 'string, sint, double and bool values')
+
+  var first = decode(layer[2][0])
+  t.equal(first[1][0], 7, 'feature id')
+  t.deepEqual(decodePacked(first[2][0]), [0, 0, 1, 1, 2, 2, 3, 3], 'tags')
+  t.equal(first[3][0], 1, 'point type')
+  t.deepEqual(geometryOf(layer, 0), [9, 4096, 4096], 'MoveTo the tile center')
+  t.deepEqual(decodePacked(decode(layer[2][1])[2][0]), [0, 0], 'values shared between features')
+  t.end()
+})
+
+test('encodeVectorTile - polygons get MVT winding and collapsed rings are dropped', function (t) {
+  var q = HALF / 4
+  var layer = firstLayer(encodeVectorTile(TILE, [{
+    name: 'parcels',
+    features: [
+      // Exterior ring and hole both counterclockwise (with y up)
+      { properties: {}, geometry: { type: 'Polygon', coordinates: [[[-3 * q, q], [-q, q], [-q, 3 * q], [-3 * q, q]], [[-2.5 * q, 1.25 * q], [-1.5 * q, 2 * q], [-1.25 * q, 1.25 * q], [-2.5 * q, 1.25 * q]]] } },
+      // Smaller than a tile unit
+      { properties: {}, geometry: { type: 'Polygon', coordinates: [[[-q, q], [-q + 1, q], [-q, q + 1], [-q, q]]] } }
+    ]
+  }]))
+
+  t.equal(layer[2].length, 1, 'collapsed polygon left out')
+  t.equal(decode(layer[2][0])[3][0], 3, 'polygon type')
+  t.deepEqual(geometryOf(layer, 0), [
+    9, 6144, 2048, 18, 0, 4096, 4095, 0, 15,
+    9, 3584, 511, 18, 511, 1535, 2047, 1536, 15
+  ], 'both rings reversed: exterior clockwise in tile coordinates, hole counterclockwise, each closed')
+  t.end()
+})
+
+test('encodeVectorTile - lines and geometry collections', function (t) {
+  var layer = firstLayer(encodeVectorTile(TILE, [{
+    name: 'roads',
+    features: [
+      { properties: {}, geometry: { type: 'MultiLineString', coordinates: [[[-HALF, 0], [0, HALF]], [[-HALF / 2, 0], [-HALF / 2, 0]]] } },
+      { properties: {}, geometry: { type: 'GeometryCollection', geometries: [{ type: 'Point', coordinates: [0, 0] }, { type: 'LineString', coordinates: [[-HALF, HALF], [0, 0]] }] } }
+    ]
+  }]))
+
+  t.deepEqual(geometryOf(layer, 0), [9, 0, 8192, 10, 8192, 8191], 'single-vertex part left out')
+  t.equal(decode(layer[2][1])[3][0], 2, 'collection keeps its lines')
+  t.deepEqual(geometryOf(layer, 1), [9, 0, 0, 10, 8192, 8192], 'points in the collection dropped')
+  t.end()
+})
+
+test('encodeVectorTile - empty tiles', function (t) {
+  t.equal(encodeVectorTile(TILE, [{ name: 'empty', features: [] }]).length, 0, 'no features')
+  t.equal(encodeVectorTile(TILE, [{ name: 'empty', features: [{ properties: {}, geometry: null }] }]).length, 0, 'no geometries')
+  t.end()
+})
+
+// ============================================================================
+// VectorTileServer JSON and style
+// ============================================================================
+
+test('getVectorTileServerInfo - Web Mercator 512 pixel tiles', function (t) {
+  var info = getVectorTileServerInfo('cat.sch.tbl')
+  t.equal(info.name, 'cat.sch.tbl', 'name')
+  t.deepEqual(info.tiles, ['tile/{z}/{y}/{x}.pbf'], 'tile template')
+  t.equal(info.tileInfo.rows, 512, 'tile size')
+  t.equal(info.tileInfo.lods.length, 23, 'levels 0 to 22')
+  t.equal(info.tileInfo.lods[1].resolution, info.tileInfo.lods[0].resolution / 2, 'resolution halves per level')
+  t.equal(Math.round(info.tileInfo.lods[0].scale), 295829355, 'level 0 scale')
+  t.end()
+})
+
+test('getVectorTileStyle - one layer per geometry type with absolute tile URLs', function (t) {
+  var style = getVectorTileStyle('cat.sch.tbl', 'https://example.com/databricks/rest/services/cat.sch.tbl/VectorTileServer')
+  t.equal(style.version, 8, 'style version')
+  t.deepEqual(style.sources.esri.tiles, ['https://example.com/databricks/rest/services/cat.sch.tbl/VectorTileServer/tile/{z}/{y}/{x}.pbf'], 'tile URL')
+  t.deepEqual(style.layers.map(function (layer) { return layer.filter[2] }), ['Polygon', 'LineString', 'Point'], 'filtered by geometry type')
+  t.ok(style.layers.every(function (layer) { return layer['source-layer'] === 'cat.sch.tbl' }), 'source layer is the table')
+  t.end()
+})
+
+// ============================================================================
+// Controller VectorTileServer routes
+// ============================================================================
+
+function fakeResponse (done) {
+  var res = {
+    statusCode: 200,
+    headers: {},
+    set: function (name, value) { res.headers[name] = value },
+    status: function (code) { res.statusCode = code; return res },
+    json: function (body) { res.jsonBody = body; done() },
+    end: function (body) { res.ended = body; done() }
+  }
+  return res
+}
+
+test('Controller.tile - encodes the model tile layer', function (t) {
+  var model = {
+    getTile: function (req) {
+      return Promise.resolve({ name: req.params.id, features: [{ id: 1, properties: {}, geometry: { type: 'Point', coordinates: [-HALF / 2, HALF / 2] } }] })
+    }
+  }
+  var res = fakeResponse(function () {
+    t.equal(res.headers['Content-Type'], 'application/x-protobuf', 'protobuf content type')
+    t.equal(firstLayer(res.ended)[1][0].toString(), 'cat.sch.tbl', 'layer named after the table')
+    t.end()
+  })
+  new Controller(model).tile({ params: { id: 'cat.sch.tbl', z: '1', x: '0', y: '0' } }, res)
+})
+
+test('Controller.tile - errors are sent with their status', function (t) {
+  var model = {
+    getTile: function () {
+      var err = new Error('Invalid WHERE clause')
+      err.code = 400
+      return Promise.reject(err)
+    }
+  }
+  var res = fakeResponse(function () {
+    t.equal(res.statusCode, 400, 'status')
+    t.deepEqual(res.jsonBody, { error: { code: 400, message: 'Invalid WHERE clause' } }, 'JSON error')
+    t.end()
+  })
+  new Controller(model).tile({ params: { id: 'cat.sch.tbl', z: '1', x: '0', y: '0' } }, res)
+})
+
+test('Controller.tileStyle - tile URLs from the request', function (t) {
+  var req = {
+    params: { id: 'cat.sch.tbl' },
+    protocol: 'https',
+    originalUrl: '/databricks/rest/services/cat.sch.tbl/VectorTileServer/resources/styles/root.json?f=json',
+    get: function () { return 'example.com' }
+  }
+  var res = fakeResponse(function () {
+    t.deepEqual(res.jsonBody.sources.esri.tiles, ['https://example.com/databricks/rest/services/cat.sch.tbl/VectorTileServer/tile/{z}/{y}/{x}.pbf'], 'service URL')
+    t.end()
+  })
+  new Controller().tileStyle(req, res)
+})
@@ -0,0 +1,82 @@
+/*
+  nested-fields-test.js
+
+  Unit tests for STRUCT, ARRAY and MAP column flattening and dotted field
+  paths
+*/
+
+const test = require('tape')
+const { parseDataType, flattenColumn, resolveFieldPaths } = require('../src/nested-fields')
+
+// Overture places columns
+var NAMES = 'struct<primary:string,common:map<string,string>,rules:array<struct<variant:string,value:string>>>'
+var ADDRESSES = 'array<struct<freeform:string,locality:string,postcode:string>>'
+
+// ============================================================================
+// parseDataType
+// ============================================================================
+
+test('parseDataType - nested structs, arrays and maps', function (t) {
+  var type = parseDataType(NAMES)
+  t.equal(type.kind, 'struct', 'struct')
+  t.deepEqual(type.fields.map(function (field) { return field.name }), ['primary', 'common', 'rules'], 'field names')
+  t.equal(type.fields[1].type.kind, 'map', 'map field')
+  t.equal(type.fields[2].type.element.fields[1].name, 'value', 'struct in an array')
+  t.equal(type.fields[2].type.dataType, 'array<struct<variant:string,value:string>>', 'data type text of each node')
+  t.end()
+})
+
+test('parseDataType - parameterized types, quoted names and spaces', function (t) {
+  var type = parseDataType('struct<`total, net`:decimal(10,2), `a``b` : array< int >>')
+  t.deepEqual(type.fields.map(function (field) { return field.name }), ['total, net', 'a`b'], 'quoted names')
+  t.equal(type.fields[0].type.dataType, 'decimal(10,2)', 'comma inside parentheses')
+  t.equal(type.fields[1].type.element.dataType, 'int', 'spaces')
+  t.equal(parseDataType('interval day to second').kind, 'primitive', 'other types are primitive')
+  t.throws(function () { parseDataType('struct<a:int') }, /Invalid data type/, 'unterminated')
+  t.end()
+})
+
+// ============================================================================
+// flattenColumn
+// ============================================================================
+
+test('flattenColumn - struct leaves, with maps and arrays as JSON', function (t) {
+  t.deepEqual(flattenColumn('names', NAMES), [
+    { name: 'names_primary', path: 'names.primary', expression: 'names.`primary`', dataType: 'string' },
+    { name: 'names_common', path: 'names.common', expression: 'to_json(names.`common`)', dataType: 'map<string,string>' },
+    { name: 'names_rules', path: 'names.rules', expression: 'to_json(names.`rules`)', dataType: 'array<struct<variant:string,value:string>>' }
+  ], 'flattened fields')
+  t.end()
+})
+
+test('flattenColumn - first array elements', function (t) {
+  var fields = flattenColumn('addresses', ADDRESSES, { arrays: 'first' })
+  t.deepEqual(fields.map(function (field) { return field.name }), ['addresses_freeform', 'addresses_locality', 'addresses_postcode'], 'names')
+  t.equal(fields[1].path, 'addresses.locality', 'path without an index')
+  t.equal(fields[1].expression, 'try_element_at(addresses, 1).`locality`', 'null for empty arrays')
+  t.deepEqual(flattenColumn('tags', 'array<string>', { arrays: 'first' }), [
+    { name: 'tags', path: 'tags', expression: 'try_element_at(tags, 1)', dataType: 'string' }
+  ], 'array of strings')
+  t.end()
+})
+
+test('flattenColumn - other columns and names', function (t) {
+  t.deepEqual(flattenColumn('objectid', 'bigint'), [{ name: 'objectid', path: 'objectid', expression: 'objectid', dataType: 'bigint' }], 'unchanged')
+  t.deepEqual(flattenColumn('sources', 'struct<`record time`:timestamp>').map(function (field) { return [field.name, field.expression] }),
+    [['sources_record_time', 'sources.`record time`']], 'names made identifiers, expressions quoted')
+  t.end()
+})
+
+// ============================================================================
+// resolveFieldPaths
+// ============================================================================
+
+test('resolveFieldPaths - dotted paths to field names', function (t) {
+  var fields = flattenColumn('names', NAMES).concat(flattenColumn('addresses', ADDRESSES, { arrays: 'first' }))
+  t.equal(resolveFieldPaths("Names.Primary LIKE 'Cafe%' AND addresses.locality = 'names.primary'", fields),
+    "names_primary LIKE 'Cafe%' AND addresses_locality = 'names.primary'", 'where clause, quoted text left alone')
+  t.equal(resolveFieldPaths('objectid, addresses.postcode', fields), 'objectid, addresses_postcode', 'outFields')
+  t.equal(resolveFieldPaths('names.unknown = 1', fields), 'names.unknown = 1', 'paths that are not fields left alone')
+  t.equal(resolveFieldPaths('names.primary', null), 'names.primary', 'no flattened fields')
+  t.end()
+})
@@ -0,0 +1,265 @@
+/*
+  pbf-test.js
+
+  Unit tests for the protocol buffer writer and the Esri FeatureCollection
+  PBF (f=pbf) query response encoder
+*/
+
+const test = require('tape')
+const protobuf = require('protobufjs')
+const { createWriter, zigzag } = require('../src/protobuf')
+const { encodeQueryResponse } = require('../src/pbf')
+const Controller = require('../src/controller')
+
+// Decode a protocol buffer message into { field: [values] }. Varints are
+// numbers, fixed64 values doubles, and length-delimited values Buffers.
+function decode (buf) {
+  var fields = {}
+  var pos = 0
+  function varint () {
+    var value = 0
+    var multiplier = 1
+    var byte
+    do {
+      byte = buf[pos++]
+      value += (byte & 0x7f) * multiplier
+      multiplier *= 128
+    } while (byte & 0x80)
+    return value
+  }
+  while (pos < buf.length) {
+    var tag = varint()
+    var field = Math.floor(tag / 8)
+    var value
+    switch (tag % 8) {
+      case 0: value = varint(); break
+      case 1: value = buf.readDoubleLE(pos); pos += 8; break
+      case 2: var length = varint(); value = buf.slice(pos, pos + length); pos += length; break
+      case 5: value = buf.readFloatLE(pos); pos += 4; break
+    }
+    fields[field] = (fields[field] || []).concat([value])
+  }
+  return fields
+}
+
+// Decode packed varints, optionally ZigZag-decoding them
+function decodePacked (buf, signed) {
+  var values = []
+  var pos = 0
+  while (pos < buf.length) {
+    var value = 0
+    var multiplier = 1
+    var byte
+    do {
+      byte = buf[pos++]
+      value += (byte & 0x7f) * multiplier
+      multiplier *= 128
+    } while (byte & 0x80)
+    values.push(signed ? (value % 2 === 0 ? value / 2 : -(value + 1) / 2) : value)
+  }
+  return values
+}
+
+// FeatureResult message of an encoded query response
+function featureResult (buf) {
+  return decode(decode(decode(buf)[2][0])[1][0])
+}
+
+// ============================================================================
+// protobuf writer
+// ============================================================================
+
+test('createWriter - varints, ZigZag and doubles', function (t) {
+  var writer = createWriter()
+  writer.uint(1, 300)
+  writer.sint(2, -3)
+  writer.double(3, 1.5)
+  writer.string(4, 'hé')
+  t.deepEqual(Array.from(writer.finish()), [0x08, 0xac, 0x02, 0x10, 0x05, 0x19, 0, 0, 0, 0, 0, 0, 0xf8, 0x3f, 0x22, 0x03, 0x68, 0xc3, 0xa9], 'wire format')
+  t.end()
+})
+
+test('createWriter - 64-bit values and growth past the initial buffer', function (t) {
+  var writer = createWriter()
+  var values = []
+  for (var i = 0; i < 500; i++) values.push(-180000000000 + i)
+  writer.packedSint(1, values)
+  var decoded = decode(writer.finish())
+  t.deepEqual(decodePacked(decoded[1][0], true), values, 'round trips beyond 32 bits')
+  t.equal(zigzag(-1), 1, 'zigzag -1')
+  t.equal(zigzag(2147483648), 4294967296, 'zigzag beyond 32 bits')
+  t.end()
+})
+
+test('createWriter - sint64 values round trip exactly to the safe integer limits', function (t) {
+  var values = [-4503599627370497, -Number.MAX_SAFE_INTEGER, Number.MAX_SAFE_INTEGER, -4503599627370496, 4503599627370497, -65, 64, -1, 0]
+  var writer = createWriter()
+  values.forEach(function (value) { writer.sint(1, value) })
+  writer.packedSint(2, values)
+  var reader = protobuf.Reader.create(writer.finish())
+  var decoded = []
+  while (reader.pos < reader.len) {
+    var tag = reader.uint32()
+    if (tag >>> 3 === 1) {
+      decoded.push(reader.sint64().toString())
+    } else {
+      var end = reader.uint32() + reader.pos
+      while (reader.pos < end) decoded.push(reader.sint64().toString())
+    }
+  }
+  var expected = values.map(String)
+  t.deepEqual(decoded, expected.concat(expected), 'decoded by protobufjs')
+  t.end()
+})
+
+test('createWriter - embedded messages', function (t) {
+  var writer = createWriter()
+  writer.message(2, function (nested) { nested.uint(1, 7) })
+  t.deepEqual(decode(decode(writer.finish())[2][0]), { 1: [7] }, 'nested field')
+  t.end()
+})
+
+// ============================================================================
+// encodeQueryResponse
+// ============================================================================
+
+test('encodeQueryResponse - count and object IDs', function (t) {
+  var count = decode(decode(encodeQueryResponse({ count: 42 }))[2][0])
+  t.deepEqual(decode(count[2][0]), { 1: [42] }, 'countResult')
+
+  var ids = decode(decode(encodeQueryResponse({ objectIdFieldName: 'objectid', objectIds: [3, 17] }))[2][0])
+  var idsResult = decode(ids[3][0])
+  t.equal(idsResult[1][0].toString(), 'objectid', 'objectIdFieldName')
+  t.deepEqual(decodePacked(idsResult[3][0]), [3, 17], 'packed objectIds')
+  t.end()
+})
+
+test('encodeQueryResponse - object IDs outside uint64 varints are rejected', function (t) {
+  t.throws(function () { encodeQueryResponse({ objectIdFieldName: 'objectid', objectIds: [3, -1] }) }, /Object ID -1 can't be encoded as PBF/, 'negative')
+  try {
+    encodeQueryResponse({ objectIdFieldName: 'objectid', objectIds: ['9007199254740993'] })
+    t.fail('should throw')
+  } catch (err) {
+    t.equal(err.code, 400, 'beyond 2^53 is a 400')
+  }
+  t.end()
+})
+
+test('encodeQueryResponse - features are quantized onto a fine grid', function (t) {
+  var result = featureResult(encodeQueryResponse({
+    objectIdFieldName: 'objectid',
+    uniqueIdField: { name: 'objectid', isSystemMaintained: true },
+    geometryType: 'esriGeometryPolyline',
+    spatialReference: { wkid: 4326, latestWkid: 4326 },
+    exceededTransferLimit: true,
+    fields: [
+      { name: 'objectid', type: 'esriFieldTypeOID', alias: 'objectid' },
+      { name: 'name', type: 'esriFieldTypeString', alias: 'Name' },
+      { name: 'height', type: 'esriFieldTypeDouble', alias: 'height' },
+      { name: 'floors', type: 'esriFieldTypeInteger', alias: 'floors' }
+    ],
+    features: [{
+      attributes: { objectid: 5, name: 'Tower', height: 12.5, floors: -2 },
+      geometry: { paths: [[[-122.5, 37.5], [-122.4, 37.6]]] }
+    }, {
+      attributes: { objectid: 6, name: null, height: 3, floors: 1 },
+      geometry: null
+    }]
+  }))
+
+  t.equal(result[1][0].toString(), 'objectid', 'objectIdFieldName')
+  t.equal(result[7][0], 2, 'polyline geometry type')
+  t.equal(result[9][0], 1, 'exceededTransferLimit')
+  var transform = decode(result[12][0])
+  t.deepEqual(decode(transform[2][0]), { 1: [1e-9], 2: [1e-9] }, 'degree scale')
+  t.equal(result[13].length, 4, 'fields')
+  t.deepEqual(decode(result[13][2]), { 1: [Buffer.from('height')], 2: [3], 3: [Buffer.from('height')] }, 'field name, type and alias')
+
+  var feature = decode(result[15][0])
+  t.deepEqual(feature[1].map(decode), [{ 5: [5] }, { 1: [Buffer.from('Tower')] }, { 3: [12.5] }, { 4: [3] }], 'uint, string, double and sint values in field order')
+  var geometry = decode(feature[2][0])
+  t.deepEqual(decodePacked(geometry[2][0]), [2], 'part lengths')
+  t.deepEqual(decodePacked(geometry[3][0], true), [-122500000000, -37500000000, 100000000, -100000000], 'delta-encoded, y down from the origin')
+
+  var second = decode(result[15][1])
+  t.equal(second[1][1].length, 0, 'null value is an empty message')
+  t.notOk(second[2], 'no geometry')
+  t.end()
+})
+
+test('encodeQueryResponse - already quantized features keep their transform', function (t) {
+  var result = featureResult(encodeQueryResponse({
+    spatialReference: { wkid: 102100, latestWkid: 3857 },
+    fields: [],
+    transform: { originPosition: 'lowerLeft', scale: [10, 10, 0, 0], translate: [1000, 2000, 0, 0] },
+    features: [{ attributes: {}, geometry: { x: 3, y: 4 } }]
+  }))
+  var transform = decode(result[12][0])
+  t.equal(transform[1][0], 1, 'lowerLeft origin')
+  t.deepEqual(decode(transform[3][0]), { 1: [1000], 2: [2000] }, 'translate')
+  t.equal(result[7][0], 0, 'point geometry type detected')
+  var geometry = decode(decode(result[15][0])[2][0])
+  t.notOk(geometry[2], 'points have no lengths')
+  t.deepEqual(decodePacked(geometry[3][0], true), [3, 4], 'coordinates written as-is')
+  t.end()
+})
+
+// ============================================================================
+// Controller.prototype.query
+// ============================================================================
+
+function fakeResponse () {
+  var res = {
+    statusCode: 200,
+    headers: {},
+    set: function (name, value) { res.headers[name] = value },
+    json: function (body) { res.jsonBody = body },
+    end: function (body) { res.ended = body }
+  }
+  return res
+}
+
+test('Controller.query - encodes f=pbf responses', function (t) {
+  var req = { query: { f: 'pbf', returnCountOnly: 'true' } }
+  var res = fakeResponse()
+  new Controller().query(req, res, function () {
+    t.equal(req.query.f, 'json', 'FeatureServer builds Esri JSON')
+    res.json({ count: 3 })
+    t.equal(res.headers['Content-Type'], 'application/x-protobuf', 'protobuf content type')
+    t.ok(Buffer.isBuffer(res.ended), 'binary body')
+    t.notOk(res.jsonBody, 'not sent as JSON')
+    t.end()
+  })
+})
+
+test('Controller.query - unencodable f=pbf responses are sent as JSON errors', function (t) {
+  var res = fakeResponse()
+  res.status = function (code) { res.statusCode = code; return res }
+  new Controller().query({ query: { f: 'pbf', returnIdsOnly: 'true' } }, res, function () {
+    res.json({ objectIdFieldName: 'objectid', objectIds: [-4] })
+    t.equal(res.statusCode, 400, 'status')
+    t.equal(res.jsonBody.error.code, 400, 'JSON error')
+    t.notOk(res.ended, 'no PBF body')
+    t.end()
+  })
+})
+
+test('Controller.query - leaves JSON, errors and extents alone', function (t) {
+  var res = fakeResponse()
+  new Controller().query({ query: { f: 'json' } }, res, function () {
+    res.json({ count: 3 })
+    t.deepEqual(res.jsonBody, { count: 3 }, 'f=json untouched')
+
+    var extentReq = { query: { f: 'pbf', returnExtentOnly: 'true' } }
+    new Controller().query(extentReq, fakeResponse(), function () {
+      t.equal(extentReq.query.f, 'pbf', 'extent requests left for FeatureServer to reject')
+
+      var errorRes = fakeResponse()
+      new Controller().query({ query: { f: 'pbf' } }, errorRes, function () {
+        errorRes.json({ error: { code: 400, message: 'Invalid' } })
+        t.deepEqual(errorRes.jsonBody, { error: { code: 400, message: 'Invalid' } }, 'errors stay JSON')
+        t.end()
+      })
+    })
+  })
+})
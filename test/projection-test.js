@@ -0,0 +1,90 @@
+/*
+  projection-test.js
+
+  Unit tests for the spatial reference registry and in-process transforms
+*/
+
+const test = require('tape')
+const {
+  parseSpatialReference,
+  normalizeWkid,
+  isSupportedSrid,
+  isGeographicSrid,
+  isMeterSrid,
+  getLocalTransform,
+  webMercatorToWgs84,
+  wgs84ToWebMercator
+} = require('../src/projection')
+
+test('webMercatorToWgs84 - converts known coordinates', function (t) {
+  var origin = webMercatorToWgs84(0, 0)
+  t.ok(Math.abs(origin[0]) < 1e-9 && Math.abs(origin[1]) < 1e-9, 'origin maps to 0,0')
+  var sf = webMercatorToWgs84(-13627640, 4547675)
+  t.ok(Math.abs(sf[0] - -122.4194) < 0.01, 'longitude near San Francisco')
+  t.ok(Math.abs(sf[1] - 37.7749) < 0.01, 'latitude near San Francisco')
+  t.end()
+})
+
+test('wgs84ToWebMercator - round trips with webMercatorToWgs84', function (t) {
+  var xy = wgs84ToWebMercator(-122.4194, 37.7749)
+  var lonLat = webMercatorToWgs84(xy[0], xy[1])
+  t.ok(Math.abs(lonLat[0] - -122.4194) < 1e-9, 'longitude round trips')
+  t.ok(Math.abs(lonLat[1] - 37.7749) < 1e-9, 'latitude round trips')
+  t.ok(isFinite(wgs84ToWebMercator(0, 90)[1]), 'pole is clamped')
+  t.end()
+})
+
+test('parseSpatialReference - accepts wkids, JSON and objects', function (t) {
+  t.deepEqual(parseSpatialReference('102100'), { wkid: 102100, latestWkid: null }, 'numeric string')
+  t.deepEqual(parseSpatialReference(4326), { wkid: 4326, latestWkid: null }, 'number')
+  t.deepEqual(parseSpatialReference('{"wkid":102643,"latestWkid":2227}'), { wkid: 102643, latestWkid: 2227 }, 'JSON string')
+  t.deepEqual(parseSpatialReference({ latestWkid: 3857 }), { wkid: null, latestWkid: 3857 }, 'object with latestWkid only')
+  t.equal(parseSpatialReference('PROJCS["foo"]'), null, 'WKT is not a wkid')
+  t.equal(parseSpatialReference({ wkt: 'PROJCS["foo"]' }), null, 'WKT object is not a wkid')
+  t.equal(parseSpatialReference(''), null, 'empty')
+  t.end()
+})
+
+test('normalizeWkid - maps Esri WKIDs to EPSG codes', function (t) {
+  t.equal(normalizeWkid('102100'), 3857, 'Web Mercator auxiliary sphere')
+  t.equal(normalizeWkid(900913), 3857, 'Google Mercator')
+  t.equal(normalizeWkid({ wkid: 102643, latestWkid: 2227 }), 2227, 'prefers latestWkid')
+  t.equal(normalizeWkid('32610'), 32610, 'EPSG codes pass through')
+  t.equal(normalizeWkid(undefined), null, 'missing')
+  t.end()
+})
+
+test('isSupportedSrid - rejects Esri-only codes', function (t) {
+  t.ok(isSupportedSrid(4326), 'WGS84')
+  t.ok(isSupportedSrid(2227), 'state plane')
+  t.notOk(isSupportedSrid(102003), 'Esri 102003')
+  t.notOk(isSupportedSrid(54030), 'Esri world projection')
+  t.notOk(isSupportedSrid(null), 'null')
+  t.end()
+})
+
+test('isGeographicSrid - degree-based EPSG codes', function (t) {
+  t.ok(isGeographicSrid(4326), 'WGS84')
+  t.ok(isGeographicSrid(4269), 'NAD83')
+  t.notOk(isGeographicSrid(3857), 'Web Mercator')
+  t.notOk(isGeographicSrid(26910), 'UTM')
+  t.end()
+})
+
+test('isMeterSrid - projected systems in true meters', function (t) {
+  t.ok(isMeterSrid(32610), 'WGS84 UTM')
+  t.ok(isMeterSrid(26910), 'NAD83 UTM')
+  t.ok(isMeterSrid(27700), 'British National Grid')
+  t.notOk(isMeterSrid(3857), 'Web Mercator is scaled by latitude')
+  t.notOk(isMeterSrid(2227), 'state plane in US feet')
+  t.notOk(isMeterSrid(4326), 'degrees')
+  t.end()
+})
+
+test('getLocalTransform - only WGS84 and Web Mercator are handled in process', function (t) {
+  t.deepEqual(getLocalTransform(32610, 32610)([1, 2]), [1, 2], 'identity')
+  t.ok(getLocalTransform(3857, 4326), '3857 -> 4326')
+  t.ok(getLocalTransform(4326, 3857), '4326 -> 3857')
+  t.equal(getLocalTransform(2227, 4326), null, 'state plane needs ST_Transform')
+  t.end()
+})
@@ -0,0 +1,89 @@
+/*
+  quantization-test.js
+
+  Unit tests for quantizationParameters coordinate quantization
+*/
+
+const test = require('tape')
+const { createQuantizer, quantizeGeometry } = require('../src/quantization')
+
+var extent = { xmin: 0, ymin: 0, xmax: 1000, ymax: 1000 }
+
+// ============================================================================
+// createQuantizer
+// ============================================================================
+
+test('createQuantizer - upperLeft origin', function (t) {
+  var quantizer = createQuantizer({ extent: extent, tolerance: 10, originPosition: 'upperLeft' })
+  t.deepEqual(quantizer.transform, { originPosition: 'upperLeft', scale: [10, 10, 0, 0], translate: [0, 1000, 0, 0] }, 'transform')
+  t.deepEqual(quantizer.quantize([0, 1000]), [0, 0], 'origin is the top left corner')
+  t.deepEqual(quantizer.quantize([104, 896]), [10, 10], 'y grows downwards, rounded to the grid')
+  t.end()
+})
+
+test('createQuantizer - lowerLeft origin', function (t) {
+  var quantizer = createQuantizer({ extent: extent, tolerance: 10, originPosition: 'lowerLeft' })
+  t.deepEqual(quantizer.transform.translate, [0, 0, 0, 0], 'translated to the bottom left corner')
+  t.deepEqual(quantizer.quantize([100, 200]), [10, 20], 'y grows upwards')
+  t.end()
+})
+
+// ============================================================================
+// quantizeGeometry
+// ============================================================================
+
+test('quantizeGeometry - points are absolute', function (t) {
+  var quantizer = createQuantizer({ extent: extent, tolerance: 10 })
+  t.deepEqual(quantizeGeometry({ type: 'Point', coordinates: [500, 500] }, quantizer), { x: 50, y: 50 }, 'point')
+  t.equal(quantizeGeometry(null, quantizer), null, 'null geometry')
+  t.end()
+})
+
+test('quantizeGeometry - paths are delta encoded without repeated vertices', function (t) {
+  var quantizer = createQuantizer({ extent: extent, tolerance: 10 })
+  var line = { type: 'LineString', coordinates: [[0, 1000], [1, 999], [100, 1000], [100, 900]] }
+  t.deepEqual(quantizeGeometry(line, quantizer), { paths: [[[0, 0], [10, 0], [0, 10]]] }, 'second vertex falls in the same cell')
+  var collapsed = { type: 'LineString', coordinates: [[0, 1000], [2, 998]] }
+  t.equal(quantizeGeometry(collapsed, quantizer), null, 'line shorter than a cell collapses')
+  t.end()
+})
+
+test('quantizeGeometry - rings are oriented clockwise in map space', function (t) {
+  var quantizer = createQuantizer({ extent: extent, tolerance: 10 })
+  var ccw = { type: 'Polygon', coordinates: [[[0, 0], [500, 0], [500, 500], [0, 500], [0, 0]]] }
+  t.deepEqual(
+    quantizeGeometry(ccw, quantizer),
+    { rings: [[[0, 100], [0, -50], [50, 0], [0, 50], [-50, 0]]] },
+    'counter-clockwise outer ring reversed before quantizing'
+  )
+  t.end()
+})
+
+test('quantizeGeometry - collapsed polygons are dropped', function (t) {
+  var quantizer = createQuantizer({ extent: extent, tolerance: 100 })
+  var polygons = {
+    type: 'MultiPolygon',
+    coordinates: [
+      [[[0, 0], [1, 0], [1, 1], [0, 0]], [[0.2, 0.2], [0.4, 0.2], [0.4, 0.4], [0.2, 0.2]]],
+      [[[0, 0], [0, 500], [500, 500], [500, 0], [0, 0]]]
+    ]
+  }
+  var result = quantizeGeometry(polygons, quantizer)
+  t.equal(result.rings.length, 1, 'only the second polygon survives')
+  t.end()
+})
+
+test('quantizeGeometry - geometry collections keep their polygon parts', function (t) {
+  var quantizer = createQuantizer({ extent: extent, tolerance: 10 })
+  var collection = {
+    type: 'GeometryCollection',
+    geometries: [
+      { type: 'LineString', coordinates: [[0, 0], [0, 500]] },
+      { type: 'Polygon', coordinates: [[[0, 0], [0, 500], [500, 500], [500, 0], [0, 0]]] }
+    ]
+  }
+  var result = quantizeGeometry(collection, quantizer)
+  t.ok(result.rings, 'polygon output')
+  t.notOk(result.paths, 'lower-dimension parts dropped')
+  t.end()
+})
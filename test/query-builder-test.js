@@ -8,29 +8,74 @@
 
 const test = require('tape')
 const Model = require('../src/model')
+const config = require('../config/default.json')
+const FeatureServer = require('@koopjs/featureserver')
 const {
   isValidTableName,
+  parseDistinctFields,
   buildCountQuery,
+  parseOutStatistics,
+  buildStatisticsQuery,
+  translateSpatialStatistics,
+  buildSpatialStatisticsCollection,
+  isH3AggregateLayer,
+  hasH3AggregateLayer,
+  isServiceInfoRequest,
+  parseH3Aggregation,
+  buildH3AggregateQuery,
+  buildH3AggregateCountQuery,
+  buildH3AggregateIdsQuery,
+  getH3AggregateData,
   buildIdsQuery,
   buildExtentQuery,
   buildQuery,
+  buildTileQuery,
   buildSelectClause,
+  parseOutSR,
+  parseMaxAllowableOffset,
+  parseGeometryPrecision,
+  parseQuantizationParameters,
+  parseObjectIds,
+  buildObjectIdsFilter,
   buildWhereClauses,
-  buildBboxFilter,
-  parseBbox,
-  webMercatorToWgs84,
+  buildGeometryFilter,
+  parseGeometryFilter,
+  buildQueryGeometry,
+  resolveSpatialRelationship,
+  parseDistance,
+  buildBufferedGeometry,
   parseResultRecordCount,
   parseResultOffset,
+  cursorCache,
+  recordCursor,
+  getCursorKey,
+  recordPageCursor,
   buildTimeFilter,
+  buildQueryTimeFilter,
+  getLayerTimeConfig,
+  buildTimeExtentQuery,
+  getDefaultTimeInterval,
   sanitizeOrderBy,
   translateWithSTFunctions,
   calculateExtent,
   getAllCoordinates,
   mapDatabricksToEsriFieldType,
+  getStringFieldLength,
+  getLayerFlattening,
+  flattenedColumns,
+  buildTableSource,
+  resolveQueryFieldPaths,
+  flattenTableColumns,
+  getLayerFieldTypes,
+  parseNativeGeometryType,
+  buildGeometryTypeQuery,
+  resolveGeometryType,
   checkRateLimit,
   pushValidatedWhere,
-  executeAndRecord
+  executeAndRecord,
+  estimateBytes
 } = Model._internals
+const { wktBounds } = require('../src/geometry')
 
 // ============================================================================
 // isValidTableName
@@ -185,6 +230,30 @@ test('buildIdsQuery - with WHERE', function (t) {
   t.end()
 })
 
+test('getData - returnIdsOnly is rendered as objectIds in FeatureServer JSON', function (t) {
+  var connectionManager = require('../src/connection')
+  var getSession = connectionManager.getSession
+  connectionManager.getSession = function () {
+    return Promise.resolve({
+      executeStatement: function () { return Promise.resolve(fakeOperation([[{ objectid: 3 }, { objectid: 7 }]])) },
+      close: function () { return Promise.resolve() }
+    })
+  }
+  var query = { returnIdsOnly: 'true', f: 'json' }
+  new Model().getData({ params: { id: 'cat.sch.ids' }, query: query, url: '/query' }, function (err, data) {
+    connectionManager.getSession = getSession
+    t.error(err, 'no error')
+    var res = {
+      status: function () { return res },
+      json: function (body) {
+        t.deepEqual(body, { objectIdFieldName: 'objectid', objectIds: [3, 7] }, 'object IDs read from the features')
+        t.end()
+      }
+    }
+    FeatureServer.query({ query: query }, res, data)
+  })
+})
+
 // ============================================================================
 // buildExtentQuery
 // ============================================================================
@@ -243,7 +312,7 @@ test('buildQuery - with pagination', function (t) {
     resultOffset: '20',
     resultRecordCount: '10'
   }, 'test-id')
-  t.ok(sql.includes('LIMIT 10'), 'respects limit')
+  t.ok(sql.includes('LIMIT 11 '), 'respects limit, plus one row to detect more')
   t.ok(sql.includes('OFFSET 20'), 'respects offset')
   t.ok(sql.includes('ORDER BY objectid'), 'adds default order for pagination')
   t.end()
@@ -315,84 +384,309 @@ test('buildTimeFilter - rejects invalid timeField', function (t) {
   t.end()
 })
 
+test('buildTimeFilter - open-ended ranges on an instant field', function (t) {
+  t.equal(buildTimeFilter('1609459200000,null', 'observed'), "observed >= TIMESTAMP '2021-01-01T00:00:00.000Z'", 'open end')
+  t.equal(buildTimeFilter('null,1609459200000', 'observed'), "observed <= TIMESTAMP '2021-01-01T00:00:00.000Z'", 'open start')
+  t.equal(buildTimeFilter('null,null', 'observed'), null, 'fully open range is invalid')
+  t.end()
+})
+
+test('buildTimeFilter - intervals overlap the queried time', function (t) {
+  t.equal(buildTimeFilter('1609459200000,1612137600000', 'valid_from', 'valid_to'),
+    "(valid_from <= TIMESTAMP '2021-02-01T00:00:00.000Z' OR valid_from IS NULL) AND " +
+    "(valid_to >= TIMESTAMP '2021-01-01T00:00:00.000Z' OR valid_to IS NULL)", 'start before the query end, end after the query start')
+  t.equal(buildTimeFilter('1609459200000', 'valid_from', 'valid_to'),
+    "(valid_from <= TIMESTAMP '2021-01-01T00:00:00.000Z' OR valid_from IS NULL) AND " +
+    "(valid_to >= TIMESTAMP '2021-01-01T00:00:00.000Z' OR valid_to IS NULL)", 'intervals containing an instant')
+  t.equal(buildTimeFilter('1609459200000,null', 'valid_from', 'valid_to'),
+    "(valid_to >= TIMESTAMP '2021-01-01T00:00:00.000Z' OR valid_to IS NULL)", 'open query end only checks the interval end')
+  t.equal(buildTimeFilter('null,1609459200000', 'valid_from', 'valid_to'),
+    "(valid_from <= TIMESTAMP '2021-01-01T00:00:00.000Z' OR valid_from IS NULL)", 'open query start only checks the interval start')
+  t.throws(function () {
+    buildTimeFilter('1609459200000', 'valid_from', 'valid_to; DROP TABLE foo')
+  }, /Invalid endTimeField/, 'rejects injection in endTimeField')
+  t.end()
+})
+
+test('buildQueryTimeFilter - layer time fields unless timeField is given', function (t) {
+  config.layers['cat.sch.events'] = { startTimeField: 'valid_from', endTimeField: 'valid_to' }
+  var layerFilter = buildQueryTimeFilter({ time: '1609459200000,1612137600000' }, 'cat.sch.events')
+  t.ok(layerFilter.includes('valid_from <=') && layerFilter.includes('valid_to >='), 'configured interval fields')
+  t.equal(buildQueryTimeFilter({ time: '1609459200000', timeField: 'updated_at' }, 'cat.sch.events'),
+    "updated_at = TIMESTAMP '2021-01-01T00:00:00.000Z'", 'timeField parameter wins')
+  t.ok(buildQueryTimeFilter({ time: '1609459200000' }, 'cat.sch.tbl').includes('created_at ='), 'created_at for other layers')
+  delete config.layers['cat.sch.events']
+  t.end()
+})
+
+test('buildWhereClauses - the layer time filter applies to every query kind', function (t) {
+  config.layers['cat.sch.events'] = { startTimeField: 'valid_from', endTimeField: 'valid_to' }
+  var query = { time: '1609459200000,1612137600000' }
+  var sql = [
+    buildQuery('cat.sch.events', query),
+    buildCountQuery('cat.sch.events', query),
+    buildIdsQuery('cat.sch.events', query),
+    buildExtentQuery('cat.sch.events', query)
+  ]
+  sql.forEach(function (statement) {
+    t.ok(statement.includes("(valid_to >= TIMESTAMP '2021-01-01T00:00:00.000Z' OR valid_to IS NULL)"), 'interval overlap filter')
+  })
+  delete config.layers['cat.sch.events']
+  t.end()
+})
+
+// ============================================================================
+// Time-aware layers
+// ============================================================================
+
+test('getLayerTimeConfig - time fields from the layers config', function (t) {
+  config.layers['cat.sch.ais'] = { startTimeField: 'position_time', timeInterval: 6, timeIntervalUnits: 'esriTimeUnitsHours' }
+  config.layers['cat.sch.bad'] = { startTimeField: 'start; DROP TABLE foo' }
+  t.deepEqual(getLayerTimeConfig('cat.sch.ais'), {
+    startTimeField: 'position_time',
+    endTimeField: null,
+    timeInterval: 6,
+    timeIntervalUnits: 'esriTimeUnitsHours'
+  }, 'configured layer')
+  t.equal(getLayerTimeConfig('cat.sch.tbl'), null, 'layers without a startTimeField are not time-aware')
+  t.throws(function () { getLayerTimeConfig('cat.sch.bad') }, /Invalid time field for cat.sch.bad/, 'field names validated')
+  delete config.layers['cat.sch.ais']
+  delete config.layers['cat.sch.bad']
+  t.end()
+})
+
+test('buildTimeExtentQuery - MIN/MAX over the whole table in epoch ms', function (t) {
+  var sql = buildTimeExtentQuery('cat.sch.ais', { startTimeField: 'position_time', endTimeField: null })
+  t.ok(sql.includes('unix_millis(CAST(MIN(position_time) AS TIMESTAMP)) as time_min'), 'earliest start')
+  t.ok(sql.includes('unix_millis(CAST(MAX(position_time) AS TIMESTAMP)) as time_max'), 'latest start')
+  t.notOk(/WHERE/.test(sql), 'no filters')
+
+  sql = buildTimeExtentQuery('cat.sch.trips', { startTimeField: 'starts', endTimeField: 'ends' })
+  t.ok(sql.includes('MIN(COALESCE(starts, ends))'), 'open starts count with their end')
+  t.ok(sql.includes('MAX(COALESCE(ends, starts))'), 'open ends count with their start')
+  t.end()
+})
+
+test('getDefaultTimeInterval - largest unit giving at least 10 steps', function (t) {
+  var day = 86400000
+  t.deepEqual(getDefaultTimeInterval([0, 2 * day]), { timeInterval: 1, timeIntervalUnits: 'esriTimeUnitsHours' }, 'two days in hours')
+  t.deepEqual(getDefaultTimeInterval([0, 30 * day]), { timeInterval: 1, timeIntervalUnits: 'esriTimeUnitsDays' }, 'a month in days')
+  t.deepEqual(getDefaultTimeInterval([0, 20 * 365 * day]), { timeInterval: 1, timeIntervalUnits: 'esriTimeUnitsYears' }, 'decades in years')
+  t.deepEqual(getDefaultTimeInterval([0, 0]), { timeInterval: 1, timeIntervalUnits: 'esriTimeUnitsSeconds' }, 'a single instant')
+  t.end()
+})
+
+test('getTimeInfo - timeInfo of time-aware layers, cached per table', function (t) {
+  config.layers['cat.sch.ais'] = { startTimeField: 'position_time' }
+  var model = new Model()
+  var statements = []
+  var session = {
+    executeStatement: function (sql) {
+      statements.push(sql)
+      return Promise.resolve(fakeOperation([[{ time_min: 1771200000000, time_max: 1771372800000 }]]))
+    }
+  }
+  model.getTimeInfo('cat.sch.ais', session, 'task-time').then(function (timeInfo) {
+    t.equal(timeInfo.startTimeField, 'position_time', 'start field')
+    t.equal(timeInfo.endTimeField, null, 'no end field')
+    t.deepEqual(timeInfo.timeExtent, [1771200000000, 1771372800000], 'time extent')
+    t.equal(timeInfo.timeIntervalUnits, 'esriTimeUnitsHours', 'default interval units')
+    t.deepEqual(timeInfo.timeReference, { timeZone: 'UTC', respectsDaylightSaving: false }, 'UTC')
+    return model.getTimeInfo('cat.sch.ais', session, 'task-time')
+  }).then(function (timeInfo) {
+    t.ok(timeInfo, 'cached time info')
+    t.equal(statements.length, 1, 'queried once')
+    return model.getTimeInfo('cat.sch.tbl', session, 'task-time')
+  }).then(function (timeInfo) {
+    t.equal(timeInfo, null, 'not time-aware')
+    t.equal(statements.length, 1, 'no query for layers without time settings')
+    delete config.layers['cat.sch.ais']
+    t.end()
+  }).catch(function (err) { t.fail(err.message); t.end() })
+})
+
+test('getTimeInfo - configured interval and empty tables', function (t) {
+  config.layers['cat.sch.empty'] = { startTimeField: 'observed', timeInterval: 15, timeIntervalUnits: 'esriTimeUnitsMinutes' }
+  var model = new Model()
+  var session = {
+    executeStatement: function () { return Promise.resolve(fakeOperation([[{ time_min: null, time_max: null }]])) }
+  }
+  model.getTimeInfo('cat.sch.empty', session, 'task-time').then(function (timeInfo) {
+    t.equal(timeInfo.timeExtent, null, 'no time extent')
+    t.equal(timeInfo.timeInterval, 15, 'configured interval')
+    t.equal(timeInfo.timeIntervalUnits, 'esriTimeUnitsMinutes', 'configured units')
+    delete config.layers['cat.sch.empty']
+    t.end()
+  }).catch(function (err) { t.fail(err.message); t.end() })
+})
+
 // ============================================================================
-// buildBboxFilter
+// buildGeometryFilter
 // ============================================================================
 
-test('buildBboxFilter - valid bbox', function (t) {
-  var filter = buildBboxFilter('-122,37,-121,38')
+test('buildGeometryFilter - valid bbox', function (t) {
+  var filter = buildGeometryFilter('-122,37,-121,38')
   t.ok(filter, 'returns a filter')
   t.ok(filter.includes('ST_Intersects'), 'uses ST_Intersects')
   t.ok(filter.includes('POLYGON'), 'creates polygon from bbox')
   t.end()
 })
 
-test('buildBboxFilter - invalid bbox returns null', function (t) {
-  t.equal(buildBboxFilter('not,valid,coords'), null, 'returns null for 3 coords')
-  t.equal(buildBboxFilter('a,b,c,d'), null, 'returns null for non-numeric')
+test('buildGeometryFilter - invalid bbox returns null', function (t) {
+  t.equal(buildGeometryFilter('not,valid,coords'), null, 'returns null for 3 coords')
+  t.equal(buildGeometryFilter('a,b,c,d'), null, 'returns null for non-numeric')
   t.end()
 })
 
-test('buildBboxFilter - JSON envelope (ArcGIS client format)', function (t) {
+test('buildGeometryFilter - JSON envelope (ArcGIS client format)', function (t) {
   var envelope = JSON.stringify({ xmin: -122, ymin: 37, xmax: -121, ymax: 38, spatialReference: { wkid: 4326 } })
-  var filter = buildBboxFilter(envelope, 'esriGeometryEnvelope')
+  var filter = buildGeometryFilter(envelope, 'esriGeometryEnvelope')
   t.ok(filter, 'returns a filter')
   t.ok(filter.includes('ST_Intersects'), 'uses ST_Intersects')
   t.ok(filter.includes('POLYGON((-122 37, -121 37, -121 38, -122 38, -122 37))'), 'creates polygon from envelope')
   t.end()
 })
 
-test('buildBboxFilter - Web Mercator envelope is reprojected to WGS84', function (t) {
+test('buildGeometryFilter - Web Mercator envelope is reprojected to WGS84', function (t) {
   var envelope = JSON.stringify({ xmin: -13692297, ymin: 4439106, xmax: -13580978, ymax: 4579425, spatialReference: { wkid: 102100 } })
-  var coords = parseBbox(envelope)
+  var coords = wktBounds(parseGeometryFilter(envelope).wkt)
   t.ok(coords, 'parses envelope')
   t.ok(Math.abs(coords[0] - -123.0) < 0.05, 'xmin converted to degrees: ' + coords[0])
   t.ok(Math.abs(coords[1] - 37.0) < 0.05, 'ymin converted to degrees: ' + coords[1])
-  var filter = buildBboxFilter(envelope, 'esriGeometryEnvelope')
+  var filter = buildGeometryFilter(envelope, 'esriGeometryEnvelope')
   t.ok(filter && filter.includes('ST_Intersects'), 'builds spatial filter from reprojected envelope')
   t.end()
 })
 
-test('buildBboxFilter - comma bbox honors inSR reprojection', function (t) {
-  var coords = parseBbox('-13692297,4439106,-13580978,4579425', '102100')
+test('buildGeometryFilter - comma bbox honors inSR reprojection', function (t) {
+  var coords = wktBounds(parseGeometryFilter('-13692297,4439106,-13580978,4579425', '102100').wkt)
   t.ok(coords, 'parses comma bbox with inSR')
   t.ok(Math.abs(coords[0] - -123.0) < 0.05, 'xmin converted to degrees: ' + coords[0])
   t.ok(Math.abs(coords[3] - 38.0) < 0.05, 'ymax converted to degrees: ' + coords[3])
   t.end()
 })
 
-test('buildBboxFilter - unsupported JSON geometry returns null', function (t) {
-  var polygon = JSON.stringify({ rings: [[[-122, 37], [-121, 37], [-121, 38], [-122, 37]]] })
-  t.equal(buildBboxFilter(polygon, 'esriGeometryPolygon'), null, 'returns null for polygon filter')
-  t.equal(buildBboxFilter('{not json'), null, 'returns null for malformed JSON')
+test('buildGeometryFilter - malformed JSON geometry returns null', function (t) {
+  t.equal(buildGeometryFilter('{not json'), null, 'returns null for malformed JSON')
+  t.equal(buildGeometryFilter(JSON.stringify({ foo: 1 })), null, 'returns null for unrecognised geometry')
+  t.end()
+})
+
+test('buildGeometryFilter - polygon filter is pushed down', function (t) {
+  var polygon = JSON.stringify({ rings: [[[-122, 37], [-122, 38], [-121, 38], [-121, 37], [-122, 37]]] })
+  var filter = buildGeometryFilter(polygon, 'esriGeometryPolygon')
+  t.ok(filter, 'returns a filter')
+  t.ok(filter.includes("ST_GeomFromText('POLYGON((-122 37, -122 38, -121 38, -121 37, -122 37))', 4326)"), 'converts rings to WKT polygon')
+  t.end()
+})
+
+test('buildGeometryFilter - polyline filter is pushed down', function (t) {
+  var filter = buildGeometryFilter({ paths: [[[-122, 37], [-121, 38]]] }, 'esriGeometryPolyline')
+  t.ok(filter.includes("'LINESTRING(-122 37, -121 38)'"), 'converts single path to LINESTRING')
+  t.end()
+})
+
+test('buildGeometryFilter - comma point form', function (t) {
+  var filter = buildGeometryFilter('-122,37', 'esriGeometryPoint')
+  t.ok(filter.includes("'POINT(-122 37)'"), 'converts x,y to POINT')
+  t.end()
+})
+
+test('parseGeometryFilter - Web Mercator polygon is reprojected per vertex', function (t) {
+  var parsed = parseGeometryFilter({
+    rings: [[[0, 0], [0, 1113195], [1113195, 1113195], [1113195, 0], [0, 0]]],
+    spatialReference: { wkid: 102100 }
+  })
+  t.ok(/^POLYGON\(\(0 0, 0 9\.94/.test(parsed.wkt), 'vertices converted to degrees: ' + parsed.wkt)
+  t.equal(parsed.srid, 4326, 'reprojected to the data spatial reference')
+  var viaInSR = parseGeometryFilter({ rings: [[[0, 0], [0, 1113195], [1113195, 0], [0, 0]]] }, '3857')
+  t.ok(/^POLYGON\(\(0 0, 0 9\.94/.test(viaInSR.wkt), 'inSR used when geometry has no spatialReference')
+  t.end()
+})
+
+test('buildWhereClauses - polygon geometry produces a spatial clause', function (t) {
+  var clauses = buildWhereClauses({
+    geometry: { rings: [[[-122, 37], [-122, 38], [-121, 38], [-122, 37]]] },
+    geometryType: 'esriGeometryPolygon'
+  })
+  t.equal(clauses.length, 1, 'one clause')
+  t.ok(clauses[0].startsWith('ST_Intersects('), 'uses ST_Intersects')
   t.end()
 })
 
 // ============================================================================
-// parseBbox / webMercatorToWgs84
+// parseGeometryFilter / buildQueryGeometry (inSR)
 // ============================================================================
 
-test('webMercatorToWgs84 - converts known coordinates', function (t) {
-  var origin = webMercatorToWgs84(0, 0)
-  t.ok(Math.abs(origin[0]) < 1e-9 && Math.abs(origin[1]) < 1e-9, 'origin maps to 0,0')
-  var sf = webMercatorToWgs84(-13627640, 4547675)
-  t.ok(Math.abs(sf[0] - -122.4194) < 0.01, 'longitude near San Francisco')
-  t.ok(Math.abs(sf[1] - 37.7749) < 0.01, 'latitude near San Francisco')
+test('parseGeometryFilter - JSON point', function (t) {
+  t.deepEqual(parseGeometryFilter(JSON.stringify({ x: -122, y: 37 })), { wkt: 'POINT(-122 37)', srid: 4326 }, 'point in data spatial reference')
   t.end()
 })
 
-test('parseBbox - JSON point becomes degenerate bbox', function (t) {
-  var coords = parseBbox(JSON.stringify({ x: -122, y: 37 }))
-  t.deepEqual(coords, [-122, 37, -122, 37], 'point expands to zero-area bbox')
+test('parseGeometryFilter - accepts pre-parsed envelope object (Koop core coerces JSON params)', function (t) {
+  var parsed = parseGeometryFilter({ xmin: -125, ymin: 32, xmax: -114, ymax: 42, spatialReference: { wkid: 4326 } })
+  t.deepEqual(wktBounds(parsed.wkt), [-125, 32, -114, 42], 'object envelope parsed directly')
+  var mercator = wktBounds(parseGeometryFilter({ xmin: -13692297, ymin: 4439106, xmax: -13580978, ymax: 4579425, spatialReference: { wkid: 102100 } }).wkt)
+  t.ok(mercator && Math.abs(mercator[0] - -123.0) < 0.05, 'object envelope reprojected from Web Mercator')
   t.end()
 })
 
-test('parseBbox - accepts pre-parsed envelope object (Koop core coerces JSON params)', function (t) {
-  var coords = parseBbox({ xmin: -125, ymin: 32, xmax: -114, ymax: 42, spatialReference: { wkid: 4326 } })
-  t.deepEqual(coords, [-125, 32, -114, 42], 'object envelope parsed directly')
-  var mercator = parseBbox({ xmin: -13692297, ymin: 4439106, xmax: -13580978, ymax: 4579425, spatialReference: { wkid: 102100 } })
-  t.ok(mercator && Math.abs(mercator[0] - -123.0) < 0.05, 'object envelope reprojected from Web Mercator')
-  t.equal(parseBbox({ rings: [[[0, 0], [1, 1]]] }), null, 'polygon object returns null')
+test('parseGeometryFilter - state plane / UTM input is left for ST_Transform', function (t) {
+  var utm = parseGeometryFilter('551000,4180000,552000,4181000', '32610')
+  t.equal(utm.srid, 32610, 'keeps the input srid')
+  t.equal(utm.wkt, 'POLYGON((551000 4180000, 552000 4180000, 552000 4181000, 551000 4181000, 551000 4180000))', 'coordinates untouched')
+  var statePlane = parseGeometryFilter({ x: 6000000, y: 2100000, spatialReference: { wkid: 102643, latestWkid: 2227 } })
+  t.equal(statePlane.srid, 2227, 'Esri state plane wkid resolved through latestWkid')
+  var viaJsonInSR = parseGeometryFilter('6000000,2100000', '{"wkid":2227}')
+  t.equal(viaJsonInSR.srid, 2227, 'inSR given as JSON')
+  t.end()
+})
+
+test('parseGeometryFilter - Esri-only wkid without EPSG equivalent is a 400', function (t) {
+  try {
+    parseGeometryFilter('0,0,1,1', '102003')
+    t.fail('should throw')
+  } catch (err) {
+    t.equal(err.code, 400, 'error code is 400')
+    t.ok(/Unsupported input spatial reference: 102003/.test(err.message), 'message names the wkid')
+  }
+  t.throws(function () {
+    buildCountQuery('cat.sch.tbl', { geometry: '0,0,1,1', inSR: '102003' })
+  }, /Unsupported input spatial reference/, 'error surfaces from the query builders')
+  t.end()
+})
+
+test('buildQueryGeometry - transforms in SQL only when needed', function (t) {
+  t.equal(buildQueryGeometry({ wkt: 'POINT(1 2)', srid: 4326 }), "ST_GeomFromText('POINT(1 2)', 4326)", 'already in data srid')
+  t.equal(
+    buildQueryGeometry({ wkt: 'POINT(1 2)', srid: 32610 }),
+    "ST_Transform(ST_GeomFromText('POINT(1 2)', 32610), 4326)",
+    'pushed down to ST_Transform'
+  )
+  t.end()
+})
+
+test('buildWhereClauses - UTM geometry filter is transformed in SQL', function (t) {
+  var clauses = buildWhereClauses({ geometry: '551000,4180000,552000,4181000', inSR: '32610' })
+  t.ok(clauses[0].includes("ST_Transform(ST_GeomFromText('POLYGON((551000 4180000"), 'query geometry transformed to data srid')
+  t.ok(clauses[0].endsWith(', 32610), 4326))'), 'from input srid to data srid')
+  t.end()
+})
+
+test('buildWhereClauses - H3 filter covers the reprojected bbox', function (t) {
+  var clauses = buildWhereClauses({ bbox: '-13692297,4439106,-13580978,4579425', inSR: '102100', h3col: 'h3_res8', h3res: '8' })
+  var h3 = clauses.find(c => c.includes('h3_coverash3'))
+  t.ok(/^array_contains\(h3_coverash3\('POLYGON\(\(-122\.99/.test(h3), 'bbox reprojected to WGS84 before covering: ' + h3)
+  t.ok(h3.endsWith(', 8), h3_res8)'), 'resolution and column')
+  var utm = buildWhereClauses({ bbox: '551000,4180000,552000,4181000', inSR: '32610', h3col: 'h3_res8', h3res: '8' })
+  t.ok(utm[0].includes("h3_coverash3(ST_AsText(ST_Transform(ST_GeomFromText('POLYGON((551000"), 'UTM bbox transformed in SQL')
+  t.end()
+})
+
+test('buildWhereClauses - H3 filter validates its parameters', function (t) {
+  t.throws(function () { buildWhereClauses({ bbox: '1,2,3', h3col: 'h3', h3res: '8' }) }, /bbox must be/, 'bad bbox')
+  t.throws(function () { buildWhereClauses({ bbox: '1,2,3,4', h3col: 'h3', h3res: '16' }) }, /h3res/, 'bad resolution')
+  t.throws(function () { buildWhereClauses({ bbox: '1,2,3,4', h3col: 'h3; DROP', h3res: '8' }) }, /h3col/, 'bad column')
   t.end()
 })
 
@@ -418,7 +712,7 @@ test('parseResultOffset - rejects invalid values', function (t) {
 
 test('buildQuery - negative resultRecordCount still emits LIMIT', function (t) {
   var sql = buildQuery('cat.sch.tbl', { resultRecordCount: '-1' }, 'test-id')
-  t.ok(sql.includes('LIMIT 10000'), 'falls back to maxRows instead of dropping LIMIT')
+  t.ok(sql.includes('LIMIT 10001'), 'falls back to maxRows instead of dropping LIMIT')
   t.end()
 })
 
@@ -491,6 +785,32 @@ test('translateWithSTFunctions - converts rows to GeoJSON', function (t) {
   t.end()
 })
 
+test('translateWithSTFunctions - normalizes date and time values', function (t) {
+  var rows = [{ objectid: 1, observed: new Date(Date.UTC(2026, 1, 16, 10)), survey_day: '2026-02-16 00:00:00', name: '2026-02-16', __geojson__: null }]
+  var fields = [
+    { name: 'observed', type: 'esriFieldTypeDate' },
+    { name: 'survey_day', type: 'esriFieldTypeDateOnly' },
+    { name: 'name', type: 'esriFieldTypeString' },
+    { name: 'not_selected', type: 'esriFieldTypeDate' }
+  ]
+  var properties = translateWithSTFunctions(rows, {}, fields).features[0].properties
+  t.deepEqual(properties, { objectid: 1, observed: Date.UTC(2026, 1, 16, 10), survey_day: '2026-02-16', name: '2026-02-16' }, 'epoch milliseconds and a date string; other fields unchanged')
+  t.end()
+})
+
+test('translateWithSTFunctions - coerces values to their field types', function (t) {
+  var rows = [{ objectid: 9007199254740993n, active: true, score: '12.50', floors: 3n, __geojson__: null }]
+  var fields = [
+    { name: 'objectid', type: 'esriFieldTypeBigInteger' },
+    { name: 'active', type: 'esriFieldTypeSmallInteger' },
+    { name: 'score', type: 'esriFieldTypeDouble' },
+    { name: 'floors', type: 'esriFieldTypeInteger' }
+  ]
+  var properties = translateWithSTFunctions(rows, {}, fields).features[0].properties
+  t.deepEqual(properties, { objectid: '9007199254740993', active: 1, score: 12.5, floors: 3 }, 'exact big ids, booleans as 1/0 and numbers')
+  t.end()
+})
+
 test('translateWithSTFunctions - handles returnGeometry=false', function (t) {
   var rows = [
     { name: 'A', __geojson__: '{"type":"Point","coordinates":[-122,37]}' }
@@ -612,7 +932,7 @@ test('mapDatabricksToEsriFieldType - maps common types', function (t) {
   t.equal(mapDatabricksToEsriFieldType('INT'), 'esriFieldTypeInteger', 'INT')
   t.equal(mapDatabricksToEsriFieldType('BIGINT'), 'esriFieldTypeBigInteger', 'BIGINT')
   t.equal(mapDatabricksToEsriFieldType('DOUBLE'), 'esriFieldTypeDouble', 'DOUBLE')
-  t.equal(mapDatabricksToEsriFieldType('FLOAT'), 'esriFieldTypeDouble', 'FLOAT')
+  t.equal(mapDatabricksToEsriFieldType('FLOAT'), 'esriFieldTypeSingle', 'FLOAT')
   t.equal(mapDatabricksToEsriFieldType('DECIMAL(10,2)'), 'esriFieldTypeDouble', 'DECIMAL')
   t.equal(mapDatabricksToEsriFieldType('DATE'), 'esriFieldTypeDate', 'DATE')
   t.equal(mapDatabricksToEsriFieldType('TIMESTAMP'), 'esriFieldTypeDate', 'TIMESTAMP')
@@ -624,6 +944,42 @@ test('mapDatabricksToEsriFieldType - maps common types', function (t) {
   t.end()
 })
 
+test('mapDatabricksToEsriFieldType - integer widths, decimals and non-numeric types', function (t) {
+  t.equal(mapDatabricksToEsriFieldType('tinyint'), 'esriFieldTypeSmallInteger', 'TINYINT')
+  t.equal(mapDatabricksToEsriFieldType('smallint'), 'esriFieldTypeSmallInteger', 'SMALLINT')
+  t.equal(mapDatabricksToEsriFieldType('long'), 'esriFieldTypeBigInteger', 'LONG alias')
+  t.equal(mapDatabricksToEsriFieldType('decimal(4,0)'), 'esriFieldTypeSmallInteger', 'DECIMAL(4, 0)')
+  t.equal(mapDatabricksToEsriFieldType('decimal(9, 0)'), 'esriFieldTypeInteger', 'DECIMAL(9, 0)')
+  t.equal(mapDatabricksToEsriFieldType('decimal(18,0)'), 'esriFieldTypeBigInteger', 'DECIMAL(18, 0)')
+  t.equal(mapDatabricksToEsriFieldType('decimal'), 'esriFieldTypeBigInteger', 'DECIMAL is DECIMAL(10, 0)')
+  t.equal(mapDatabricksToEsriFieldType('decimal(38,0)'), 'esriFieldTypeDouble', 'wider than BIGINT')
+  t.equal(mapDatabricksToEsriFieldType('timestamp_ntz'), 'esriFieldTypeDate', 'TIMESTAMP_NTZ')
+  t.equal(mapDatabricksToEsriFieldType('interval day to second'), 'esriFieldTypeString', 'INTERVAL is not an integer')
+  t.equal(mapDatabricksToEsriFieldType('array<int>'), 'esriFieldTypeString', 'ARRAY<INT> is not an integer')
+  t.equal(mapDatabricksToEsriFieldType('binary'), 'esriFieldTypeString', 'BINARY')
+  t.end()
+})
+
+test('getStringFieldLength - declared lengths, unbounded STRING', function (t) {
+  t.equal(getStringFieldLength('varchar(255)'), 255, 'VARCHAR(n)')
+  t.equal(getStringFieldLength('CHAR(2)'), 2, 'CHAR(n)')
+  t.equal(getStringFieldLength('string'), 2147483647, 'STRING')
+  t.end()
+})
+
+test('getLayerFieldTypes - date and time types from the layers config', function (t) {
+  config.layers['cat.sch.shifts'] = {
+    fieldTypes: { shift_start: 'esriFieldTypeTimeOnly', survey_day: 'esriFieldTypeDateOnly', crew: 'esriFieldTypeInteger' }
+  }
+  t.deepEqual(getLayerFieldTypes('cat.sch.shifts'), {
+    shift_start: 'esriFieldTypeTimeOnly',
+    survey_day: 'esriFieldTypeDateOnly'
+  }, 'temporal types assigned, others ignored')
+  t.deepEqual(getLayerFieldTypes('cat.sch.tbl'), {}, 'no overrides')
+  delete config.layers['cat.sch.shifts']
+  t.end()
+})
+
 // ============================================================================
 // checkRateLimit
 // ============================================================================
@@ -640,13 +996,23 @@ test('checkRateLimit - allows requests within limit', function (t) {
 // executeAndRecord / Model.recentQueries
 // ============================================================================
 
+// Fake driver operation returning the given chunks of rows from fetchChunk
+function fakeOperation (chunks, onClose) {
+  var remaining = chunks.slice()
+  return {
+    fetchChunk: function () { return Promise.resolve(remaining.shift() || []) },
+    hasMoreRows: function () { return Promise.resolve(remaining.length > 0) },
+    close: function () {
+      if (onClose) onClose()
+      return Promise.resolve()
+    }
+  }
+}
+
 test('executeAndRecord - records executed queries in Model.recentQueries', function (t) {
   var fakeSession = {
     executeStatement: function () {
-      return Promise.resolve({
-        fetchAll: function () { return Promise.resolve([{ a: 1 }, { a: 2 }]) },
-        close: function () { return Promise.resolve() }
-      })
+      return Promise.resolve(fakeOperation([[{ a: 1 }, { a: 2 }]]))
     }
   }
   executeAndRecord(fakeSession, 'SELECT 1', 'features', 'task-1').then(function (rows) {
@@ -660,6 +1026,61 @@ test('executeAndRecord - records executed queries in Model.recentQueries', funct
   }).catch(function (err) { t.fail(err.message); t.end() })
 })
 
+test('executeAndRecord - maps rows chunk by chunk', function (t) {
+  var fakeSession = {
+    executeStatement: function () {
+      return Promise.resolve(fakeOperation([[{ a: 1 }, { a: 2 }], [{ a: 3 }]]))
+    }
+  }
+  executeAndRecord(fakeSession, 'SELECT a', 'features', 'task-2', function (row) { return row.a * 10 }).then(function (rows) {
+    t.deepEqual(rows, [10, 20, 30], 'all chunks fetched and mapped')
+    t.end()
+  }).catch(function (err) { t.fail(err.message); t.end() })
+})
+
+test('executeAndRecord - aborts results over the response byte limit', function (t) {
+  var closed = false
+  var big = new Array(1024 * 1024).join('x') // ~2 MB in memory
+  var chunk = []
+  for (var i = 0; i < 60; i++) chunk.push({ objectid: i, __geojson__: big })
+  var fakeSession = {
+    executeStatement: function () {
+      return Promise.resolve(fakeOperation([chunk], function () { closed = true }))
+    }
+  }
+  executeAndRecord(fakeSession, 'SELECT big', 'features', 'task-3').then(function () {
+    t.fail('should have rejected')
+    t.end()
+  }).catch(function (err) {
+    t.equal(err.code, 400, '400 error')
+    t.ok(/exceeds the 104857600 byte response limit after 49 rows/.test(err.message), 'clear error message')
+    t.ok(closed, 'operation closed')
+    t.end()
+  })
+})
+
+test('executeAndRecord - a failed close keeps the fetch error', function (t) {
+  var operation = fakeOperation([[{ objectid: 1, __geojson__: new Array(1024 * 1024).join('x') }]])
+  operation.close = function () { return Promise.reject(new Error('connection reset')) }
+  var fakeSession = { executeStatement: function () { return Promise.resolve(operation) } }
+  executeAndRecord(fakeSession, 'SELECT big', 'features', 'task-4', function (row) {
+    // Mapped features are measured too: ~100 MB each
+    return { properties: row, copies: new Array(50).fill(row.__geojson__) }
+  }).then(function () {
+    t.fail('should have rejected')
+    t.end()
+  }).catch(function (err) {
+    t.equal(err.code, 400, 'response limit error, not the close error')
+    t.end()
+  })
+})
+
+test('estimateBytes - strings by length, other values fixed', function (t) {
+  t.equal(estimateBytes({ a: 'abcd', b: 1, c: null }), 24, 'two bytes per character plus 8 per value')
+  t.equal(estimateBytes({ type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] }, properties: { day: new Date(0) } }), 48, 'nested features')
+  t.end()
+})
+
 // ============================================================================
 // time filter parity across count/ids/extent (regression)
 // ============================================================================
@@ -695,3 +1116,1065 @@ test('buildWhereClauses - combines all filter types', function (t) {
   t.ok(clauses.some(c => c.includes('position_time BETWEEN')), 'has time')
   t.end()
 })
+
+// ============================================================================
+// spatialRel
+// ============================================================================
+
+test('buildGeometryFilter - defaults to ST_Intersects', function (t) {
+  var filter = buildGeometryFilter('-122,37,-121,38', 'esriGeometryEnvelope', undefined, undefined)
+  t.ok(filter.startsWith('ST_Intersects(ST_GeomFromText(geometry_wkt, 4326), '), 'feature geometry first')
+  t.end()
+})
+
+test('buildGeometryFilter - maps spatialRel to ST predicates', function (t) {
+  var geom = '-122,37,-121,38'
+  var queryGeom = "ST_GeomFromText('POLYGON((-122 37, -121 37, -121 38, -122 38, -122 37))', 4326)"
+  var featureGeom = 'ST_GeomFromText(geometry_wkt, 4326)'
+  t.equal(buildGeometryFilter(geom, null, null, 'esriSpatialRelContains'), 'ST_Contains(' + queryGeom + ', ' + featureGeom + ')', 'contains: query contains feature')
+  t.equal(buildGeometryFilter(geom, null, null, 'esriSpatialRelWithin'), 'ST_Within(' + queryGeom + ', ' + featureGeom + ')', 'within: query within feature')
+  t.equal(buildGeometryFilter(geom, null, null, 'esriSpatialRelTouches'), 'ST_Touches(' + featureGeom + ', ' + queryGeom + ')', 'touches')
+  t.equal(buildGeometryFilter(geom, null, null, 'esriSpatialRelCrosses'), 'ST_Crosses(' + featureGeom + ', ' + queryGeom + ')', 'crosses')
+  t.equal(buildGeometryFilter(geom, null, null, 'esriSpatialRelOverlaps'), 'ST_Overlaps(' + featureGeom + ', ' + queryGeom + ')', 'overlaps')
+  t.equal(
+    buildGeometryFilter(geom, null, null, 'esriSpatialRelEnvelopeIntersects'),
+    'ST_Intersects(ST_Envelope(' + featureGeom + '), ST_Envelope(' + queryGeom + '))',
+    'envelope intersects compares envelopes'
+  )
+  t.end()
+})
+
+test('resolveSpatialRelationship - rejects unsupported relations with a 400', function (t) {
+  try {
+    resolveSpatialRelationship('esriSpatialRelRelation')
+    t.fail('should throw')
+  } catch (err) {
+    t.equal(err.code, 400, 'error code is 400')
+    t.ok(/Unsupported spatialRel: esriSpatialRelRelation/.test(err.message), 'message names the relation')
+  }
+  t.end()
+})
+
+test('buildCountQuery - unsupported spatialRel throws instead of falling back', function (t) {
+  t.throws(function () {
+    buildCountQuery('cat.sch.tbl', { geometry: '-122,37,-121,38', spatialRel: 'esriSpatialRelIndexIntersects' })
+  }, /Unsupported spatialRel/, 'count query rejects unsupported relation')
+  t.end()
+})
+
+// ============================================================================
+// distance / units
+// ============================================================================
+
+test('parseDistance - converts units to meters', function (t) {
+  t.equal(parseDistance('500'), 500, 'defaults to meters')
+  t.equal(parseDistance('5', 'esriSRUnit_Kilometer'), 5000, 'kilometers')
+  t.equal(parseDistance('1', 'esriSRUnit_StatuteMile'), 1609.344, 'statute miles')
+  t.equal(parseDistance('2', 'esriSRUnit_NauticalMile'), 3704, 'nautical miles')
+  t.equal(parseDistance(undefined, 'esriSRUnit_Meter'), null, 'no distance')
+  t.equal(parseDistance('0'), null, 'zero distance is no buffer')
+  t.end()
+})
+
+test('parseDistance - rejects invalid distance and units with a 400', function (t) {
+  try {
+    parseDistance('-5')
+    t.fail('should throw')
+  } catch (err) {
+    t.equal(err.code, 400, 'negative distance is a 400')
+  }
+  try {
+    parseDistance('5', 'esriSRUnit_Furlong')
+    t.fail('should throw')
+  } catch (err) {
+    t.equal(err.code, 400, 'unknown unit is a 400')
+    t.ok(/Unsupported units/.test(err.message), 'message names the problem')
+  }
+  t.end()
+})
+
+test('buildBufferedGeometry - WGS84 buffers geodesically through the local UTM zone', function (t) {
+  var sql = buildBufferedGeometry({ wkt: 'POINT(-122.4 37.8)', srid: 4326 }, 5000)
+  t.equal(sql, "ST_Transform(ST_Buffer(ST_Transform(ST_GeomFromText('POINT(-122.4 37.8)', 4326), 32610), 5000), 4326)", 'UTM zone 10N')
+  var south = buildBufferedGeometry({ wkt: 'POINT(151.2 -33.9)', srid: 4326 }, 1000)
+  t.ok(south.includes('32756'), 'southern hemisphere zone 56S')
+  var utm = buildBufferedGeometry({ wkt: 'POINT(551000 4180000)', srid: 32610 }, 1000)
+  t.equal(utm, "ST_Transform(ST_Buffer(ST_GeomFromText('POINT(551000 4180000)', 32610), 1000), 4326)", 'projected input buffered before transform')
+  t.end()
+})
+
+// Query builders of the model module loaded with the data in another
+// spatial reference (SPATIAL_REFERENCE is read when the module loads)
+function internalsWithSpatialReference (srid) {
+  var modelPath = require.resolve('../src/model')
+  var loaded = require.cache[modelPath]
+  delete require.cache[modelPath]
+  process.env.SPATIAL_REFERENCE = String(srid)
+  try {
+    return require('../src/model')._internals
+  } finally {
+    delete process.env.SPATIAL_REFERENCE
+    require.cache[modelPath] = loaded
+  }
+}
+
+test('buildBufferedGeometry - projected data with a geographic query geometry', function (t) {
+  var british = internalsWithSpatialReference(27700)
+  var sql = british.buildBufferedGeometry({ wkt: 'POINT(-0.12 51.5)', srid: 4326 }, 5000)
+  t.equal(sql, "ST_Transform(ST_Buffer(ST_Transform(ST_GeomFromText('POINT(-0.12 51.5)', 4326), 32630), 5000), 27700)", 'buffered in UTM, not in degrees')
+  var local = british.buildBufferedGeometry({ wkt: 'POINT(530000 180000)', srid: 27700 }, 5000)
+  t.equal(local, "ST_Buffer(ST_GeomFromText('POINT(530000 180000)', 27700), 5000)", 'data spatial reference buffered directly')
+
+  var clauses = british.buildWhereClauses({ geometry: '{"x":-0.12,"y":51.5,"spatialReference":{"wkid":4326}}', distance: '5000', spatialRel: 'esriSpatialRelContains' })
+  t.ok(clauses[0].includes('32630), 5000), 27700)'), 'non-intersects relations buffer through UTM')
+  clauses = british.buildWhereClauses({ geometry: '{"x":-0.12,"y":51.5,"spatialReference":{"wkid":4326}}', distance: '5000' })
+  t.ok(clauses[0].startsWith('ST_DWithin(ST_GeomFromText(geometry_wkt, 27700), ST_Transform('), 'intersects uses ST_DWithin on meter-based data')
+  t.end()
+})
+
+test('buildBufferedGeometry - geographic data other than WGS84', function (t) {
+  var nad83 = internalsWithSpatialReference(4269)
+  var sql = nad83.buildBufferedGeometry({ wkt: 'POINT(-77.04 38.9)', srid: 4269 }, 1000)
+  t.equal(sql, "ST_Transform(ST_Buffer(ST_Transform(ST_GeomFromText('POINT(-77.04 38.9)', 4269), 32618), 1000), 4269)", 'UTM round-trip')
+
+  var clauses = nad83.buildWhereClauses({ geometry: '-77.04,38.9', geometryType: 'esriGeometryPoint', distance: '1', units: 'esriSRUnit_Kilometer' })
+  t.notOk(clauses[0].includes('ST_DWithin'), 'no ST_DWithin in degrees')
+  t.ok(clauses[0].startsWith('ST_Intersects(ST_GeomFromText(geometry_wkt, 4269), ST_Transform(ST_Buffer('), 'intersects the buffered geometry')
+  t.end()
+})
+
+test('buildBufferedGeometry - Web Mercator data buffers through UTM', function (t) {
+  var mercator = internalsWithSpatialReference(3857)
+  var sql = mercator.buildBufferedGeometry({ wkt: 'POINT(-13627640 4547675)', srid: 3857 }, 5000)
+  t.equal(sql, "ST_Transform(ST_Buffer(ST_Transform(ST_GeomFromText('POINT(-13627640 4547675)', 3857), 32610), 5000), 3857)", 'zone from the centre in WGS84')
+
+  var clauses = mercator.buildWhereClauses({ geometry: '{"x":-13627640,"y":4547675,"spatialReference":{"wkid":102100}}', distance: '5000' })
+  t.notOk(clauses[0].includes('ST_DWithin'), 'no ST_DWithin in stretched meters')
+  t.ok(clauses[0].includes('32610), 5000), 3857)'), 'intersects the UTM buffer')
+  t.end()
+})
+
+test('buildBufferedGeometry - feet-based data buffers through UTM', function (t) {
+  var statePlane = internalsWithSpatialReference(2227)
+  var sql = statePlane.buildBufferedGeometry({ wkt: 'POINT(-122.4 37.8)', srid: 4326 }, 1000)
+  t.equal(sql, "ST_Transform(ST_Buffer(ST_Transform(ST_GeomFromText('POINT(-122.4 37.8)', 4326), 32610), 1000), 2227)", 'geographic query geometry')
+
+  var local = statePlane.buildBufferedGeometry({ wkt: 'POINT(6010000 2110000)', srid: 2227 }, 1000)
+  t.ok(local.startsWith("ST_Transform(ST_Buffer(ST_Transform(ST_GeomFromText('POINT(6010000 2110000)', 2227), (CASE WHEN ST_Y(ST_Centroid(ST_Transform("), 'zone picked in SQL')
+  t.ok(local.endsWith(', 1000), 2227)'), 'buffered in meters, returned in feet')
+
+  var clauses = statePlane.buildWhereClauses({ geometry: '{"x":6010000,"y":2110000,"spatialReference":{"wkid":2227}}', distance: '1000' })
+  t.notOk(clauses[0].includes('ST_DWithin'), 'no ST_DWithin in feet')
+  t.end()
+})
+
+test('buildWhereClauses - distance buffers the geometry filter', function (t) {
+  var clauses = buildWhereClauses({ geometry: '-122.4,37.8', geometryType: 'esriGeometryPoint', distance: '5', units: 'esriSRUnit_Kilometer' })
+  t.equal(clauses.length, 1, 'one spatial clause')
+  t.ok(clauses[0].startsWith('ST_Intersects(ST_GeomFromText(geometry_wkt, 4326), ST_Transform(ST_Buffer('), 'intersects against buffered geometry')
+  t.ok(clauses[0].includes(', 5000), 4326)'), 'buffer distance in meters')
+  t.end()
+})
+
+test('buildWhereClauses - distance composes with spatialRel', function (t) {
+  var clauses = buildWhereClauses({ geometry: '-122.4,37.8', distance: '100', spatialRel: 'esriSpatialRelContains' })
+  t.ok(clauses[0].startsWith('ST_Contains(ST_Transform(ST_Buffer('), 'buffered query geometry contains feature')
+  t.end()
+})
+
+test('distance filter applies to count, ids and extent queries', function (t) {
+  var query = { geometry: '-122.4,37.8', distance: '5', units: 'esriSRUnit_Kilometer' }
+  t.ok(buildCountQuery('cat.sch.tbl', query).includes('ST_Buffer('), 'count query')
+  t.ok(buildIdsQuery('cat.sch.tbl', query).includes('ST_Buffer('), 'ids query')
+  t.ok(buildExtentQuery('cat.sch.tbl', query).includes('ST_Buffer('), 'extent query')
+  t.ok(buildQuery('cat.sch.tbl', query, 'test-id').includes('ST_Buffer('), 'feature query')
+  t.end()
+})
+
+// ============================================================================
+// outSR (server-side reprojection)
+// ============================================================================
+
+test('parseOutSR - accepts wkids, JSON and objects', function (t) {
+  t.deepEqual(parseOutSR('102100'), { wkid: 102100, srid: 3857 }, 'Esri Web Mercator alias')
+  t.deepEqual(parseOutSR('{"wkid":3857}'), { wkid: 3857, srid: 3857 }, 'JSON string')
+  t.deepEqual(parseOutSR({ wkid: 102100, latestWkid: 3857 }), { wkid: 102100, srid: 3857 }, 'pre-parsed object')
+  t.deepEqual(parseOutSR('32610'), { wkid: 32610, srid: 32610 }, 'any EPSG code')
+  t.end()
+})
+
+test('parseOutSR - returns null when no reprojection is needed', function (t) {
+  t.equal(parseOutSR(undefined), null, 'missing')
+  t.equal(parseOutSR('4326'), null, 'same as data spatial reference')
+  t.equal(parseOutSR({ wkid: 4326 }), null, 'same as data spatial reference (object)')
+  t.equal(parseOutSR('PROJCS["foo"]'), null, 'WKT left to Koop')
+  t.end()
+})
+
+test('buildSelectClause - outSR wraps geometry in ST_Transform', function (t) {
+  var result = buildSelectClause('*', true, { wkid: 102100, srid: 3857 })
+  t.equal(result, '*, ST_AsGeoJSON(ST_Transform(ST_GeomFromText(geometry_wkt, 4326), 3857)) as __geojson__', 'transformed geometry')
+  t.end()
+})
+
+test('buildQuery - outSR is pushed into the SELECT list', function (t) {
+  var sql = buildQuery('cat.sch.tbl', { outSR: '102100' }, 'test-id')
+  t.ok(sql.includes('ST_AsGeoJSON(ST_Transform(ST_GeomFromText(geometry_wkt, 4326), 3857))'), 'reprojects in SQL')
+  var same = buildQuery('cat.sch.tbl', { outSR: '4326' }, 'test-id')
+  t.notOk(same.includes('ST_Transform'), 'no transform when outSR matches the data')
+  t.end()
+})
+
+test('buildExtentQuery - outSR reprojects the extent', function (t) {
+  var sql = buildExtentQuery('cat.sch.tbl', { outSR: '3857' })
+  t.ok(sql.includes('ST_Envelope(ST_Transform(ST_GeomFromText(geometry_wkt, 4326), 3857))'), 'envelope of transformed geometry')
+  t.end()
+})
+
+test('calculateExtent - reports the output wkid', function (t) {
+  var extent = calculateExtent([{ geometry: { type: 'Point', coordinates: [0, 0] } }], 102100)
+  t.deepEqual(extent.spatialReference, { wkid: 102100 }, 'uses given wkid')
+  t.end()
+})
+
+// ============================================================================
+// maxAllowableOffset / geometryPrecision (generalization)
+// ============================================================================
+
+test('parseMaxAllowableOffset - parses tolerances', function (t) {
+  t.equal(parseMaxAllowableOffset(undefined), null, 'missing')
+  t.equal(parseMaxAllowableOffset(''), null, 'empty')
+  t.equal(parseMaxAllowableOffset('0'), null, 'zero disables simplification')
+  t.equal(parseMaxAllowableOffset('0.0005'), 0.0005, 'decimal')
+  t.throws(function () { parseMaxAllowableOffset('-1') }, /Invalid maxAllowableOffset/, 'negative rejected')
+  t.throws(function () { parseMaxAllowableOffset('1; DROP TABLE x') }, /Invalid maxAllowableOffset/, 'non-numeric rejected')
+  t.end()
+})
+
+test('parseGeometryPrecision - parses decimal places', function (t) {
+  t.equal(parseGeometryPrecision(undefined), null, 'missing')
+  t.equal(parseGeometryPrecision('0'), 0, 'zero decimals')
+  t.equal(parseGeometryPrecision('6'), 6, 'six decimals')
+  t.throws(function () { parseGeometryPrecision('2.5') }, /Invalid geometryPrecision/, 'fraction rejected')
+  t.throws(function () { parseGeometryPrecision('18') }, /Invalid geometryPrecision/, 'too many decimals rejected')
+  t.end()
+})
+
+test('buildSelectClause - maxAllowableOffset wraps geometry in ST_Simplify', function (t) {
+  var result = buildSelectClause('*', true, null, 0.001)
+  t.equal(result, '*, ST_AsGeoJSON(ST_Simplify(ST_GeomFromText(geometry_wkt, 4326), 0.001)) as __geojson__', 'simplified geometry')
+  var projected = buildSelectClause('*', true, { wkid: 102100, srid: 3857 }, 10)
+  t.ok(projected.includes('ST_Simplify(ST_Transform(ST_GeomFromText(geometry_wkt, 4326), 3857), 10)'), 'simplifies after reprojecting (offset in outSR units)')
+  t.end()
+})
+
+test('buildQuery - maxAllowableOffset is pushed into the SELECT list', function (t) {
+  var sql = buildQuery('cat.sch.tbl', { maxAllowableOffset: '0.01' }, 'test-id')
+  t.ok(sql.includes('ST_AsGeoJSON(ST_Simplify(ST_GeomFromText(geometry_wkt, 4326), 0.01))'), 'simplifies in SQL')
+  t.throws(function () { buildQuery('cat.sch.tbl', { maxAllowableOffset: 'abc' }, 'test-id') }, /Invalid maxAllowableOffset/, 'invalid offset rejected')
+  t.end()
+})
+
+test('translateWithSTFunctions - rounds coordinates to geometryPrecision', function (t) {
+  var rows = [{ objectid: 1, __geojson__: '{"type":"LineString","coordinates":[[-122.123456,37.987654],[-122.5,37.55555]]}' }]
+  var result = translateWithSTFunctions(rows, { geometryPrecision: '2' })
+  t.deepEqual(result.features[0].geometry.coordinates, [[-122.12, 37.99], [-122.5, 37.56]], 'rounded to 2 decimals')
+  var full = translateWithSTFunctions(rows, {})
+  t.deepEqual(full.features[0].geometry.coordinates[0], [-122.123456, 37.987654], 'full precision by default')
+  t.end()
+})
+
+// ============================================================================
+// quantizationParameters / resultType=tile
+// ============================================================================
+
+var QUANTIZATION = JSON.stringify({
+  mode: 'view',
+  originPosition: 'upperLeft',
+  tolerance: 10,
+  extent: { xmin: 0, ymin: 0, xmax: 1000, ymax: 1000, spatialReference: { wkid: 102100 } }
+})
+
+test('parseQuantizationParameters - parses JSON and objects', function (t) {
+  var parsed = parseQuantizationParameters(QUANTIZATION, { wkid: 102100, srid: 3857 })
+  t.deepEqual(parsed, {
+    extent: { xmin: 0, ymin: 0, xmax: 1000, ymax: 1000 },
+    tolerance: 10,
+    originPosition: 'upperLeft',
+    mode: 'view',
+    srid: 3857
+  }, 'parsed in the output spatial reference')
+  var defaults = parseQuantizationParameters({ tolerance: 0.1, extent: { xmin: 0, ymin: 0, xmax: 1, ymax: 1 } })
+  t.equal(defaults.originPosition, 'upperLeft', 'default originPosition')
+  t.equal(defaults.mode, 'view', 'default mode')
+  t.equal(defaults.srid, 4326, 'extent defaults to the data spatial reference')
+  t.equal(parseQuantizationParameters(undefined), null, 'missing')
+  t.end()
+})
+
+test('parseQuantizationParameters - rejects invalid parameters with a 400', function (t) {
+  var codeOf = function (value, outSR) {
+    try {
+      parseQuantizationParameters(value, outSR)
+    } catch (error) {
+      return error.code
+    }
+  }
+  t.equal(codeOf('{not json'), 400, 'invalid JSON')
+  t.equal(codeOf({ tolerance: 1 }), 400, 'missing extent')
+  t.equal(codeOf({ tolerance: 0, extent: { xmin: 0, ymin: 0, xmax: 1, ymax: 1 } }), 400, 'non-positive tolerance')
+  t.equal(codeOf({ tolerance: 1, originPosition: 'center', extent: { xmin: 0, ymin: 0, xmax: 1, ymax: 1 } }), 400, 'unknown originPosition')
+  t.equal(codeOf(QUANTIZATION), 400, 'extent spatial reference differs from the output')
+  t.end()
+})
+
+test('parseResultRecordCount - tile queries use the tile record limit', function (t) {
+  t.equal(parseResultRecordCount(undefined, 'tile'), 8000, 'defaults to the tile limit')
+  t.equal(parseResultRecordCount('9000', 'tile'), 8000, 'clamped to the tile limit')
+  t.equal(parseResultRecordCount('2000', 'tile'), 2000, 'smaller counts pass through')
+  t.end()
+})
+
+test('buildQuery - tile queries are clipped, generalized and limited', function (t) {
+  var sql = buildQuery('cat.sch.tbl', { outSR: '102100', quantizationParameters: QUANTIZATION, resultType: 'tile' }, 'test-id')
+  t.ok(sql.includes("ST_Simplify(ST_Intersection(ST_Transform(ST_GeomFromText(geometry_wkt, 4326), 3857), ST_GeomFromText('POLYGON((0 0, 1000 0, 1000 1000, 0 1000, 0 0))', 3857)), 10)"), 'clipped to the tile, simplified to the tolerance')
+  t.ok(sql.endsWith('LIMIT 8001'), 'tile record limit, plus one row to detect more')
+  t.end()
+})
+
+test('buildQuery - non-tile quantized queries are not clipped', function (t) {
+  var sql = buildQuery('cat.sch.tbl', { outSR: '102100', quantizationParameters: QUANTIZATION, maxAllowableOffset: '5' }, 'test-id')
+  t.notOk(sql.includes('ST_Intersection'), 'not clipped')
+  t.ok(sql.includes('ST_Simplify(ST_Transform(ST_GeomFromText(geometry_wkt, 4326), 3857), 5)'), 'maxAllowableOffset takes precedence over the tolerance')
+  t.end()
+})
+
+// ============================================================================
+// outStatistics (aggregate pushdown)
+// ============================================================================
+
+test('parseOutStatistics - parses and validates statistic definitions', function (t) {
+  var parsed = parseOutStatistics('[{"statisticType":"AVG","onStatisticField":"height","outStatisticFieldName":"avg_height"},{"statisticType":"count","onStatisticField":"*"}]')
+  t.deepEqual(parsed, [
+    { statisticType: 'avg', onStatisticField: 'height', outStatisticFieldName: 'avg_height' },
+    { statisticType: 'count', onStatisticField: '*', outStatisticFieldName: 'count_all' }
+  ], 'normalized definitions with default output names')
+  t.deepEqual(parseOutStatistics([{ statisticType: 'sum', onStatisticField: 'pop' }])[0].outStatisticFieldName, 'sum_pop', 'accepts parsed arrays')
+  t.end()
+})
+
+test('parseOutStatistics - rejects invalid definitions with a 400', function (t) {
+  var codeOf = function (value) {
+    try {
+      parseOutStatistics(value)
+    } catch (error) {
+      return error.code
+    }
+  }
+  t.equal(codeOf('not json'), 400, 'invalid JSON')
+  t.equal(codeOf('[]'), 400, 'empty array')
+  t.equal(codeOf('[{"statisticType":"median","onStatisticField":"x"}]'), 400, 'unknown statisticType')
+  t.equal(codeOf('[{"statisticType":"sum","onStatisticField":"x); DROP TABLE t; --"}]'), 400, 'field injection')
+  t.equal(codeOf('[{"statisticType":"sum","onStatisticField":"*"}]'), 400, '* only allowed for count')
+  t.equal(codeOf('[{"statisticType":"sum","onStatisticField":"x","outStatisticFieldName":"a b"}]'), 400, 'invalid output name')
+  t.end()
+})
+
+test('buildStatisticsQuery - ungrouped aggregates', function (t) {
+  var sql = buildStatisticsQuery('cat.sch.tbl', {
+    outStatistics: '[{"statisticType":"count","onStatisticField":"objectid","outStatisticFieldName":"n"},{"statisticType":"stddev","onStatisticField":"height","outStatisticFieldName":"sd"},{"statisticType":"var","onStatisticField":"height","outStatisticFieldName":"v"}]',
+    where: "state = 'CA'"
+  })
+  t.equal(sql, "SELECT COUNT(objectid) as n, STDDEV_SAMP(height) as sd, VAR_SAMP(height) as v FROM cat.sch.tbl WHERE (state = 'CA')", 'single row over the filtered table')
+  t.end()
+})
+
+test('buildStatisticsQuery - grouped with having, orderByFields and paging', function (t) {
+  var sql = buildStatisticsQuery('cat.sch.tbl', {
+    outStatistics: '[{"statisticType":"sum","onStatisticField":"pop","outStatisticFieldName":"total"}]',
+    groupByFieldsForStatistics: 'state,county',
+    having: 'SUM(pop) > 1000',
+    orderByFields: 'total DESC',
+    resultOffset: '10',
+    resultRecordCount: '5'
+  })
+  t.equal(sql, 'SELECT state, county, SUM(pop) as total FROM cat.sch.tbl GROUP BY state, county HAVING SUM(pop) > 1000 ORDER BY total DESC LIMIT 5 OFFSET 10', 'grouped statistics')
+  t.end()
+})
+
+test('buildStatisticsQuery - groups ordered by the group fields by default', function (t) {
+  var sql = buildStatisticsQuery('cat.sch.tbl', {
+    outStatistics: '[{"statisticType":"max","onStatisticField":"height"}]',
+    groupByFieldsForStatistics: 'carrier'
+  })
+  t.ok(sql.endsWith('GROUP BY carrier ORDER BY carrier LIMIT 10000'), 'deterministic group order, capped at maxRows')
+  t.end()
+})
+
+test('buildStatisticsQuery - applies spatial filters and rejects unsafe input', function (t) {
+  var sql = buildStatisticsQuery('cat.sch.tbl', {
+    outStatistics: '[{"statisticType":"count","onStatisticField":"objectid"}]',
+    geometry: '-10,-10,10,10'
+  })
+  t.ok(sql.includes('ST_Intersects'), 'same filters as the feature query')
+  t.throws(function () {
+    buildStatisticsQuery('cat.sch.tbl', { outStatistics: '[{"statisticType":"count","onStatisticField":"x"}]', groupByFieldsForStatistics: 'a;b' })
+  }, /Invalid groupByFieldsForStatistics/, 'group by injection')
+  t.throws(function () {
+    buildStatisticsQuery('cat.sch.tbl', { outStatistics: '[{"statisticType":"count","onStatisticField":"x"}]', having: '1=1; DROP TABLE t' })
+  }, /Invalid having clause/, 'having injection')
+  t.end()
+})
+
+// ============================================================================
+// Percentile statistics
+// ============================================================================
+
+test('parseOutStatistics - percentiles require statisticParameters.value', function (t) {
+  var parsed = parseOutStatistics('[{"statisticType":"percentile_cont","onStatisticField":"height","outStatisticFieldName":"median","statisticParameters":{"value":0.5}}]')
+  t.deepEqual(parsed[0].statisticParameters, { value: 0.5, orderBy: 'ASC' }, 'defaults to ascending order')
+  t.throws(function () {
+    parseOutStatistics('[{"statisticType":"percentile_disc","onStatisticField":"height"}]')
+  }, /requires statisticParameters.value/, 'missing value')
+  t.throws(function () {
+    parseOutStatistics('[{"statisticType":"percentile_cont","onStatisticField":"height","statisticParameters":{"value":1.5}}]')
+  }, /requires statisticParameters.value/, 'value out of range')
+  t.throws(function () {
+    parseOutStatistics('[{"statisticType":"percentile_cont","onStatisticField":"height","statisticParameters":{"value":0.5,"orderBy":"RANDOM"}}]')
+  }, /invalid statisticParameters.orderBy/, 'invalid orderBy')
+  t.end()
+})
+
+test('buildStatisticsQuery - exact percentiles', function (t) {
+  var sql = buildStatisticsQuery('cat.sch.tbl', {
+    outStatistics: JSON.stringify([
+      { statisticType: 'percentile_cont', onStatisticField: 'height', outStatisticFieldName: 'median', statisticParameters: { value: 0.5 } },
+      { statisticType: 'percentile_disc', onStatisticField: 'height', outStatisticFieldName: 'q1', statisticParameters: { value: 0.25, orderBy: 'DESC' } }
+    ])
+  })
+  t.equal(sql, 'SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY height) as median, percentile_disc(0.25) WITHIN GROUP (ORDER BY height DESC) as q1 FROM cat.sch.tbl', 'percentile_cont and percentile_disc')
+  t.end()
+})
+
+test('buildStatisticsQuery - approximate percentiles for layers marked approximateStatistics', function (t) {
+  config.layers['cat.sch.big'] = { approximateStatistics: true }
+  var sql = buildStatisticsQuery('cat.sch.big', {
+    outStatistics: JSON.stringify([
+      { statisticType: 'percentile_cont', onStatisticField: 'height', outStatisticFieldName: 'median', statisticParameters: { value: 0.5 } },
+      { statisticType: 'percentile_disc', onStatisticField: 'height', outStatisticFieldName: 'p90', statisticParameters: { value: 0.1, orderBy: 'DESC' } }
+    ])
+  })
+  delete config.layers['cat.sch.big']
+  t.equal(sql, 'SELECT percentile_approx(height, 0.5) as median, percentile_approx(height, 0.9) as p90 FROM cat.sch.big', 'percentile_approx, descending order inverted')
+  t.end()
+})
+
+// ============================================================================
+// Spatial aggregate statistics
+// ============================================================================
+
+test('parseOutStatistics - spatial aggregates', function (t) {
+  var parsed = parseOutStatistics('[{"statisticType":"envelopeaggregate","onStatisticField":"Shape"}]')
+  t.equal(parsed[0].statisticType, 'EnvelopeAggregate', 'case-insensitive, normalized to the Esri name')
+  t.equal(parsed[0].outStatisticFieldName, 'EnvelopeAggregate', 'default output name')
+  t.throws(function () {
+    parseOutStatistics('[{"statisticType":"EnvelopeAggregate"},{"statisticType":"CentroidAggregate"}]')
+  }, /only one spatial aggregate/, 'one spatial aggregate per query')
+  t.end()
+})
+
+test('buildStatisticsQuery - envelope aggregate follows the extent query pattern', function (t) {
+  var sql = buildStatisticsQuery('cat.sch.tbl', {
+    outStatistics: '[{"statisticType":"EnvelopeAggregate","onStatisticField":"Shape"},{"statisticType":"count","onStatisticField":"objectid","outStatisticFieldName":"towers"}]',
+    groupByFieldsForStatistics: 'carrier',
+    outSR: '102100'
+  })
+  var geom = 'ST_Transform(ST_GeomFromText(geometry_wkt, 4326), 3857)'
+  t.equal(sql, 'SELECT carrier, ' +
+    'MIN(ST_XMin(ST_Envelope(' + geom + '))) as __xmin__, MIN(ST_YMin(ST_Envelope(' + geom + '))) as __ymin__, ' +
+    'MAX(ST_XMax(ST_Envelope(' + geom + '))) as __xmax__, MAX(ST_YMax(ST_Envelope(' + geom + '))) as __ymax__, ' +
+    'COUNT(objectid) as towers FROM cat.sch.tbl GROUP BY carrier ORDER BY carrier LIMIT 10000', 'grouped envelope in the output spatial reference')
+  t.end()
+})
+
+test('buildStatisticsQuery - centroid and convex hull aggregates', function (t) {
+  var centroid = buildStatisticsQuery('cat.sch.tbl', { outStatistics: '[{"statisticType":"CentroidAggregate"}]' })
+  t.equal(centroid, 'SELECT ST_AsGeoJSON(ST_Centroid(ST_Union_Agg(ST_GeomFromText(geometry_wkt, 4326)))) as __geojson__ FROM cat.sch.tbl', 'centroid of the union, not a mean of feature centroids')
+  var hull = buildStatisticsQuery('cat.sch.tbl', { outStatistics: '[{"statisticType":"ConvexHullAggregate"}]' })
+  t.equal(hull, 'SELECT ST_AsGeoJSON(ST_ConvexHull(ST_Union_Agg(ST_GeomFromText(geometry_wkt, 4326)))) as __geojson__ FROM cat.sch.tbl', 'hull of the union')
+  t.end()
+})
+
+test('translateSpatialStatistics - builds geometries from the reserved columns', function (t) {
+  var envelope = translateSpatialStatistics([{ carrier: 'A', __xmin__: 1, __ymin__: 2, __xmax__: 3, __ymax__: 4 }], 'EnvelopeAggregate')
+  t.deepEqual(envelope[0].properties, { carrier: 'A' }, 'reserved columns removed')
+  t.deepEqual(envelope[0].geometry.coordinates[0], [[1, 2], [3, 2], [3, 4], [1, 4], [1, 2]], 'envelope polygon')
+  var centroid = translateSpatialStatistics([{ __geojson__: '{"type":"Point","coordinates":[5,6]}' }], 'CentroidAggregate')
+  t.deepEqual(centroid[0].geometry, { type: 'Point', coordinates: [5, 6] }, 'centroid point')
+  var hull = translateSpatialStatistics([{ __geojson__: '{"type":"Polygon","coordinates":[[[0,0],[1,0],[0,1],[0,0]]]}' }], 'ConvexHullAggregate')
+  t.equal(hull[0].geometry.type, 'Polygon', 'hull polygon')
+  var empty = translateSpatialStatistics([{ __xmin__: null, __ymin__: null, __xmax__: null, __ymax__: null }], 'EnvelopeAggregate')
+  t.equal(empty[0].geometry, null, 'no geometries to aggregate')
+  t.end()
+})
+
+test('buildSpatialStatisticsCollection - Esri features with statistics fields', function (t) {
+  var statistics = parseOutStatistics('[{"statisticType":"CentroidAggregate"},{"statisticType":"count","onStatisticField":"objectid","outStatisticFieldName":"n"}]')
+  var metadata = { idField: 'objectid', name: 'cat.sch.tbl', fields: [{ name: 'carrier', type: 'String' }, { name: 'height', type: 'Double' }] }
+  var collection = buildSpatialStatisticsCollection([{ carrier: 'A', n: 2, __geojson__: '{"type":"Point","coordinates":[1,2]}' }], statistics, { groupByFieldsForStatistics: 'carrier' }, metadata)
+  t.deepEqual(collection.features, [{ attributes: { carrier: 'A', n: 2 }, geometry: { x: 1, y: 2 } }], 'Esri JSON features')
+  t.equal(collection.metadata.geometryType, 'esriGeometryPoint', 'geometry type')
+  t.deepEqual(collection.metadata.fields.map(function (f) { return f.name }), ['carrier', 'n'], 'group by and statistic fields')
+  t.ok(collection.filtersApplied.all, 'rendered as-is by Koop')
+  var geojson = buildSpatialStatisticsCollection([{ carrier: 'A', n: 2, __geojson__: '{"type":"Point","coordinates":[1,2]}' }], statistics, { f: 'geojson', groupByFieldsForStatistics: 'carrier' }, metadata)
+  t.equal(geojson.features[0].type, 'Feature', 'GeoJSON features for f=geojson')
+  t.end()
+})
+
+// ============================================================================
+// returnDistinctValues
+// ============================================================================
+
+test('parseDistinctFields - validated outFields', function (t) {
+  t.equal(parseDistinctFields({ outFields: 'a' }), null, 'not requested')
+  t.equal(parseDistinctFields({ returnDistinctValues: 'false', outFields: 'a' }), null, 'explicitly off')
+  t.deepEqual(parseDistinctFields({ returnDistinctValues: 'true', outFields: 'infra_category, carrier' }), ['infra_category', 'carrier'], 'field list')
+  t.deepEqual(parseDistinctFields({ returnDistinctValues: true, outFields: 'carrier' }), ['carrier'], 'parsed boolean')
+  t.throws(function () {
+    parseDistinctFields({ returnDistinctValues: 'true', outFields: '*' })
+  }, /requires outFields/, 'outFields must be listed')
+  t.throws(function () {
+    parseDistinctFields({ returnDistinctValues: 'true', outFields: 'a; DROP TABLE x' })
+  }, /Invalid outFields/, 'rejects injection')
+  t.end()
+})
+
+test('buildQuery - returnDistinctValues selects distinct attributes', function (t) {
+  var sql = buildQuery('cat.sch.tbl', { returnDistinctValues: 'true', returnGeometry: 'false', outFields: 'infra_category', where: "state = 'CA'" })
+  t.equal(sql, "SELECT DISTINCT infra_category FROM cat.sch.tbl WHERE (state = 'CA') ORDER BY infra_category LIMIT 10001", 'ordered by the distinct fields')
+  var withGeometry = buildQuery('cat.sch.tbl', { returnDistinctValues: 'true', outFields: 'infra_category', orderByFields: 'infra_category DESC' })
+  t.notOk(withGeometry.includes('__geojson__'), 'never selects geometry')
+  t.ok(withGeometry.includes('ORDER BY infra_category DESC'), 'orderByFields respected')
+  t.end()
+})
+
+test('buildCountQuery - counts distinct values', function (t) {
+  var sql = buildCountQuery('cat.sch.tbl', { returnDistinctValues: 'true', returnCountOnly: 'true', outFields: 'infra_category', where: 'height > 10' })
+  t.equal(sql, 'SELECT COUNT(*) as cnt FROM (SELECT DISTINCT infra_category FROM cat.sch.tbl WHERE (height > 10)) distinct_values', 'count over the distinct subquery')
+  t.end()
+})
+
+// ============================================================================
+// objectIds
+// ============================================================================
+
+test('parseObjectIds - numeric list', function (t) {
+  t.equal(parseObjectIds(undefined), null, 'not given')
+  t.equal(parseObjectIds(''), null, 'empty')
+  t.deepEqual(parseObjectIds('1, 2,3'), [1, 2, 3], 'comma-separated')
+  t.deepEqual(parseObjectIds([5, '6']), [5, 6], 'array')
+  t.deepEqual(parseObjectIds(7), [7], 'single number')
+  t.deepEqual(parseObjectIds('2,2,1'), [2, 1], 'duplicates removed')
+  t.deepEqual(parseObjectIds('9007199254740993, 9007199254740991, 9007199254740993, 007'), ['9007199254740993', 9007199254740991, 7], 'ids beyond 2^53 keep their digits')
+  t.throws(function () {
+    parseObjectIds('1,2) OR (1=1')
+  }, /Invalid objectIds/, 'rejects non-numeric ids')
+  t.throws(function () {
+    parseObjectIds('1.5')
+  }, /Invalid objectIds/, 'rejects decimals')
+  t.end()
+})
+
+test('buildWhereClauses - objectIds beyond 2^53 select the exact ids', function (t) {
+  t.deepEqual(buildWhereClauses({ objectIds: '9007199254740993' }), ['objectid IN (9007199254740993)'], 'not rounded to 9007199254740992')
+  t.deepEqual(buildWhereClauses({ objectIds: '-9007199254740993,1' }), ['objectid IN (-9007199254740993, 1)'], 'negative ids')
+  t.end()
+})
+
+test('buildObjectIdsFilter - chunks long lists', function (t) {
+  t.equal(buildObjectIdsFilter([1, 2]), 'objectid IN (1, 2)', 'single IN list')
+  var ids = []
+  for (var i = 1; i <= 2500; i++) ids.push(i)
+  var filter = buildObjectIdsFilter(ids)
+  t.equal(filter.match(/objectid IN \(/g).length, 3, 'three chunks of at most 1000')
+  t.ok(filter.startsWith('(objectid IN (1, 2,') && filter.endsWith(', 2500))'), 'OR\'ed and parenthesized')
+  t.end()
+})
+
+test('buildWhereClauses - objectIds apply to every query kind', function (t) {
+  var query = { objectIds: '3,1', where: "status = 'active'" }
+  t.equal(buildQuery('cat.sch.tbl', Object.assign({ returnGeometry: 'false' }, query)), "SELECT * FROM cat.sch.tbl WHERE (status = 'active') AND objectid IN (3, 1) ORDER BY objectid LIMIT 10001", 'features')
+  t.ok(buildCountQuery('cat.sch.tbl', query).includes('objectid IN (3, 1)'), 'count')
+  t.ok(buildIdsQuery('cat.sch.tbl', query).includes('objectid IN (3, 1)'), 'ids')
+  t.ok(buildExtentQuery('cat.sch.tbl', query).includes('objectid IN (3, 1)'), 'extent')
+  t.ok(buildStatisticsQuery('cat.sch.tbl', Object.assign({ outStatistics: '[{"statisticType":"count","onStatisticField":"objectid"}]' }, query)).includes('objectid IN (3, 1)'), 'statistics')
+  t.end()
+})
+
+// ============================================================================
+// Keyset pagination
+// ============================================================================
+
+test('getCursorKey - only for pages in objectid order', function (t) {
+  t.equal(getCursorKey('cat.sch.tbl', {}, ['(a > 1)', 'objectid IN (1, 2)']), 'cat.sch.tbl|(a > 1) AND objectid IN (1, 2)', 'keyed by table and filters')
+  t.equal(getCursorKey('cat.sch.tbl', { orderByFields: 'name' }, []), null, 'custom order uses OFFSET')
+  t.equal(getCursorKey('cat.sch.tbl', { returnDistinctValues: 'true', outFields: 'name' }, []), null, 'distinct values use OFFSET')
+  t.end()
+})
+
+test('buildQuery - seeks past the previous page when its last id is known', function (t) {
+  var query = { where: 'height > 10', returnGeometry: 'false', resultRecordCount: '100' }
+  recordPageCursor('cat.sch.tbl', query, 2, 9)
+  recordCursor('cat.sch.tbl|(height > 10)', 200, 512)
+
+  t.equal(buildQuery('cat.sch.tbl', Object.assign({}, query, { resultOffset: '200' })),
+    'SELECT * FROM cat.sch.tbl WHERE (height > 10) AND objectid > 512 ORDER BY objectid LIMIT 101', 'seek instead of OFFSET')
+  t.equal(buildQuery('cat.sch.tbl', Object.assign({}, query, { resultOffset: '2' })),
+    'SELECT * FROM cat.sch.tbl WHERE (height > 10) AND objectid > 9 ORDER BY objectid LIMIT 101', 'cursor recorded from the first page')
+  t.ok(buildQuery('cat.sch.tbl', Object.assign({}, query, { resultOffset: '300' })).endsWith('LIMIT 101 OFFSET 300'), 'unknown offsets fall back to OFFSET')
+  t.ok(buildQuery('cat.sch.tbl', Object.assign({}, query, { resultOffset: '200', where: 'height > 20' })).includes('OFFSET 200'), 'cursors are per filter')
+  t.ok(buildQuery('cat.sch.tbl', Object.assign({}, query, { resultOffset: '200', orderByFields: 'height' })).endsWith('ORDER BY height LIMIT 101 OFFSET 200'), 'custom order uses OFFSET')
+  t.equal(buildIdsQuery('cat.sch.tbl', Object.assign({}, query, { resultOffset: '200' })),
+    'SELECT objectid FROM cat.sch.tbl WHERE (height > 10) AND objectid > 512 ORDER BY objectid LIMIT 100', 'IDs queries seek too')
+
+  cursorCache.clear()
+  t.end()
+})
+
+test('recordCursor - ignores non-numeric ids', function (t) {
+  recordCursor('cat.sch.tbl|', 10, '1; DROP TABLE x')
+  recordPageCursor('cat.sch.tbl', { outFields: 'name' }, 1, undefined)
+  t.equal(cursorCache.size, 0, 'nothing cached')
+  t.end()
+})
+
+test('recordPageCursor - ids beyond 2^53 use OFFSET', function (t) {
+  var query = { returnGeometry: 'false', resultRecordCount: '100' }
+  recordPageCursor('cat.sch.tbl', query, 100, '9007199254740993')
+  recordCursor('cat.sch.tbl|', 200, Number.MAX_SAFE_INTEGER + 2)
+  t.equal(cursorCache.size, 0, 'nothing cached')
+  t.ok(buildQuery('cat.sch.tbl', Object.assign({}, query, { resultOffset: '100' })).endsWith('LIMIT 101 OFFSET 100'), 'string id')
+  t.ok(buildIdsQuery('cat.sch.tbl', Object.assign({}, query, { resultOffset: '200' })).endsWith('LIMIT 100 OFFSET 200'), 'inexact number')
+  t.end()
+})
+
+test('getTableMetadata - a refresh drops the table\'s cursors', function (t) {
+  var model = new Model()
+  var session = metadataSession([{ col_name: 'objectid', data_type: 'bigint' }, { col_name: 'geometry_wkt', data_type: 'geometry(point, 4326)' }], [], [])
+  recordCursor('cat.sch.cursors|', 100, 42)
+  recordCursor('cat.sch.other|', 100, 7)
+  model.getTableMetadata('cat.sch.cursors', session, 'task-cursors').then(function () {
+    t.notOk(cursorCache.has('cat.sch.cursors|@100'), 'cursors of the table dropped')
+    t.ok(cursorCache.has('cat.sch.other|@100'), 'other tables keep theirs')
+    recordCursor('cat.sch.cursors|', 100, 42)
+    return model.getTableMetadata('cat.sch.cursors', session, 'task-cursors')
+  }).then(function () {
+    t.ok(cursorCache.has('cat.sch.cursors|@100'), 'kept while the metadata is cached')
+    cursorCache.clear()
+    t.end()
+  }).catch(function (err) { t.fail(err.message); t.end() })
+})
+
+// ============================================================================
+// Vector tiles
+// ============================================================================
+
+test('buildTileQuery - clips, simplifies and filters to the tile', function (t) {
+  var sql = buildTileQuery('cat.sch.tbl', { z: 1, x: 1, y: 0 }, { where: "name = 'x'", outFields: 'objectid,name' })
+  t.ok(sql.startsWith('SELECT objectid, name, ST_AsGeoJSON(ST_Simplify(ST_Intersection(ST_Transform(ST_GeomFromText(geometry_wkt, 4326), 3857), ST_GeomFromText(\'POLYGON((-313086.06785608194 -313086.06785608194, '), 'transformed to Web Mercator and clipped to the buffered tile')
+  t.ok(sql.includes(', 4891.969810251279)) as __geojson__'), 'simplified to one tile unit')
+  t.ok(sql.includes("WHERE (name = 'x') AND ST_Intersects(ST_GeomFromText(geometry_wkt, 4326), ST_GeomFromText('POLYGON((-2.8125000000000004 "), 'where clause plus the tile in the data spatial reference')
+  t.ok(sql.endsWith('ORDER BY objectid LIMIT 8001'), 'one row past the tile record limit')
+  t.end()
+})
+
+test('buildTileQuery - rejects invalid filters', function (t) {
+  t.throws(function () { buildTileQuery('cat.sch.tbl', { z: 0, x: 0, y: 0 }, { where: '1=1; DROP TABLE x' }) }, /Invalid WHERE clause/, 'where clause validated')
+  t.end()
+})
+
+// ============================================================================
+// H3 aggregate layer
+// ============================================================================
+
+var H3_CELL = 'h3_longlatash3(ST_X(ST_GeomFromText(geometry_wkt, 4326)), ST_Y(ST_GeomFromText(geometry_wkt, 4326)), 5)'
+
+test('isH3AggregateLayer - layer 1', function (t) {
+  t.ok(isH3AggregateLayer('1'), 'layer 1')
+  t.notOk(isH3AggregateLayer('0'), 'layer 0 is the table')
+  t.notOk(isH3AggregateLayer(undefined), 'no layer')
+  t.end()
+})
+
+test('hasH3AggregateLayer - point tables only', function (t) {
+  t.ok(hasH3AggregateLayer('esriGeometryPoint'), 'points')
+  t.ok(hasH3AggregateLayer('esriGeometryMultipoint'), 'multipoints')
+  t.notOk(hasH3AggregateLayer('esriGeometryPolygon'), 'polygons')
+  t.notOk(hasH3AggregateLayer(null), 'unknown geometry type')
+  t.end()
+})
+
+test('parseH3Aggregation - resolution from h3res or the request scale', function (t) {
+  t.equal(parseH3Aggregation({ h3res: '9' }).resolution, 9, 'h3res')
+  t.equal(parseH3Aggregation({}).resolution, 7, 'default without a scale')
+  t.equal(parseH3Aggregation({ maxAllowableOffset: '0.0001' }).resolution, 9, '~11 m pixels (degrees)')
+  t.equal(parseH3Aggregation({ maxAllowableOffset: '1000', outSR: '3857' }).resolution, 4, '1 km pixels (meters)')
+  t.equal(parseH3Aggregation({ maxAllowableOffset: '1' }).resolution, 0, 'coarser than resolution 0')
+  t.equal(parseH3Aggregation({
+    quantizationParameters: JSON.stringify({ extent: { xmin: 0, ymin: 0, xmax: 1, ymax: 1 }, tolerance: 0.0001 })
+  }).resolution, 9, 'quantization tolerance')
+  t.equal(parseH3Aggregation({ h3res: '12', maxAllowableOffset: '1' }).resolution, 12, 'h3res wins over the scale')
+  t.throws(function () { parseH3Aggregation({ h3res: '16' }) }, /Invalid h3res: 16/, 'resolution out of range')
+  t.throws(function () { parseH3Aggregation({ h3res: 'abc' }) }, /Invalid h3res/, 'not a number')
+  t.end()
+})
+
+test('parseH3Aggregation - per-cell statistics', function (t) {
+  var aggregation = parseH3Aggregation({ outStatistics: '[{"statisticType":"avg","onStatisticField":"height","outStatisticFieldName":"avg_height"}]' })
+  t.deepEqual(aggregation.statistics, [{ statisticType: 'avg', onStatisticField: 'height', outStatisticFieldName: 'avg_height' }], 'parsed')
+  t.throws(function () {
+    parseH3Aggregation({ outStatistics: '[{"statisticType":"EnvelopeAggregate","onStatisticField":"shape"}]' })
+  }, /spatial aggregates are not supported on the H3 aggregate layer/, 'spatial aggregates rejected')
+  t.end()
+})
+
+test('buildH3AggregateQuery - hexagons with counts grouped in SQL', function (t) {
+  var sql = buildH3AggregateQuery('cat.sch.tbl', {
+    where: 'type = 1',
+    h3res: '5',
+    outStatistics: '[{"statisticType":"max","onStatisticField":"height","outStatisticFieldName":"max_height"}]'
+  })
+  t.equal(sql,
+    'SELECT objectid, h3_h3tostring(__cell__) as h3_index, point_count, max_height, ' +
+    'ST_AsGeoJSON(ST_GeomFromText(h3_boundaryaswkt(__cell__), 4326)) as __geojson__ ' +
+    'FROM (SELECT ' + H3_CELL + ' as __cell__, shiftright(' + H3_CELL + ', 30) & 4194303 as objectid, COUNT(*) as point_count, MAX(height) as max_height ' +
+    'FROM cat.sch.tbl WHERE (type = 1) GROUP BY ' + H3_CELL + ') cells ' +
+    'WHERE __cell__ IS NOT NULL ORDER BY objectid LIMIT 10001', 'grouped by cell, paged by cell id')
+  t.end()
+})
+
+test('buildH3AggregateQuery - outSR, returnGeometry, order and paging', function (t) {
+  t.ok(buildH3AggregateQuery('cat.sch.tbl', { outSR: '3857' }).includes('ST_AsGeoJSON(ST_Transform(ST_GeomFromText(h3_boundaryaswkt(__cell__), 4326), 3857))'), 'hexagons reprojected')
+  t.notOk(buildH3AggregateQuery('cat.sch.tbl', { returnGeometry: 'false' }).includes('__geojson__'), 'no geometry')
+  t.ok(buildH3AggregateQuery('cat.sch.tbl', { orderByFields: 'point_count DESC', resultOffset: '20', resultRecordCount: '10' }).endsWith('ORDER BY point_count DESC LIMIT 11 OFFSET 20'), 'ordered by count and paged')
+  t.end()
+})
+
+test('buildH3AggregateCountQuery and buildH3AggregateIdsQuery - objectIds select cells', function (t) {
+  var query = { h3res: '5', objectIds: '7,9' }
+  var count = buildH3AggregateCountQuery('cat.sch.tbl', query)
+  t.ok(count.startsWith('SELECT COUNT(*) as cnt FROM (SELECT '), 'counts cells')
+  t.ok(count.includes('FROM cat.sch.tbl GROUP BY'), 'objectIds not applied to the points')
+  t.ok(count.endsWith('cells WHERE __cell__ IS NOT NULL AND objectid IN (7, 9)'), 'objectIds applied to the cells')
+  t.ok(buildH3AggregateIdsQuery('cat.sch.tbl', query).startsWith('SELECT objectid FROM (SELECT '), 'cell ids')
+  t.ok(buildH3AggregateIdsQuery('cat.sch.tbl', { resultOffset: '5' }).endsWith('ORDER BY objectid LIMIT 10000 OFFSET 5'), 'paged')
+  t.end()
+})
+
+test('buildH3AggregateCountQuery - multipoints split into their points', function (t) {
+  var sql = buildH3AggregateCountQuery('cat.sch.tbl', { h3res: '5' }, 'esriGeometryMultipoint')
+  t.ok(sql.includes('FROM (SELECT *, explode(ST_Dump(ST_GeomFromText(geometry_wkt, 4326))) as __point__ FROM cat.sch.tbl) points GROUP BY'), 'exploded points')
+  t.ok(sql.includes('h3_longlatash3(ST_X(__point__), ST_Y(__point__), 5)'), 'each point in its cell')
+  t.notOk(buildH3AggregateCountQuery('cat.sch.tbl', { h3res: '5' }, 'esriGeometryPoint').includes('ST_Dump'), 'points as they are')
+  t.end()
+})
+
+test('getH3AggregateData - Esri JSON hexagons rendered as-is', function (t) {
+  var rows = []
+  for (var i = 0; i < 3; i++) {
+    rows.push({ objectid: i, h3_index: '85283473fffffff', point_count: 10 + i, __geojson__: '{"type":"Polygon","coordinates":[[[0,0],[1,0],[1,1],[0,0]]]}' })
+  }
+  var fakeSession = {
+    executeStatement: function () { return Promise.resolve(fakeOperation([rows])) }
+  }
+  getH3AggregateData('cat.sch.tbl', { resultRecordCount: '2' }, fakeSession, 'task-h3').then(function (data) {
+    t.equal(data.features.length, 2, 'one page')
+    t.ok(data.metadata.exceededTransferLimit, 'more cells exist')
+    t.deepEqual(data.features[0].attributes, { objectid: 0, h3_index: '85283473fffffff', point_count: 10 }, 'attributes')
+    t.ok(data.features[0].geometry.rings, 'Esri JSON polygon')
+    t.equal(data.metadata.id, 1, 'layer id')
+    t.equal(data.metadata.geometryType, 'esriGeometryPolygon', 'polygon layer')
+    t.deepEqual(data.metadata.fields.map(function (field) { return field.name }), ['objectid', 'h3_index', 'point_count'], 'fields')
+    t.ok(data.filtersApplied.all, 'already filtered')
+    t.end()
+  }).catch(function (err) { t.fail(err.message); t.end() })
+})
+
+test('isServiceInfoRequest - service JSON and its layers', function (t) {
+  t.ok(isServiceInfoRequest({ url: '/databricks/rest/services/cat.sch.tbl/FeatureServer?f=json' }), 'service JSON')
+  t.ok(isServiceInfoRequest({ url: '/databricks/rest/services/cat.sch.tbl/FeatureServer/layers' }), 'layers')
+  t.notOk(isServiceInfoRequest({ url: '/databricks/rest/services/cat.sch.tbl/FeatureServer/0?f=json' }), 'layer JSON')
+  t.notOk(isServiceInfoRequest({ url: '/databricks/rest/services/cat.sch.tbl/FeatureServer/1/query' }), 'query')
+  t.end()
+})
+
+// getData on a table whose geometry column has the given type, through a
+// fake session with no rows
+function getDataFromTable (table, geometryDataType, layer, path, callback) {
+  var connectionManager = require('../src/connection')
+  var getSession = connectionManager.getSession
+  connectionManager.getSession = function () {
+    return Promise.resolve({
+      executeStatement: function (sql) {
+        var rows = sql.startsWith('DESCRIBE') ? [{ col_name: 'objectid', data_type: 'bigint' }, { col_name: 'geometry_wkt', data_type: geometryDataType }] : []
+        return Promise.resolve(fakeOperation([rows]))
+      },
+      close: function () { return Promise.resolve() }
+    })
+  }
+  var url = '/databricks/rest/services/' + table + '/FeatureServer' + path
+  new Model().getData({ params: { id: table, layer: layer }, query: { f: 'json' }, url: url }, function (err, data) {
+    connectionManager.getSession = getSession
+    callback(err, data)
+  })
+}
+
+// Service JSON and /layers responses of FeatureServer for getData's data
+function renderServiceInfo (data) {
+  var responses = []
+  var res = {
+    status: function () { return res },
+    json: function (body) { responses.push(body) }
+  }
+  FeatureServer.serverInfo({ query: { f: 'json' } }, res, data)
+  FeatureServer.layersInfo({ query: { f: 'json' } }, res, data)
+  return { service: responses[0], layers: responses[1] }
+}
+
+test('getData - the service JSON and /layers list the H3 aggregate layer', function (t) {
+  getDataFromTable('cat.sch.svc', 'geometry(point, 4326)', undefined, '', function (err, data) {
+    t.error(err, 'no error')
+    var rendered = renderServiceInfo(data)
+    t.deepEqual(rendered.service.layers.map(function (layer) { return [layer.id, layer.name, layer.geometryType] }), [
+      [0, 'cat.sch.svc', 'esriGeometryPoint'],
+      [1, 'cat.sch.svc (H3)', 'esriGeometryPolygon']
+    ], 'service layers')
+    var h3 = rendered.layers.layers[1]
+    t.equal(h3.geometryType, 'esriGeometryPolygon', 'polygon layer')
+    t.deepEqual(h3.fields.map(function (field) { return field.name }), ['objectid', 'h3_index', 'point_count'], 'H3 fields')
+    t.equal(h3.drawingInfo.renderer.symbol.type, 'esriSFS', 'polygon renderer')
+    t.end()
+  })
+})
+
+test('getData - polygon tables have no H3 aggregate layer', function (t) {
+  getDataFromTable('cat.sch.parcels', 'geometry(polygon, 4326)', undefined, '', function (err, data) {
+    t.error(err, 'no error')
+    var rendered = renderServiceInfo(data)
+    t.deepEqual(rendered.service.layers.map(function (layer) { return [layer.id, layer.geometryType] }), [[0, 'esriGeometryPolygon']], 'service lists layer 0 only')
+    t.equal(rendered.layers.layers.length, 1, '/layers lists layer 0 only')
+
+    getDataFromTable('cat.sch.parcels', 'geometry(polygon, 4326)', '1', '/1/query', function (err) {
+      t.equal(err && err.code, 400, 'layer 1 queries are a 400')
+      t.ok(/only available on point tables/.test(err && err.message), 'message names the problem')
+      t.end()
+    })
+  })
+})
+
+// ============================================================================
+// Layer geometry type
+// ============================================================================
+
+test('parseNativeGeometryType - GEOMETRY type parameter', function (t) {
+  t.equal(parseNativeGeometryType('geometry(polygon, 4326)'), 'esriGeometryPolygon', 'polygon')
+  t.equal(parseNativeGeometryType('GEOMETRY(MULTILINESTRING,4326)'), 'esriGeometryPolyline', 'multilinestring')
+  t.equal(parseNativeGeometryType('geography(point)'), 'esriGeometryPoint', 'geography')
+  t.equal(parseNativeGeometryType('geometry(4326)'), null, 'SRID only')
+  t.equal(parseNativeGeometryType('geometry(ANY)'), null, 'any type')
+  t.equal(parseNativeGeometryType('string'), null, 'not a geometry column')
+  t.end()
+})
+
+test('buildGeometryTypeQuery - ST_GeometryType over a sample', function (t) {
+  var geometryType = 'ST_GeometryType(ST_GeomFromText(geometry_wkt, 4326))'
+  var memberType = "CASE WHEN lower(ST_GeometryType(ST_GeomFromText(geometry_wkt, 4326))) LIKE '%geometrycollection' " +
+    'AND ST_NumGeometries(ST_GeomFromText(geometry_wkt, 4326)) > 0 ' +
+    'THEN ST_GeometryType(ST_GeometryN(ST_GeomFromText(geometry_wkt, 4326), 1)) END'
+  t.equal(buildGeometryTypeQuery('cat.sch.tbl'),
+    'SELECT ' + geometryType + ' as geometry_type, ' + memberType + ' as member_type, COUNT(*) as cnt ' +
+    'FROM (SELECT geometry_wkt FROM cat.sch.tbl WHERE geometry_wkt IS NOT NULL LIMIT 1000) sample ' +
+    'GROUP BY ' + geometryType + ', ' + memberType)
+  t.end()
+})
+
+test('resolveGeometryType - most common type in the sample', function (t) {
+  t.equal(resolveGeometryType([{ geometry_type: 'ST_Polygon', cnt: 10 }, { geometry_type: 'ST_MultiPolygon', cnt: 5 }]), 'esriGeometryPolygon', 'single and multi polygons')
+  t.equal(resolveGeometryType([{ geometry_type: 'ST_LineString', cnt: 900 }, { geometry_type: 'ST_Point', cnt: 3 }]), 'esriGeometryPolyline', 'majority wins')
+  t.equal(resolveGeometryType([{ geometry_type: 'ST_Point', cnt: 8 }, { geometry_type: 'ST_MultiPoint', cnt: 2 }]), 'esriGeometryMultipoint', 'points with multipoints')
+  t.equal(resolveGeometryType([{ geometry_type: 'POINT', cnt: 1 }]), 'esriGeometryPoint', 'upper-case names')
+  t.equal(resolveGeometryType([]), null, 'empty sample')
+  t.end()
+})
+
+test('resolveGeometryType - geometry collections take the type of their members', function (t) {
+  t.equal(resolveGeometryType([{ geometry_type: 'ST_GeometryCollection', member_type: 'ST_Point', cnt: 5 }]), 'esriGeometryMultipoint', 'collections of points')
+  t.equal(resolveGeometryType([{ geometry_type: 'ST_GeometryCollection', member_type: 'ST_LineString', cnt: 5 }, { geometry_type: 'ST_Polygon', cnt: 2 }]), 'esriGeometryPolyline', 'collections of lines')
+  t.equal(resolveGeometryType([{ geometry_type: 'ST_GeometryCollection', member_type: null, cnt: 5 }, { geometry_type: 'ST_Point', cnt: 1 }]), 'esriGeometryPoint', 'empty collections left out')
+  t.equal(resolveGeometryType([{ geometry_type: 'GeometryCollection', cnt: 1 }]), null, 'no polygon guessed')
+  t.equal(parseNativeGeometryType('geometry(geometrycollection, 4326)'), null, 'native collection type sampled instead')
+  t.end()
+})
+
+function metadataSession (describeRows, sampleRows, statements) {
+  return {
+    executeStatement: function (sql) {
+      statements.push(sql)
+      return Promise.resolve(fakeOperation([sql.startsWith('DESCRIBE') ? describeRows : sampleRows]))
+    }
+  }
+}
+
+test('getTableMetadata - sampled geometry type cached with the fields', function (t) {
+  var model = new Model()
+  var statements = []
+  var session = metadataSession(
+    [{ col_name: 'objectid', data_type: 'bigint' }, { col_name: 'geometry_wkt', data_type: 'string' }],
+    [{ geometry_type: 'ST_MultiPolygon', cnt: 40 }],
+    statements
+  )
+  model.getTableMetadata('cat.sch.tbl', session, 'task-meta').then(function (metadata) {
+    t.equal(metadata.geometryType, 'esriGeometryPolygon', 'sampled geometry type')
+    t.deepEqual(metadata.fields.map(function (field) { return field.name }), ['objectid'], 'fields')
+    return model.getTableMetadata('cat.sch.tbl', session, 'task-meta')
+  }).then(function (metadata) {
+    t.equal(metadata.geometryType, 'esriGeometryPolygon', 'cached')
+    t.equal(statements.length, 2, 'DESCRIBE and the sample run once')
+    t.end()
+  }).catch(function (err) { t.fail(err.message); t.end() })
+})
+
+test('getTableMetadata - native GEOMETRY type parameter needs no sample', function (t) {
+  var model = new Model()
+  var statements = []
+  var session = metadataSession([{ col_name: 'objectid', data_type: 'bigint' }, { col_name: 'geometry_wkt', data_type: 'geometry(point, 4326)' }], [], statements)
+  model.getTableMetadata('cat.sch.native', session, 'task-meta').then(function (metadata) {
+    t.equal(metadata.geometryType, 'esriGeometryPoint', 'from the type parameter')
+    t.equal(statements.length, 1, 'DESCRIBE only')
+    t.end()
+  }).catch(function (err) { t.fail(err.message); t.end() })
+})
+
+// ============================================================================
+// Flattened columns
+// ============================================================================
+
+var PLACES_COLUMNS = [
+  { col_name: 'objectid', data_type: 'bigint' },
+  { col_name: 'names', data_type: 'struct<primary:string,common:map<string,string>>' },
+  { col_name: 'addresses', data_type: 'array<struct<locality:string,postcode:string>>' },
+  { col_name: 'names_primary', data_type: 'string' },
+  { col_name: 'geometry_wkt', data_type: 'geometry(point, 4326)' }
+]
+
+test('getLayerFlattening - flatten and flattenArrays from the layers config', function (t) {
+  config.layers['cat.sch.places'] = { flatten: true }
+  t.deepEqual(getLayerFlattening('cat.sch.places'), { arrays: 'json' }, 'arrays as JSON by default')
+  config.layers['cat.sch.places'].flattenArrays = 'first'
+  t.deepEqual(getLayerFlattening('cat.sch.places'), { arrays: 'first' }, 'first elements')
+  config.layers['cat.sch.places'].flattenArrays = 'last'
+  t.deepEqual(getLayerFlattening('cat.sch.places'), { arrays: 'json' }, 'unknown modes ignored')
+  t.equal(getLayerFlattening('cat.sch.tbl'), null, 'not configured')
+  delete config.layers['cat.sch.places']
+  t.end()
+})
+
+test('flattenTableColumns - geometry column kept, taken names left out', function (t) {
+  var columns = flattenTableColumns('cat.sch.places', PLACES_COLUMNS, { arrays: 'first' })
+  t.deepEqual(columns.map(function (column) { return column.name }),
+    ['objectid', 'names_primary', 'names_common', 'addresses_locality', 'addresses_postcode', 'geometry_wkt'], 'names')
+  t.equal(columns[5].expression, 'geometry_wkt', 'geometry column')
+  t.end()
+})
+
+test('getTableMetadata - flattened fields, selected by the query builders', function (t) {
+  config.layers['cat.sch.places'] = { flatten: true, flattenArrays: 'first' }
+  var model = new Model()
+  var session = metadataSession(PLACES_COLUMNS, [], [])
+  model.getTableMetadata('cat.sch.places', session, 'task-meta').then(function (metadata) {
+    var locality = metadata.fields[3]
+    t.deepEqual([locality.name, locality.alias, locality.type, locality.sqlType], ['addresses_locality', 'addresses.locality', 'esriFieldTypeString', 'string'], 'struct leaf')
+    t.equal(metadata.fields[2].sqlType, 'map<string,string>', 'map as JSON text')
+
+    var source = '(SELECT objectid, names.`primary` AS names_primary, to_json(names.`common`) AS names_common, ' +
+      'try_element_at(addresses, 1).`locality` AS addresses_locality, try_element_at(addresses, 1).`postcode` AS addresses_postcode, ' +
+      'geometry_wkt FROM cat.sch.places) flattened'
+    t.equal(buildTableSource('cat.sch.places'), source, 'flattened columns subquery')
+    t.equal(buildTableSource('cat.sch.tbl'), 'cat.sch.tbl', 'other tables')
+    t.ok(buildCountQuery('cat.sch.places', { where: "names_primary = 'Cafe'" }).indexOf('FROM ' + source + " WHERE (names_primary = 'Cafe')") > 0, 'count query')
+    t.ok(buildQuery('cat.sch.places', { outFields: 'addresses_locality' }).indexOf('SELECT addresses_locality, ST_AsGeoJSON') === 0, 'feature query')
+
+    var query = { where: "addresses.locality = 'Ottawa'", outFields: 'objectid,names.primary', orderByFields: 'names.primary DESC' }
+    resolveQueryFieldPaths(query, 'cat.sch.places')
+    t.deepEqual(query, { where: "addresses_locality = 'Ottawa'", outFields: 'objectid,names_primary', orderByFields: 'names_primary DESC' }, 'dotted paths resolved in place')
+    t.equal(resolveQueryFieldPaths({ where: 'names.primary IS NULL' }, 'cat.sch.tbl').where, 'names.primary IS NULL', 'other tables left alone')
+
+    delete config.layers['cat.sch.places']
+    flattenedColumns.delete('cat.sch.places')
+    t.end()
+  }).catch(function (err) { t.fail(err.message); t.end() })
+})
+
+test('getTimeInfo - time extent of flattened time fields', function (t) {
+  config.layers['cat.sch.visits'] = { flatten: true, startTimeField: 'period_start', endTimeField: 'period_end' }
+  var model = new Model()
+  var statements = []
+  var session = metadataSession([
+    { col_name: 'objectid', data_type: 'bigint' },
+    { col_name: 'period', data_type: 'struct<start:timestamp,end:timestamp>' },
+    { col_name: 'geometry_wkt', data_type: 'geometry(point, 4326)' }
+  ], [{ time_min: 0, time_max: 86400000 }], statements)
+  model.getTableMetadata('cat.sch.visits', session, 'task-time').then(function () {
+    return model.getTimeInfo('cat.sch.visits', session, 'task-time')
+  }).then(function (timeInfo) {
+    t.deepEqual(timeInfo.timeExtent, [0, 86400000], 'time extent')
+    t.ok(statements[1].endsWith('FROM (SELECT objectid, period.`start` AS period_start, period.`end` AS period_end, geometry_wkt FROM cat.sch.visits) flattened'),
+      'selected from the flattened columns')
+    delete config.layers['cat.sch.visits']
+    flattenedColumns.delete('cat.sch.visits')
+    t.end()
+  }).catch(function (err) { t.fail(err.message); t.end() })
+})
+
+// ============================================================================
+// Layer extent
+// ============================================================================
+
+test('getLayerExtent - unfiltered extent query, cached per table', function (t) {
+  var model = new Model()
+  var statements = []
+  var session = {
+    executeStatement: function (sql) {
+      statements.push(sql)
+      return Promise.resolve(fakeOperation([[{ xmin: -122.5, ymin: 37.2, xmax: -121.9, ymax: 37.9 }]]))
+    }
+  }
+  model.getLayerExtent('cat.sch.tbl', session, 'task-extent').then(function (extent) {
+    t.deepEqual(extent, { xmin: -122.5, ymin: 37.2, xmax: -121.9, ymax: 37.9, spatialReference: { wkid: 4326 } }, 'table extent')
+    t.notOk(/WHERE/.test(statements[0]), 'no filters')
+    return model.getLayerExtent('cat.sch.tbl', session, 'task-extent')
+  }).then(function (extent) {
+    t.equal(extent.xmin, -122.5, 'cached extent')
+    t.equal(statements.length, 1, 'queried once')
+    t.end()
+  }).catch(function (err) { t.fail(err.message); t.end() })
+})
+
+test('getLayerExtent - empty tables and errors give no extent', function (t) {
+  var model = new Model()
+  var empty = {
+    executeStatement: function () { return Promise.resolve(fakeOperation([[{ xmin: null, ymin: null, xmax: null, ymax: null }]])) }
+  }
+  var failing = {
+    executeStatement: function () { return Promise.reject(new Error('warehouse stopped')) }
+  }
+  model.getLayerExtent('cat.sch.empty', empty, 'task-extent').then(function (extent) {
+    t.equal(extent, null, 'no geometries')
+    t.ok(model.extentCache['cat.sch.empty'], 'empty extent cached')
+    return model.getLayerExtent('cat.sch.failing', failing, 'task-extent')
+  }).then(function (extent) {
+    t.equal(extent, null, 'query error')
+    t.notOk(model.extentCache['cat.sch.failing'], 'errors not cached')
+    t.end()
+  }).catch(function (err) { t.fail(err.message); t.end() })
+})